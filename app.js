@@ -7,6 +7,21 @@ import oauth2Client from './src/utils/auth.js';
 import { handleWebhook } from './src/controllers/whatsappController.js';
 import adminRoutes from './src/routes/admin.js';
 import monitoringRoutes from './src/routes/monitoring.js';
+import messageRoutes from './src/routes/messages.js';
+import outboundQueueRoutes from './src/routes/outboundQueue.js';
+import handoffRoutes from './src/routes/handoff.js';
+import inboxRoutes from './src/routes/inbox.js';
+import templateRoutes from './src/routes/templates.js';
+import campaignRoutes from './src/routes/campaigns.js';
+import consentRoutes from './src/routes/consent.js';
+import transcriptRoutes from './src/routes/transcripts.js';
+import archiveRoutes from './src/routes/archives.js';
+import usageRoutes from './src/routes/usage.js';
+import subscriptionRoutes from './src/routes/subscriptions.js';
+import billingRoutes from './src/routes/billing.js';
+import llmUsageRoutes from './src/routes/llmUsage.js';
+import promptConfigRoutes from './src/routes/promptConfig.js';
+import customToolRoutes from './src/routes/customTools.js';
 import paymentWebhookHandler from './src/helpers/paymentWebhookHandler.js';
 import syncServicesHandler from './src/helpers/syncServicesHandler.js';
 import googleSheetsWebhookHandler from './src/helpers/googleSheetsWebhookHandler.js';
@@ -20,8 +35,16 @@ import dbConfig from './src/models/index.js';
 import googleSheetServices from './src/utils/googlesheets.js';
 import { googleAuthSuccessMessage, googleAuthFailureMessage } from './src/constants/constantMessages.js';
 import { verifyWebhook } from './src/helpers/whatsapp/verifyWebHook.js';
+import { verifyWhatsappSignature } from './src/middlewares/verifyWhatsappSignature.js';
 import { syncServicesMicrosoftHandler } from './src/utils/syncServicesMicrosoftHandler.js';
 import logger from './src/logger/logger.js';
+import { startOutboundQueueWorker } from './src/services/outboundQueueService.js';
+import { startHandoffTimeoutWatcher } from './src/services/handoffService.js';
+import { startCampaignWorker } from './src/services/campaignService.js';
+import { startScheduler } from './src/services/schedulerService.js';
+import { registerRetentionJobs } from './src/services/sessionRetentionService.js';
+import { registerUsageJobs } from './src/services/usageService.js';
+import { registerSubscriptionJobs } from './src/services/subscriptionService.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -31,7 +54,10 @@ logger.info('Starting WhatsApp AI Integration Application', {
   timestamp: new Date().toISOString()
 });
 // Middleware
-app.use(express.json());
+// Keep the raw bytes — webhook signatures are computed over them, not the parsed JSON
+app.use(express.json({
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cors({ origin: '*' }));
 app.use(morgan('dev'));
@@ -43,11 +69,26 @@ app.use(express.static('src/public'));
 app.post('/api/chat/book', bookMeetingHandler);
 app.use('/api/outreach', adminRoutes);
 app.use('/api/outreach/monitoring', monitoringRoutes);
+app.use('/api/outreach/messages', messageRoutes);
+app.use('/api/outreach/queue', outboundQueueRoutes);
+app.use('/api/outreach/handoff', handoffRoutes);
+app.use('/api/outreach/inbox', inboxRoutes);
+app.use('/api/outreach/templates', templateRoutes);
+app.use('/api/outreach/campaigns', campaignRoutes);
+app.use('/api/outreach/consent', consentRoutes);
+app.use('/api/outreach/transcripts', transcriptRoutes);
+app.use('/api/outreach/archives', archiveRoutes);
+app.use('/api/outreach/usage', usageRoutes);
+app.use('/api/outreach/subscriptions', subscriptionRoutes);
+app.use('/api/outreach/billing', billingRoutes);
+app.use('/api/outreach/llm-usage', llmUsageRoutes);
+app.use('/api/outreach/prompt-config', promptConfigRoutes);
+app.use('/api/outreach/custom-tools', customToolRoutes);
 app.use('/api', knowledgeBaseRoutes); // RAG knowledge base routes
 
 // WhatsApp Webhook
 app.get('/webhook', verifyWebhook);
-app.post('/webhook', handleWebhook);
+app.post('/webhook', verifyWhatsappSignature, handleWebhook);
 
 // Google OAuth Routes
 app.get('/auth', (req, res) => {
@@ -267,6 +308,22 @@ app.use((err, req, res, next) => {
     await dbConfig.syncDatabase({ alter: false });
     logger.info('Database synced successfully');
 
+    // Retries queued WhatsApp sends; safe to run on every instance
+    startOutboundQueueWorker();
+
+    // Hands silent human-agent conversations back to the bot
+    startHandoffTimeoutWatcher();
+
+    // Starts scheduled campaigns and sends their throttled batches
+    startCampaignWorker();
+
+    // Periodic jobs (session archival, quota resets, subscription expiry and reminders);
+    // a DB lease runs each once across instances
+    registerRetentionJobs();
+    registerUsageJobs();
+    registerSubscriptionJobs();
+    startScheduler();
+
     // Start server
     app.listen(PORT, () => {
       console.log('Server started successfuly'+ PORT)
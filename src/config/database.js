@@ -26,6 +26,23 @@ export default {
       freezeTableName: false
     }
   },
+  // `npm test`: the tests stub the queries they need and never reach a database
+  test: {
+    use_env_variable: 'PG_DATABASE_URL',
+    dialect: 'postgres',
+    logging: false,
+    pool: {
+      max: 1,
+      min: 0,
+      acquire: 30000,
+      idle: 10000
+    },
+    define: {
+      timestamps: true,
+      underscored: true,
+      freezeTableName: false
+    }
+  },
   production: {
     use_env_variable: 'PG_DATABASE_URL',
     dialect: 'postgres',
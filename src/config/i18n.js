@@ -17,6 +17,8 @@ const sw = JSON.parse(fs.readFileSync(path.join(localesPath, 'sw.json'), 'utf8')
 i18next.init({
   lng: 'en',
   fallbackLng: 'en',
+  // Messages go out as WhatsApp text, not HTML — names like O'Neil must not become O&#39;Neil
+  interpolation: { escapeValue: false },
   resources: {
     en: { translation: en },
     fr: { translation: fr },
@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// USD per million tokens, for cost estimates in the LLM usage ledger. `audioInput` applies
+// to the audio share of the prompt (voice-note transcription) when the model prices it apart.
+// LLM_PRICING_JSON overrides or adds models, e.g. {"gemini-2.5-flash":{"input":0.3,"output":2.5}}
+const DEFAULT_PRICING = {
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40, audioInput: 0.30 },
+  'gemini-2.5-flash':      { input: 0.30, output: 2.50, audioInput: 1.00 },
+  'gemini-2.0-flash':      { input: 0.10, output: 0.40, audioInput: 0.70 },
+  'gemini-embedding-001':  { input: 0.15, output: 0 },
+  'text-embedding-004':    { input: 0,    output: 0 }
+};
+
+function overrides() {
+  if (!process.env.LLM_PRICING_JSON) return {};
+  try {
+    return JSON.parse(process.env.LLM_PRICING_JSON);
+  } catch {
+    return {};
+  }
+}
+
+export const LLM_PRICING = { ...DEFAULT_PRICING, ...overrides() };
+
+/**
+ * Estimated cost of one call in USD (null when the model has no price).
+ * @param {string} model
+ * @param {{ inputTokens: number, outputTokens: number, audioInputTokens?: number }} tokens
+ */
+export function estimateCostUsd(model, { inputTokens = 0, outputTokens = 0, audioInputTokens = 0 }) {
+  const price = LLM_PRICING[String(model || '').replace(/^models\//, '')];
+  if (!price) return null;
+  const audio = price.audioInput !== undefined ? audioInputTokens : 0;
+  const cost  = ((inputTokens - audio) * price.input + audio * (price.audioInput ?? price.input) + outputTokens * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
@@ -22,8 +22,8 @@ export default {
         }
     },
     embedding: {
-        provider: 'gemini',
-        model: process.env.EMBEDDING_MODEL || 'gemini-embedding-001', 
+        provider: process.env.EMBEDDING_PROVIDER || 'gemini',
+        model: process.env.EMBEDDING_MODEL || null, // null: the embedding provider's own default
         dimensions: 768,
         batchSize: 50, 
         maxConcurrentBatches: 3,
@@ -0,0 +1,54 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+const days = (value, fallback) => {
+  const parsed = parseInt(value ?? '', 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(parsed, 0);
+};
+
+// Plan catalogue, keyed by Client.subscriptionPlan. `monthlyPrices` is what a client pays
+// us per month in each billing currency. After subscriptionEndDate a paid client keeps
+// full service for `graceDays` before the subscription expires.
+export const PLAN_SETTINGS = {
+  message_only: {
+    name:          'Messaging',
+    description:   'WhatsApp AI assistant for text, images and documents',
+    monthlyPrices: { RWF: 39000, KES: 3900, USD: 29 },
+    graceDays:     days(process.env.SUBSCRIPTION_GRACE_DAYS_MESSAGE_ONLY, 3)
+  },
+  message_and_voice: {
+    name:          'Messaging + Voice',
+    description:   'Everything in Messaging, plus voice-note understanding and voice replies',
+    monthlyPrices: { RWF: 79000, KES: 7900, USD: 59 },
+    graceDays:     days(process.env.SUBSCRIPTION_GRACE_DAYS_MESSAGE_AND_VOICE, 7)
+  }
+};
+
+// Months a renewal can buy at once, with the discount applied to the monthly price
+export const BILLING_TERMS = {
+  1:  { discountPercent: 0 },
+  3:  { discountPercent: 5 },
+  12: { discountPercent: 15 }
+};
+
+// Days before a trial or subscription ends at which the client contact is reminded
+export const REMINDER_DAYS = (process.env.SUBSCRIPTION_REMINDER_DAYS || '7,3,1')
+  .split(',')
+  .map(d => parseInt(d, 10))
+  .filter(d => d > 0)
+  .sort((a, b) => a - b);
+
+export function planSettings(plan) {
+  return PLAN_SETTINGS[plan] || { graceDays: 0, monthlyPrices: {} };
+}
+
+/**
+ * Price of `months` of a plan in a currency, or null if the plan, term or currency is not sold.
+ * @returns {number|null}
+ */
+export function planPrice(plan, currency, months = 1) {
+  const monthly = PLAN_SETTINGS[plan]?.monthlyPrices?.[String(currency || '').toUpperCase()];
+  const term    = BILLING_TERMS[months];
+  if (monthly === undefined || !term) return null;
+  return Math.round(monthly * months * (100 - term.discountPercent)) / 100;
+}
@@ -1,6 +1,19 @@
 import logger from '../logger/logger.js';
+import { sendQueued } from '../services/outboundQueueService.js';
+import { findApprovedTemplate, buildTemplateMessage, valuesFromList } from '../services/templateService.js';
 
-async function initiateWhatsappMessage(to, templateName, params = [], client = null) {
+/**
+ * Send a template message. When the template has been synced from the WABA its
+ * language and parameter layout come from there; otherwise `params` fill the header.
+ * @param {string} to
+ * @param {string} templateName
+ * @param {string[]} [params]      - Flat values for the first placeholder group
+ * @param {Object} [client]
+ * @param {Object} [options]
+ * @param {string} [options.language] - Template language code
+ * @param {Object} [options.values]    - Typed values ({ header, body, buttons }), see buildTemplateMessage
+ */
+async function initiateWhatsappMessage(to, templateName, params = [], client = null, { language = null, values = null } = {}) {
   const phoneNumberId = client?.whatsappBusinessId;
   const token         = client?.getDecryptedWhatsappToken?.();
 
@@ -9,38 +22,33 @@ async function initiateWhatsappMessage(to, templateName, params = [], client = n
     throw new Error('Client WhatsApp credentials are not configured');
   }
 
-  const url = `https://graph.facebook.com/v22.0/${phoneNumberId}/messages`;
-
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        messaging_product: 'whatsapp',
-        to,
-        type: 'template',
-        template: {
-          name: templateName,
-          language: { code: 'en' },
-          components: [
-            {
-              type: 'header',
-              parameters: params.map(text => ({ type: 'text', text }))
-            }
-          ]
-        }
-      })
+    const stored   = await findApprovedTemplate(client?.id, templateName, language);
+    const template = stored
+      ? buildTemplateMessage(stored, values || valuesFromList(stored, params))
+      : {
+        name: templateName,
+        language: { code: language || 'en' },
+        components: [
+          {
+            type: 'header',
+            parameters: params.map(text => ({ type: 'text', text }))
+          }
+        ]
+      };
+
+    const result = await sendQueued({
+      credentials: { clientId: client?.id || null, phoneNumberId, token },
+      to,
+      preview: templateName,
+      message: { type: 'template', template }
     });
 
-    const data = await response.json();
-    if (!response.ok) {
-      logger.error('Sending initial message template failed.', { data });
+    if (!result.ok && !result.queued) {
+      logger.error('Sending initial message template failed.', { data: result.data });
       throw new Error('Template failed');
     }
-    return data;
+    return result.data;
   } catch (err) {
     logger.error('Sending initial message template failed.', { error: err.message });
   }
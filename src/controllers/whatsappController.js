@@ -1,25 +1,150 @@
 import i18next from '../config/i18n.js';
 import googlesheets from '../utils/googlesheets.js';
 import dbConfig from '../models/index.js';
-import { Op } from 'sequelize';
 import dotenv from 'dotenv';
 import logger from '../logger/logger.js';
 import ragService from '../services/rag.service.js';
 
 import { extractWebhookPayload } from '../utils/extractors.js';
 import { resolveClient } from '../services/clientService.js';
-import { sendMessage, transcribeAudio } from '../services/whatsappService.js';
+import { sendMessage, transcribeAudio, understandMedia } from '../services/whatsappService.js';
 import { processAI } from '../services/aiService.js';
+import { conversationContext } from '../services/conversationSummaryService.js';
 import { sendServiceList } from '../helpers/whatsapp/sendServiceList.js';
+import { recordStatuses, recordReaction } from '../services/messageLedgerService.js';
+import { isSupportedMedia } from '../helpers/whatsapp/mediaPipeline.js';
+import { sendSlotPicker, parseSlotReplyId } from '../helpers/whatsapp/sendSlotPicker.js';
+import { sendFormattedReply } from '../helpers/whatsapp/sendFormattedReply.js';
+import messageAggregator from '../utils/messageAggregator.js';
+import { startHandoff, isHandedOff, isHandoffKeyword } from '../services/handoffService.js';
+import { describeInbound, publishInbound } from '../services/inboxService.js';
+import { saveReferrals } from '../services/referralService.js';
+import { matchConsentKeyword, ensureConsent, setConsent } from '../services/consentService.js';
+import { CONSENT_STATUS } from '../models/Consent.js';
+import { findNearestOffice, sendLocation } from '../helpers/whatsapp/sendLocation.js';
+import { wantsVoiceReply, sendVoiceReply } from '../services/voiceReplyService.js';
+import { restoreArchivedSession } from '../services/sessionRetentionService.js';
+import { recordUsage, getQuotaStatus, USAGE_METRICS } from '../services/usageService.js';
+import { runWithLlmContext } from '../services/llmUsageService.js';
+import { getPromptConfig } from '../services/promptConfigService.js';
 
 dotenv.config();
 
 export const whatsappSessions = new Map();
 
+const DEFAULT_AGGREGATION_WINDOW_MS = parseInt(process.env.MESSAGE_AGGREGATION_WINDOW_MS || '2000', 10);
+// An opted-out user writing again is reminded how to opt back in at most once per interval
+const OPT_OUT_REMINDER_INTERVAL_MS = parseInt(process.env.CONSENT_REMINDER_INTERVAL_MS || '86400000', 10);
+
+// Shared AI turn: ask processAI, send the reply (or the service list) and
+// append the user/model pair to the session history. `voice` answers with a
+// voice note when the client has voice replies on. `selectedSlot` is the ISO start
+// picked from the slot list, only on the turn that carries that pick.
+async function replyWithAIFor({ client, from, session, transaction: t, message, historyContent, language, voice = false, selectedSlot = null }) {
+  const send = (to, message) => sendMessage({ client, to, message });
+
+  const userEmail    = session.state.email || null;
+  const context      = await conversationContext({ session, client, transaction: t });
+  const response     = await processAI({ client, from, message, history: context.history, summary: context.summary, userEmail, language, selectedSlot, sessionId: session.id });
+  const locale       = response.language || language;
+  const tools        = response.toolCalls?.length ? { toolCalls: response.toolCalls } : {};
+
+  if (response.handoffRequested) {
+    await startHandoff({ session, client, source: 'ai', reason: response.handoffReason, transaction: t });
+    const t_handoff = i18next.getFixedT(locale);
+    await send(from, (await getPromptConfig(client?.id)).escalationMessage || t_handoff('handoff_started'));
+    session.history.push({ role: 'user',  content: historyContent,                language, timestamp: new Date() });
+    session.history.push({ role: 'model', content: 'Handed off to a human agent', language: locale, ...tools, timestamp: new Date() });
+    session.changed('history', true);
+    await session.save({ transaction: t });
+    return response;
+  }
+
+  if (response.showServices) {
+    const serviceListLocale = session.history?.slice().reverse().find(h => h.role === 'user' && h.language)?.language || language;
+    await sendServiceList(from, serviceListLocale, client);
+    session.history.push({ role: 'user',  content: historyContent,       language, timestamp: new Date() });
+    session.history.push({ role: 'model', content: 'Service list shown', language: locale, ...tools, timestamp: new Date() });
+    session.changed('history', true);
+    await session.save({ transaction: t });
+    return response;
+  }
+
+  if (response.showSlots) {
+    await sendSlotPicker(from, response.freeSlots, locale, client);
+    session.history.push({ role: 'user',  content: historyContent,      language, timestamp: new Date() });
+    session.history.push({ role: 'model', content: 'Slot picker shown', language: locale, ...tools, timestamp: new Date() });
+    session.changed('history', true);
+    await session.save({ transaction: t });
+    return response;
+  }
+
+  if (response.reply) {
+    const voiceReply = voice && wantsVoiceReply(client)
+      ? await sendVoiceReply({ client, to: from, text: response.reply, language: locale })
+      : null;
+    if (!voiceReply?.sent) await sendFormattedReply(from, response.reply, client, locale);
+
+    if (response.reply.includes('@') && !session.state.email) {
+      const emailMatch = response.reply.match(/[\w.-]+@[\w.-]+\.\w+/);
+      if (emailMatch) {
+        session.state.email = emailMatch[0];
+        session.changed('state', true);
+      }
+    }
+
+    session.history.push({ role: 'user',  content: historyContent, language, timestamp: new Date() });
+    session.history.push({ role: 'model', content: response.reply, language: locale, ...tools, ...(voiceReply?.sent ? { voice: true } : {}), timestamp: new Date() });
+    session.changed('history', true);
+    await session.save({ transaction: t });
+  }
+  return response;
+}
+
+// Waits for the rest of a burst ("hi" / "I need" / "a website") and answers it once.
+// Runs outside the webhook transaction so a waiting message holds no pooled connection;
+// the AI turn then gets a transaction of its own on a freshly read session.
+async function answerTextBurst({ client, from, messageId, requestId, burstText, sessionId }) {
+  const windowMs = client?.messageAggregationWindowMs ?? DEFAULT_AGGREGATION_WINDOW_MS;
+  const burst    = await messageAggregator.add(`${client?.id || null}:${from}`, burstText, windowMs);
+  if (!burst) {
+    logger.whatsapp('info', 'Text message merged into a later turn', { requestId, from: `***${from.slice(-4)}`, messageId });
+    return;
+  }
+
+  const combinedText = burst.join('\n');
+  if (burst.length > 1) {
+    logger.whatsapp('info', 'Message burst aggregated', { requestId, from: `***${from.slice(-4)}`, messageCount: burst.length, windowMs });
+  }
+
+  await dbConfig.db.sequelize.transaction(async (t) => {
+    const session = await dbConfig.db.UserSession.findByPk(sessionId, { transaction: t });
+    if (!session) return;
+
+    // A staff member took over while the burst was collected — keep it for them
+    if (isHandedOff(session)) {
+      const lastLocale = session.history?.slice().reverse().find(h => h.language)?.language || 'en';
+      session.history.push({ role: 'user', content: combinedText, language: lastLocale, timestamp: new Date() });
+      session.changed('history', true);
+      await session.save({ transaction: t });
+      logger.whatsapp('info', 'Message burst kept for human agent — bot paused', { requestId, sessionId, handoffStatus: session.handoffStatus });
+      return;
+    }
+
+    const userInputLang = await ragService.detectCurrentLanguage(combinedText);
+    await replyWithAIFor({ client, from, session, transaction: t, message: combinedText, historyContent: combinedText, language: userInputLang });
+  });
+}
+
 const handleWebhook = async (req, res) => {
   const requestId = req.requestId || 'webhook-' + Date.now();
   res.status(200).send('OK');
 
+  // LLM calls made while handling this message are billed to its client and session
+  await runWithLlmContext({ requestId }, (llmContext) => processWebhook(req, requestId, llmContext));
+};
+
+async function processWebhook(req, requestId, llmContext) {
   logger.whatsapp('info', 'WhatsApp webhook received', {
     requestId,
     hasBody: !!req.body,
@@ -30,8 +155,19 @@ const handleWebhook = async (req, res) => {
   try {
     const { phoneNumberId, message: msg, contact, statuses, value } = extractWebhookPayload(req.body);
 
-    if (!value || statuses) {
-      logger.whatsapp('debug', 'Webhook value missing or contains statuses', { requestId });
+    if (!value) {
+      logger.whatsapp('debug', 'Webhook value missing', { requestId });
+      return;
+    }
+    if (statuses) {
+      client = await resolveClient(phoneNumberId);
+      const applied = await recordStatuses({ client, phoneNumberId, statuses });
+      logger.whatsapp('debug', 'Delivery statuses recorded', {
+        requestId,
+        clientId: client?.id,
+        applied,
+        statuses: statuses.map(s => s.status)
+      });
       return;
     }
     if (!msg) {
@@ -54,6 +190,7 @@ const handleWebhook = async (req, res) => {
 
     // ── Resolve client BEFORE the transaction (uses in-memory cache) ──
     client = await resolveClient(phoneNumberId);
+    llmContext.clientId = client?.id || null;
 
     if (client) {
       logger.whatsapp('debug', 'Client resolved', {
@@ -67,7 +204,7 @@ const handleWebhook = async (req, res) => {
     // Helper bound to this request's client so call sites stay clean
     const send = (to, message) => sendMessage({ client, to, message });
 
-    await dbConfig.db.sequelize.transaction(async (t) => {
+    const deferred = await dbConfig.db.sequelize.transaction(async (t) => {
 
       const clientId = client?.id || null;
 
@@ -95,25 +232,140 @@ const handleWebhook = async (req, res) => {
       let [session, isNewUser] = await dbConfig.db.UserSession.findOrCreate({
         where:    { phone: from, clientId },
         defaults: {
-          name:       contact?.profile?.name || 'Client',
-          phone:      from,
+          name:          contact?.profile?.name || 'Client',
+          phone:         from,
           clientId,
-          history:    [],
-          state:      { selectedService: null },
-          lastAccess: new Date()
+          history:       [],
+          state:         { selectedService: null },
+          lastAccess:    new Date(),
+          lastInboundAt: new Date()
         },
         transaction: t
       });
+      llmContext.sessionId = session.id;
 
       if (isNewUser) {
         logger.whatsapp('info', 'New user session created', { requestId, sessionId: session.id, from: `***${from.slice(-4)}` });
+        // A returning customer whose conversation was archived picks up where they left off
+        if (await restoreArchivedSession({ session, transaction: t })) isNewUser = false;
       } else {
         logger.whatsapp('info', 'Existing user session found', { requestId, sessionId: session.id, from: `***${from.slice(-4)}` });
-        session.lastAccess = new Date();
+        // Outside the transaction: a row lock held here would block the next message of a
+        // burst until this turn commits, defeating message aggregation
+        const now = new Date();
+        await dbConfig.db.UserSession.update({ lastAccess: now, lastInboundAt: now }, { where: { id: session.id } });
+        session.lastAccess    = now;
+        session.lastInboundAt = now;
+      }
+
+      publishInbound({ session, msg });
+
+      // AI turns of non-text messages run in this transaction
+      const replyWithAI = (turn) => replyWithAIFor({ client, from, session, transaction: t, ...turn });
+
+      // Reactions never get an answer — record them even while a staff member has the conversation
+      if (msg.type === 'reaction') {
+        const recorded = await recordReaction({ client, waMessageId: msg.reaction?.message_id, emoji: msg.reaction?.emoji, timestamp: msg.timestamp });
+        logger.whatsapp('info', recorded ? 'Reaction recorded' : 'Reaction to an unknown message ignored', {
+          requestId,
+          from: `***${from.slice(-4)}`,
+          waMessageId: msg.reaction?.message_id,
+          emoji: msg.reaction?.emoji || null
+        });
+        return;
+      }
+
+      await recordUsage(client, USAGE_METRICS.INBOUND_MESSAGES);
+
+      // Opt-out registry: STOP / START in any supported locale. Confirmations are the only
+      // messages an opted-out user still receives; START from a subscribed user is just a message.
+      const consent        = await ensureConsent(clientId, from);
+      const isOptedOut     = consent?.status === CONSENT_STATUS.OPTED_OUT;
+      const consentKeyword = msg.type === 'text' ? matchConsentKeyword(msg.text.body) : null;
+      const consentLocale  = session.history?.slice().reverse().find(h => h.language)?.language || consentKeyword?.locale || 'en';
+      const t_consent      = i18next.getFixedT(consentLocale);
+      const companyName    = client?.companyName || client?.name || '';
+
+      if (clientId && (consentKeyword?.action === 'stop' || (consentKeyword?.action === 'start' && isOptedOut))) {
+        const optingOut = consentKeyword.action === 'stop';
+        await setConsent({
+          clientId,
+          phone:   from,
+          status:  optingOut ? CONSENT_STATUS.OPTED_OUT : CONSENT_STATUS.OPTED_IN,
+          source:  'keyword',
+          keyword: consentKeyword.keyword,
+          locale:  consentKeyword.locale
+        });
+        const confirmation = t_consent(optingOut ? 'consent_opted_out' : 'consent_opted_in', { company: companyName });
+        await sendMessage({ client, to: from, message: confirmation, consentExempt: true });
+
+        session.history.push({ role: 'user',  content: msg.text.body, language: consentLocale, timestamp: new Date() });
+        session.history.push({ role: 'model', content: confirmation,  language: consentLocale, timestamp: new Date() });
+        session.changed('history', true);
         await session.save({ transaction: t });
+        return;
+      }
+
+      if (isOptedOut) {
+        logger.whatsapp('info', 'Message from opted-out user — not answered', { requestId, from: `***${from.slice(-4)}`, messageType });
+        const remindedAt = session.state.optOutReminderAt ? new Date(session.state.optOutReminderAt).getTime() : 0;
+        if (Date.now() - remindedAt >= OPT_OUT_REMINDER_INTERVAL_MS) {
+          await sendMessage({ client, to: from, message: t_consent('consent_still_opted_out', { company: companyName }), consentExempt: true });
+          session.state.optOutReminderAt = new Date().toISOString();
+          session.changed('state', true);
+          await session.save({ transaction: t });
+        }
+        return;
       }
 
-      // 3. Route by message type
+      // 3. Trial or subscription over (grace period included) or account disabled — keep the
+      //    message so nothing is lost when the client renews, but never answer it
+      if (client && !client.isSubscriptionValid()) {
+        const lastLocale = session.history?.slice().reverse().find(h => h.language)?.language || 'en';
+        session.history.push({ role: 'user', content: describeInbound(msg), language: lastLocale, timestamp: new Date() });
+        session.changed('history', true);
+        await session.save({ transaction: t });
+        logger.whatsapp('warn', 'Subscription not valid — message kept, bot not answering', {
+          requestId,
+          clientId,
+          subscriptionStatus: client.subscriptionStatus,
+          isActive:           client.isActive
+        });
+        return;
+      }
+
+      // 4. A staff member has the conversation — keep the history for them, never answer with the bot
+      if (isHandedOff(session)) {
+        const lastLocale = session.history?.slice().reverse().find(h => h.language)?.language || 'en';
+        session.history.push({ role: 'user', content: describeInbound(msg), language: lastLocale, timestamp: new Date() });
+        session.changed('history', true);
+        await session.save({ transaction: t });
+        logger.whatsapp('info', 'Message kept for human agent — bot paused', { requestId, sessionId: session.id, messageType, handoffStatus: session.handoffStatus });
+        return;
+      }
+
+      // 5. Monthly message quota reached — keep the message for staff and tell the customer
+      //    once per quota month instead of answering with the bot
+      const quota = clientId ? await getQuotaStatus(clientId) : null;
+      if (quota?.exceeded) {
+        const lastLocale = session.history?.slice().reverse().find(h => h.language)?.language || 'en';
+        const noticeFor  = quota.periodStart?.toISOString() || 'unset';
+        session.history.push({ role: 'user', content: describeInbound(msg), language: lastLocale, timestamp: new Date() });
+
+        if (session.state.quotaNoticeFor !== noticeFor) {
+          const notice = client.quotaExceededMessage || i18next.getFixedT(lastLocale)('quota_exceeded', { company: companyName });
+          await send(from, notice);
+          session.history.push({ role: 'model', content: notice, language: lastLocale, timestamp: new Date() });
+          session.state.quotaNoticeFor = noticeFor;
+          session.changed('state', true);
+        }
+        session.changed('history', true);
+        await session.save({ transaction: t });
+        logger.whatsapp('warn', 'Monthly message quota reached — bot not answering', { requestId, clientId, used: quota.used, limit: quota.limit, resetsAt: quota.resetsAt });
+        return;
+      }
+
+      // 6. Route by message type
       if (msg.type === 'text') {
         const text         = msg.text.body.trim().toLowerCase();
         const originalText = msg.text.body.trim();
@@ -132,8 +384,11 @@ const handleWebhook = async (req, res) => {
         if (trulyNewUser) {
           logger.whatsapp('info', 'Sending welcome message to new user', { requestId, from: `***${from.slice(-4)}` });
           locale = await ragService.detectLanguage(originalText, []);
+          const { greeting } = await getPromptConfig(client?.id);
+          if (greeting) await send(from, greeting);
           await sendServiceList(from, locale, client);
           session.history.push({ role: 'user',  content: msg.text.body, language: locale, timestamp: new Date() });
+          if (greeting) session.history.push({ role: 'model', content: greeting, language: locale, timestamp: new Date() });
           session.history.push({ role: 'model', content: 'Service list shown', language: locale, timestamp: new Date() });
           session.changed('history', true);
           await session.save({ transaction: t });
@@ -152,34 +407,35 @@ const handleWebhook = async (req, res) => {
           return;
         }
 
-        const userEmail       = session.state.email || null;
-        const userInputLang   = await ragService.detectCurrentLanguage(originalText);
-        const response        = await processAI({ client, from, message: msg.text.body, history: session.history, userEmail, language: userInputLang });
-        locale = response.language || userInputLang;
-
-        if (response.showServices) {
-          const serviceListLocale = session.history?.slice().reverse().find(h => h.role === 'user' && h.language)?.language || userInputLang;
-          await sendServiceList(from, serviceListLocale, client);
-          session.history.push({ role: 'user',  content: msg.text.body, language: userInputLang, timestamp: new Date() });
-          session.history.push({ role: 'model', content: 'Service list shown', language: locale, timestamp: new Date() });
+        if (isHandoffKeyword(text)) {
+          logger.whatsapp('info', 'User asked for a human agent', { requestId, from: `***${from.slice(-4)}` });
+          const lastHistory = session.history?.slice().reverse().find(h => h.language);
+          locale = lastHistory?.language || await ragService.detectLanguage(originalText, session.history);
+          await startHandoff({ session, client, source: 'keyword', reason: `User typed "${originalText}"`, transaction: t });
+          await send(from, (await getPromptConfig(client?.id)).escalationMessage || i18next.getFixedT(locale)('handoff_started'));
+          session.history.push({ role: 'user',  content: originalText,                  language: locale, timestamp: new Date() });
+          session.history.push({ role: 'model', content: 'Handed off to a human agent', language: locale, timestamp: new Date() });
           session.changed('history', true);
           await session.save({ transaction: t });
           return;
         }
 
-        if (response.reply) {
-          await send(from, response.reply);
+        // Answered once this transaction has committed (see answerTextBurst)
+        return { burstText: originalText, sessionId: session.id };
 
-          if (response.reply.includes('@') && !session.state.email) {
-            const emailMatch = response.reply.match(/[\w.-]+@[\w.-]+\.\w+/);
-            if (emailMatch) session.state.email = emailMatch[0];
-          }
+      } else if (msg.type === 'interactive' && parseSlotReplyId((msg.interactive?.button_reply || msg.interactive?.list_reply)?.id)) {
+        const reply    = msg.interactive.button_reply || msg.interactive.list_reply;
+        const isoStart = parseSlotReplyId(reply.id);
 
-          session.history.push({ role: 'user',  content: msg.text.body, language: userInputLang, timestamp: new Date() });
-          session.history.push({ role: 'model', content: response.reply, language: locale,       timestamp: new Date() });
-          session.changed('history', true);
-          await session.save({ transaction: t });
-        }
+        logger.whatsapp('info', 'Slot selection received', { requestId, from: `***${from.slice(-4)}`, isoStart, replyType: msg.interactive.type });
+
+        const historyLocale = session.history?.slice().reverse().find(h => h.role === 'user' && h.language)?.language || 'en';
+        await replyWithAI({
+          message:        `I'd like to book the consultation slot on ${reply.title}.`,
+          historyContent: `Selected slot: ${reply.title} (${isoStart})`,
+          language:       historyLocale,
+          selectedSlot:   isoStart
+        });
 
       } else if (msg.type === 'interactive' && msg.interactive?.type === 'list_reply') {
         const selectedId    = msg.interactive.list_reply.id;
@@ -192,14 +448,15 @@ const handleWebhook = async (req, res) => {
 
         if (service) {
           const historyLocale = session.history?.slice().reverse().find(h => h.role === 'user' && h.language)?.language || 'en';
-          const response      = await processAI({ client, from, message: `I'm interested in ${service.name}. I'd like to learn more about this service.`, history: session.history, userEmail: null, language: historyLocale });
+          const context       = await conversationContext({ session, client, transaction: t });
+          const response      = await processAI({ client, from, message: `I'm interested in ${service.name}. I'd like to learn more about this service.`, history: context.history, summary: context.summary, userEmail: null, language: historyLocale, sessionId: session.id });
           const locale        = response.language || historyLocale;
 
-          if (response.reply) await send(from, response.reply);
+          if (response.reply) await sendFormattedReply(from, response.reply, client, locale);
 
           session.state.selectedService = service.id;
           session.history.push({ role: 'user',  content: `Selected: ${service.name}`, language: locale, timestamp: new Date() });
-          session.history.push({ role: 'model', content: response.reply || 'Service selected', language: locale, timestamp: new Date() });
+          session.history.push({ role: 'model', content: response.reply || 'Service selected', language: locale, ...(response.toolCalls?.length ? { toolCalls: response.toolCalls } : {}), timestamp: new Date() });
           session.changed('history', true);
           await session.save({ transaction: t });
         } else {
@@ -235,33 +492,111 @@ const handleWebhook = async (req, res) => {
         logger.whatsapp('info', 'Audio transcribed', { requestId, from: `***${from.slice(-4)}`, transcriptionLength: transcribedText.length });
 
         const userInputLang = await ragService.detectCurrentLanguage(transcribedText);
-        const userEmail     = session.state.email || null;
-        const response      = await processAI({ client, from, message: transcribedText, history: session.history, userEmail, language: userInputLang });
-        const locale        = response.language || userInputLang;
-
-        if (response.showServices) {
-          const serviceListLocale = session.history?.slice().reverse().find(h => h.role === 'user' && h.language)?.language || userInputLang;
-          await sendServiceList(from, serviceListLocale);
-          session.history.push({ role: 'user',  content: `[Voice] ${transcribedText}`, language: userInputLang, timestamp: new Date() });
-          session.history.push({ role: 'model', content: 'Service list shown',         language: locale,       timestamp: new Date() });
-          session.changed('history', true);
-          await session.save({ transaction: t });
+        await replyWithAI({ message: transcribedText, historyContent: `[Voice] ${transcribedText}`, language: userInputLang, voice: true });
+
+      } else if (msg.type === 'image' || msg.type === 'document') {
+        const media = {
+          kind:     msg.type,
+          id:       msg[msg.type]?.id,
+          mimeType: msg[msg.type]?.mime_type,
+          caption:  msg[msg.type]?.caption?.trim() || '',
+          filename: msg[msg.type]?.filename || null
+        };
+
+        logger.whatsapp('info', 'Media message received', { requestId, from: `***${from.slice(-4)}`, kind: media.kind, mediaId: media.id, mimeType: media.mimeType });
+
+        const lastLocale = session.history?.slice().reverse().find(h => h.language)?.language || 'en';
+        const t_media    = i18next.getFixedT(lastLocale);
+
+        if (!isSupportedMedia(media.kind, media.mimeType)) {
+          logger.whatsapp('info', 'Media rejected — unsupported type', { requestId, kind: media.kind, mimeType: media.mimeType });
+          await send(from, t_media('media_unsupported', 'Sorry, I can only read images and PDF documents. Please describe your request in a message instead.'));
           return;
         }
 
-        if (response.reply) {
-          await send(from, response.reply);
-          session.history.push({ role: 'user',  content: `[Voice] ${transcribedText}`, language: userInputLang, timestamp: new Date() });
-          session.history.push({ role: 'model', content: response.reply,               language: locale,       timestamp: new Date() });
-          session.changed('history', true);
-          await session.save({ transaction: t });
+        let description;
+        try {
+          description = await understandMedia({ client, media });
+        } catch (mediaErr) {
+          logger.error('Media understanding failed', { error: mediaErr.message, kind: media.kind, mediaId: media.id });
+          await send(from, t_media('media_processing_failed', "Sorry, I couldn't read that file. Please send an image or PDF under 14 MB, or describe your request in a message."));
+          return;
+        }
+
+        logger.whatsapp('info', 'Media understood', { requestId, from: `***${from.slice(-4)}`, kind: media.kind, descriptionLength: description.length });
+
+        const label         = media.kind === 'image' ? 'Image' : `Document${media.filename ? `: ${media.filename}` : ''}`;
+        const userInputLang = media.caption ? await ragService.detectCurrentLanguage(media.caption) : lastLocale;
+        const aiMessage     = `${media.caption || `(The user sent ${media.kind === 'image' ? 'an image' : 'a document'} without a caption.)`}\n\n` +
+          `[Attached ${media.kind}${media.filename ? ` "${media.filename}"` : ''} — extracted content:]\n${description}`;
+
+        await replyWithAI({
+          message:        aiMessage,
+          historyContent: `[${label}]${media.caption ? ` ${media.caption}` : ''}\n${description}`,
+          language:       userInputLang
+        });
+
+      } else if (msg.type === 'location') {
+        const { latitude, longitude, name: placeName, address } = msg.location || {};
+        const locale     = session.history?.slice().reverse().find(h => h.language)?.language || 'en';
+        const t_location = i18next.getFixedT(locale);
+        const shared     = { latitude, longitude, name: placeName || null, address: address || null, sharedAt: new Date().toISOString() };
+
+        logger.whatsapp('info', 'Location received', { requestId, from: `***${from.slice(-4)}`, hasName: !!placeName });
+
+        session.state.lastLocation = shared;
+        const nearest = findNearestOffice(client?.officeLocations, { latitude, longitude });
+        let modelContent;
+
+        if (nearest) {
+          const { office } = nearest;
+          await send(from, t_location('location_nearest_office', {
+            name:     office.name || client?.companyName || client?.name,
+            address:  office.address || '',
+            distance: nearest.distanceKm.toFixed(1)
+          }));
+          await sendLocation(from, office, client);
+          modelContent = `Nearest office shared: ${office.name || office.address} (${nearest.distanceKm.toFixed(1)} km away)`;
+        } else {
+          // No offices configured — the client meets customers where they are
+          session.state.meetingLocation = shared;
+          const place = [placeName, address].filter(Boolean).join(', ') || `${latitude}, ${longitude}`;
+          await send(from, t_location('location_meeting_confirmed', { place }));
+          modelContent = `Meeting place noted: ${place}`;
         }
 
+        session.changed('state', true);
+        session.history.push({ role: 'user',  content: describeInbound(msg), language: locale, timestamp: new Date() });
+        session.history.push({ role: 'model', content: modelContent,         language: locale, timestamp: new Date() });
+        session.changed('history', true);
+        await session.save({ transaction: t });
+
+      } else if (msg.type === 'contacts') {
+        const locale     = session.history?.slice().reverse().find(h => h.language)?.language || 'en';
+        const t_referral = i18next.getFixedT(locale);
+
+        logger.whatsapp('info', 'Contact cards received', { requestId, from: `***${from.slice(-4)}`, count: msg.contacts?.length || 0 });
+
+        const { saved, duplicates } = await saveReferrals({ client, session, contacts: msg.contacts });
+        const reply = saved.length
+          ? t_referral('referral_saved', { count: saved.length, names: saved.map(r => r.name).join(', ') })
+          : duplicates
+            ? t_referral('referral_already_known')
+            : t_referral('referral_invalid');
+        await send(from, reply);
+
+        session.history.push({ role: 'user',  content: describeInbound(msg), language: locale, timestamp: new Date() });
+        session.history.push({ role: 'model', content: reply,                language: locale, timestamp: new Date() });
+        session.changed('history', true);
+        await session.save({ transaction: t });
+
       } else {
         logger.whatsapp('info', 'Unsupported message type', { requestId, from: `***${from.slice(-4)}`, messageType, messageId });
       }
     }); // end transaction
 
+    if (deferred?.burstText) await answerTextBurst({ client, from, messageId, requestId, ...deferred });
+
   } catch (err) {
     console.error('WhatsApp webhook error', err);
     logger.error('WhatsApp webhook error', { requestId, error: err.message, stack: err.stack, errorType: err.constructor.name });
@@ -272,18 +607,6 @@ const handleWebhook = async (req, res) => {
       logger.error('Error sending failure response', { error: sendErr.message });
     }
   }
-};
-
-// Cleanup old sessions hourly
-setInterval(async () => {
-  const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  try {
-    await dbConfig.db.UserSession.destroy({ where: { lastAccess:   { [Op.lt]: cutoff } } });
-    await dbConfig.db.ProcessedMessage.destroy({ where: { processedAt: { [Op.lt]: cutoff } } });
-    whatsappSessions.clear();
-  } catch (err) {
-    logger.error('Session cleanup error', { error: err.message });
-  }
-}, 60 * 60 * 1000);
+}
 
 export { handleWebhook };
@@ -1,19 +1,13 @@
 import dbConfig from '../models/index.js';
-import { sendWhatsAppMessage } from './whatsapp/sendWhatsappMessage.js';
+import { sendInWindow } from '../services/serviceWindowService.js';
 import dotenv from 'dotenv';
 import logger from '../logger/logger.js'
 import { flutterwaveUtil } from '../utils/flutterwave.js';
 import { bookingService } from '../services/booking.service.js';
+import { isBillingPayment, handleBillingWebhook } from '../services/billingService.js';
 
 dotenv.config();
 
-function clientCredentials(client) {
-  return {
-    phoneNumberId: client?.whatsappBusinessId,
-    token:         client?.getDecryptedWhatsappToken?.()
-  };
-}
-
 async function paymentWebhookHandler(req, res) {
   const secretHash = process.env.FLW_WEBHOOK_SECRET;
   const signature = req.headers['verif-hash'];
@@ -22,6 +16,21 @@ async function paymentWebhookHandler(req, res) {
     return res.status(401).end();
   }
 
+  // Subscription payments from our own clients share this endpoint with booking deposits
+  if (await isBillingPayment(req.body)) {
+    try {
+      const result = await handleBillingWebhook(req.body);
+      return res.status(200).json({ success: result.handled, invoice: result.invoice?.number || null, ...(result.reason ? { reason: result.reason } : {}) });
+    } catch (err) {
+      logger.error('Billing webhook error', { tx_ref: req.body?.data?.tx_ref, error: err.message, stack: err.stack });
+      // Non-2xx so Flutterwave retries the notification
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+
+  // The payment can complete long after the user's last message, so every
+  // notification goes through the 24 h service window check
+  let delivery = null;
   try {
     const payload = req.body;
 
@@ -164,7 +173,8 @@ async function paymentWebhookHandler(req, res) {
           `We apologize for the inconvenience!`;
       }
 
-      await sendWhatsAppMessage(phone, message, clientCredentials(client));
+      delivery = await sendInWindow({ client, to: phone, message });
+      logger.payment('info', 'Booking outcome sent to user', { tx_ref: payload.data.tx_ref, success, deliveryPath: delivery.path });
 
     } else {
       // Payment not successful — look up client via tx_ref so we can send from the right number
@@ -180,10 +190,11 @@ async function paymentWebhookHandler(req, res) {
         `Please try again or contact support if the issue persists.\n\n` +
         `Thank you!`;
 
-      await sendWhatsAppMessage(meta?.phone, failedPaymentMessage, clientCredentials(failedClient));
+      delivery = await sendInWindow({ client: failedClient, to: meta?.phone, message: failedPaymentMessage });
+      logger.payment('info', 'Failed payment notice sent to user', { tx_ref: req.body.data?.tx_ref, deliveryPath: delivery.path });
     }
 
-    res.status(200).json({ success: true });
+    res.status(200).json({ success: true, deliveryPath: delivery?.path || null });
 
   } catch (err) {
     logger.error('Payment Webhook Error', { error: err.message, stack: err.stack });
@@ -0,0 +1,161 @@
+import dotenv from 'dotenv';
+import logger from '../../logger/logger.js';
+
+dotenv.config();
+
+// Gemini caps a request with inline data at 20 MB. Base64 grows the bytes by a third, so
+// the media itself has to stay under about 15 MB; 14 MB leaves room for the prompt.
+export const MAX_INLINE_MEDIA_BYTES = 14 * 1024 * 1024;
+
+const SUPPORTED_MIME_TYPES = {
+  image:    ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'],
+  document: ['application/pdf', 'text/plain', 'text/csv', 'text/html', 'text/markdown']
+};
+
+const UNDERSTANDING_PROMPTS = {
+  image:
+    'A customer sent this image to a business assistant on WhatsApp. Describe what it shows in a few sentences. ' +
+    'If it contains text — an error message, a screenshot of an application, a form or an invoice — transcribe that text verbatim. ' +
+    'Return ONLY the description, with no preamble.',
+  document:
+    'A customer sent this document to a business assistant on WhatsApp. Extract the information a sales consultant needs: ' +
+    'purpose, requested services or scope, requirements, deadlines, budget and contact details when present. ' +
+    'Return a concise plain-text summary of at most 300 words, with no preamble.'
+};
+
+function baseMimeType(mimeType) {
+  return String(mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+export function isSupportedMedia(kind, mimeType) {
+  return (SUPPORTED_MIME_TYPES[kind] || []).includes(baseMimeType(mimeType));
+}
+
+/**
+ * Download a WhatsApp media object by ID (two-step: resolve URL, then fetch bytes).
+ * @param {string} mediaId
+ * @param {string} waToken - Client WhatsApp Cloud API token
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Reject media larger than this before downloading
+ * @returns {Promise<{ buffer: Buffer, mimeType: string|null, sizeBytes: number }>}
+ */
+export async function downloadWhatsAppMedia(mediaId, waToken, { maxBytes = null } = {}) {
+  if (!waToken) throw new Error('downloadWhatsAppMedia: missing WhatsApp token');
+
+  // Step 1: Resolve media URL from media ID
+  const metaRes = await fetch(`https://graph.facebook.com/v22.0/${mediaId}`, {
+    headers: { Authorization: `Bearer ${waToken}` }
+  });
+
+  if (!metaRes.ok) {
+    const body = await metaRes.text();
+    throw new Error(`Failed to retrieve media metadata (${metaRes.status}): ${body}`);
+  }
+
+  const mediaMeta = await metaRes.json();
+  if (!mediaMeta.url) {
+    throw new Error('No media URL returned from WhatsApp media API');
+  }
+  if (maxBytes && mediaMeta.file_size > maxBytes) {
+    throw new Error(`Media too large (${mediaMeta.file_size} bytes, limit ${maxBytes})`);
+  }
+
+  // Step 2: Download media bytes
+  const mediaRes = await fetch(mediaMeta.url, {
+    headers: { Authorization: `Bearer ${waToken}` }
+  });
+
+  if (!mediaRes.ok) {
+    const body = await mediaRes.text();
+    throw new Error(`Failed to download media (${mediaRes.status}): ${body}`);
+  }
+
+  const buffer = Buffer.from(await mediaRes.arrayBuffer());
+  if (maxBytes && buffer.byteLength > maxBytes) {
+    throw new Error(`Media too large (${buffer.byteLength} bytes, limit ${maxBytes})`);
+  }
+
+  return { buffer, mimeType: mediaMeta.mime_type || null, sizeBytes: buffer.byteLength };
+}
+
+/**
+ * Upload bytes to the WhatsApp media API so they can be sent by ID.
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @param {Object} credentials - { phoneNumberId, token }
+ * @param {string} [filename]
+ * @returns {Promise<string>} Media ID
+ */
+export async function uploadWhatsAppMedia(buffer, mimeType, credentials, filename = 'media') {
+  const { phoneNumberId, token } = credentials || {};
+  if (!phoneNumberId || !token) throw new Error('uploadWhatsAppMedia: missing client credentials');
+
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', baseMimeType(mimeType));
+  form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+  const res = await fetch(`https://graph.facebook.com/v22.0/${phoneNumberId}/media`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.id) {
+    throw new Error(`Media upload failed (${res.status}): ${data?.error?.message || JSON.stringify(data)}`);
+  }
+  return data.id;
+}
+
+/**
+ * Describe an inbound image or extract the content of an inbound document with the client's LLM provider.
+ * @param {Object} media
+ * @param {'image'|'document'} media.kind
+ * @param {string} media.id        - WhatsApp media ID
+ * @param {string} media.mimeType  - MIME type reported in the webhook
+ * @param {string} [media.caption]
+ * @param {string} [media.filename]
+ * @param {Object} credentials - { token, llm }
+ * @returns {Promise<string>} Description / extracted text
+ */
+export async function understandWhatsAppMedia(media, credentials = null) {
+  const waToken   = credentials?.token;
+  const llm       = credentials?.llm;
+
+  if (!waToken || !llm) {
+    throw new Error('understandWhatsAppMedia: missing client credentials (token or LLM provider)');
+  }
+  if (!isSupportedMedia(media.kind, media.mimeType)) {
+    throw new Error(`Unsupported ${media.kind} type: ${media.mimeType}`);
+  }
+
+  const { buffer, sizeBytes } = await downloadWhatsAppMedia(media.id, waToken, { maxBytes: MAX_INLINE_MEDIA_BYTES });
+
+  logger.info('Media downloaded for understanding', {
+    mediaId:  media.id,
+    kind:     media.kind,
+    mimeType: media.mimeType,
+    sizeBytes
+  });
+
+  const context = [
+    media.filename ? `File name: ${media.filename}` : null,
+    media.caption  ? `Caption from the customer: ${media.caption}` : null
+  ].filter(Boolean).join('\n');
+
+  const result = await llm.complete({
+    operation:   'media_understanding',
+    attachments: [{ data: buffer, mimeType: baseMimeType(media.mimeType) }],
+    prompt:      context ? `${UNDERSTANDING_PROMPTS[media.kind]}\n\n${context}` : UNDERSTANDING_PROMPTS[media.kind]
+  });
+
+  const description = result.text.trim();
+
+  logger.info('Media understanding complete', {
+    mediaId:           media.id,
+    kind:              media.kind,
+    descriptionLength: description.length
+  });
+
+  return description;
+}
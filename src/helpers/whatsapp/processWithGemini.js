@@ -1,12 +1,12 @@
 import dotenv from 'dotenv';
-import { systemInstruction } from '../../constants/constantMessages.js';
 import googleSheets from '../../utils/googlesheets.js';
 import getCalendarData from '../../utils/getCalendarData.js';
 import dbConfig from '../../models/index.js';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { whatsappSessions } from '../../controllers/whatsappController.js';
 import logger from '../../logger/logger.js';
 import ragService from '../../services/rag.service.js';
+import { buildFallbackPrompt } from './prompts.js';
+import { invokeCustomTool, toolResponse, toolDeclaration, BUILT_IN_TOOLS, MAX_TOOL_ROUNDS } from '../../services/customToolService.js';
 
 dotenv.config();
 
@@ -31,12 +31,11 @@ function needsCalendar(intent, message) {
 
 const USE_RAG = process.env.USE_RAG !== 'false';
 
-export async function processWithGemini(phoneNumber, message, history = [], userEmail = null, currentLanguage = null, clientConfig = {}) {
+export async function processWithGemini(phoneNumber, message, history = [], userEmail = null, currentLanguage = null, clientConfig = {}, turnContext = {}) {
   const sanitizedPhone = `***${phoneNumber.slice(-4)}`;
   // ── Per-client configuration ──────────────────────────────────────────────
-  const geminiKey = clientConfig.geminiApiKey;
-  if (!geminiKey) throw new Error('processWithGemini: client is missing a Gemini API key');
-  const genAI              = new GoogleGenerativeAI(geminiKey);
+  // Null when the client's provider could not be built; the turn then gets the fallback reply
+  const llm = clientConfig.llm || null;
   const timezone           = clientConfig.timezone           || 'Africa/Kigali';
   const companyName        = clientConfig.companyName        || clientConfig.name || 'Our Company';
   const paymentRedirectUrl = clientConfig.paymentRedirectUrl || '';
@@ -44,13 +43,24 @@ export async function processWithGemini(phoneNumber, message, history = [], user
   const currency           = clientConfig.currency           || 'RWF';
   const namespace          = clientConfig.pineconeIndex || clientConfig.clientId || 'default';
   const clientId           = clientConfig.clientId           || null;
-
-  logger.gemini('info', 'Processing request with Gemini from ' + sanitizedPhone, {
-    phone: sanitizedPhone, messageLength: message.length,
-    historyLength: history.length, hasUserEmail: !!userEmail, clientId, namespace
+  // Persona, tone, reply length and rules (promptConfigService); defaults apply when unset
+  const promptConfig       = clientConfig.promptConfig       || null;
+  // Client-registered HTTP tools (customToolService), offered next to the built-in ones
+  const customTools        = clientConfig.customTools        || [];
+  // ISO start the user picked from the slot picker — wins over whatever time the model passes
+  const selectedSlot       = turnContext.selectedSlot        || null;
+  // Condensed older turns; `history` then only holds the recent ones
+  const summary            = turnContext.summary             || null;
+  const sessionId          = turnContext.sessionId           || null;
+
+  logger.gemini('info', 'Processing request with ' + (llm?.name || 'no provider') + ' from ' + sanitizedPhone, {
+    phone: sanitizedPhone, provider: llm?.name || null, messageLength: message.length,
+    historyLength: history.length, hasSummary: !!summary, hasUserEmail: !!userEmail, clientId, namespace
   });
 
   try {
+    if (!llm) throw new Error('processWithGemini: no LLM provider for the client');
+
     // ── Lazy calendar loader — fetches once per request, only when needed ──
     let _employee    = null;
     let _freeSlots   = null;
@@ -110,46 +120,58 @@ export async function processWithGemini(phoneNumber, message, history = [], user
     const servicesList = services.map(s => `• ${s.name}${s.details ? ' - ' + s.details : ''}`).join('\n');
 
     // ── Tool definitions ──────────────────────────────────────────────────
+    // Parameters are JSON Schema, understood by every provider
     const tools = [
       {
-        functionDeclarations: [
-          {
-            name: 'show_services',
-            description: 'Show the list of available services to the user.'
-          },
-          {
-            name: 'initiate_payment',
-            description: 'Initiate a payment for a consultation booking.',
-            parameters: {
-              type: 'OBJECT',
-              properties: {
-                service: { type: 'STRING', description: 'The service name' },
-                name:    { type: 'STRING', description: 'Customer name' },
-                email:   { type: 'STRING', description: 'Customer email' },
-                start:   { type: 'STRING', description: 'ISO start time of the slot' },
-                details: { type: 'STRING', description: 'Service specific details' },
-                company: { type: 'STRING', description: 'Company name (optional)' }
-              },
-              required: ['service', 'name', 'email', 'start']
-            }
+        name: 'show_services',
+        description: 'Show the list of available services to the user.'
+      },
+      {
+        name: 'show_slots',
+        description: 'Show the available consultation time slots to the user as a selectable list. Call this whenever the user wants to book or asks when they can meet, instead of listing times in text.'
+      },
+      {
+        name: 'request_human',
+        description: 'Hand the conversation over to a human staff member. Call this when the user asks to talk to a person, is clearly frustrated, or needs something you cannot help with.',
+        parameters: {
+          type: 'object',
+          properties: {
+            reason: { type: 'string', description: 'Short reason for the handoff, for the staff member' }
+          }
+        }
+      },
+      {
+        name: 'initiate_payment',
+        description: 'Initiate a payment for a consultation booking.',
+        parameters: {
+          type: 'object',
+          properties: {
+            service: { type: 'string', description: 'The service name' },
+            name:    { type: 'string', description: 'Customer name' },
+            email:   { type: 'string', description: 'Customer email' },
+            start:   { type: 'string', description: 'ISO start time of the slot' },
+            details: { type: 'string', description: 'Service specific details' },
+            company: { type: 'string', description: 'Company name (optional)' }
           },
-          {
-            name: 'save_inquiry',
-            description: 'Save an inquiry when a user is interested but not ready to book.',
-            parameters: {
-              type: 'OBJECT',
-              properties: {
-                service:  { type: 'STRING' },
-                name:     { type: 'STRING' },
-                email:    { type: 'STRING' },
-                details:  { type: 'STRING' },
-                timeline: { type: 'STRING' },
-                budget:   { type: 'STRING' }
-              }
-            }
+          required: ['service', 'name', 'email', 'start']
+        }
+      },
+      {
+        name: 'save_inquiry',
+        description: 'Save an inquiry when a user is interested but not ready to book.',
+        parameters: {
+          type: 'object',
+          properties: {
+            service:  { type: 'string' },
+            name:     { type: 'string' },
+            email:    { type: 'string' },
+            details:  { type: 'string' },
+            timeline: { type: 'string' },
+            budget:   { type: 'string' }
           }
-        ]
-      }
+        }
+      },
+      ...customTools.map(toolDeclaration)
     ];
 
     // ── Build prompt ──────────────────────────────────────────────────────
@@ -179,7 +201,7 @@ export async function processWithGemini(phoneNumber, message, history = [], user
           depositInfo: `All consultations require a commitment deposit of ${depositAmount} ${currency} to confirm booking.`
         };
 
-        prompt = ragService.buildAugmentedPrompt(retrievedData, message, dynamicData, { companyName });
+        prompt = ragService.buildAugmentedPrompt(retrievedData, message, dynamicData, { companyName, promptConfig });
         logger.info(`RAG retrieved ${retrievedData.relevantDocs} docs, intent=${ragIntent}, calendar=${calendarNeeded}`);
       } catch (ragError) {
         logger.warn('RAG retrieval failed, using fallback', { error: ragError.message });
@@ -188,7 +210,7 @@ export async function processWithGemini(phoneNumber, message, history = [], user
         const slots = calendarNeeded ? await loadSlots() : [];
         const slotDetails = slots.map((s, i) => `${i + 1}. ${s.dayName}, ${s.date} at ${s.time} (ISO: ${s.isoStart})`).join('\n');
         const now = calendarNeeded ? _currentDate : (() => { const d = toDisplay(new Date(), timezone); return `${d.dayName}, ${d.date} at ${d.time}`; })();
-        prompt = buildFallbackPrompt(slotDetails, now, detectedLanguage, companyName, depositAmount, currency);
+        prompt = buildFallbackPrompt({ slotDetails, currentDate: now, companyName, depositAmount, currency, promptConfig });
       }
     } else {
       detectedLanguage = currentLanguage || await ragService.detectLanguage(message, history);
@@ -196,59 +218,84 @@ export async function processWithGemini(phoneNumber, message, history = [], user
       const slots = calendarNeeded ? await loadSlots() : [];
       const slotDetails = slots.map((s, i) => `${i + 1}. ${s.dayName}, ${s.date} at ${s.time} (ISO: ${s.isoStart})`).join('\n');
       const now = calendarNeeded ? _currentDate : (() => { const d = toDisplay(new Date(), timezone); return `${d.dayName}, ${d.date} at ${d.time}`; })();
-      prompt = buildFallbackPrompt(slotDetails, now, detectedLanguage, companyName, depositAmount, currency);
+      prompt = buildFallbackPrompt({ slotDetails, currentDate: now, companyName, depositAmount, currency, promptConfig });
+    }
+
+    if (summary) {
+      prompt += `\n\nCONVERSATION SO FAR (summary of earlier messages; the most recent messages follow in the chat):\n${summary}\n`;
     }
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite', tools });
-    const chat  = model.startChat({
-      systemInstruction: { parts: [{ text: prompt }] },
-      history: history.map(h => ({
-        role:  h.role === 'user' ? 'user' : 'model',
-        parts: [{ text: h.content }]
-      }))
+    const chat = llm.startChat({
+      system:  prompt,
+      history: history.map(h => ({ role: h.role, content: h.content })),
+      tools
     });
 
     const langNames    = { en: 'English', fr: 'French', rw: 'Kinyarwanda', de: 'German', sw: 'Swahili', kis: 'Swahili' };
     const msgLangName  = langNames[currentLanguage];
-    const messageToSend = msgLangName
+    let messageToSend = msgLangName
       ? `${message}\n\n[IMPORTANT: This message is in ${msgLangName}. You MUST respond ONLY in ${msgLangName}.]`
       : message;
+    if (selectedSlot) {
+      messageToSend += `\n\n[The user picked the consultation slot starting at ${selectedSlot} from the slot list. Use exactly this ISO start time when calling initiate_payment.]`;
+    }
 
-    let result   = await chat.sendMessage(messageToSend);
-    let response = result.response;
-    let text     = response.text();
+    let bookingInitiated = false;
+    const toolCalls      = [];   // kept on the model turn in the session history (transcripts)
 
-    // ── Tool call loop ────────────────────────────────────────────────────
-    while (response.candidates?.[0]?.content?.parts?.some(p => p.functionCall)) {
-      const functionCalls = response.candidates[0].content.parts
-        .filter(p => p.functionCall).map(p => p.functionCall);
+    let result = await chat.send(messageToSend);
+    let text   = result.text;
 
+    // ── Tool call loop ────────────────────────────────────────────────────
+    let toolRounds = 0;
+    while (result.functionCalls.length) {
+      if (++toolRounds > MAX_TOOL_ROUNDS) {
+        logger.error('Tool call limit reached', { phone: sanitizedPhone, rounds: MAX_TOOL_ROUNDS, toolCalls: toolCalls.map(c => c.name) });
+        return { reply: "I'm having trouble connecting right now. Please try again in a moment!", showServices: false, showSlots: false, freeSlots: [], toolCalls };
+      }
       const toolResults = [];
 
-      for (const call of functionCalls) {
+      for (const call of result.functionCalls) {
+        toolCalls.push({ name: call.name, args: call.args || {} });
 
         if (call.name === 'show_services') {
           // Fetch slots on-demand since user is heading toward booking
           const freeSlots = await loadSlots().catch(() => []);
-          toolResults.push({
-            functionResponse: { name: 'show_services', response: { success: true, message: 'Displaying services list to user.' } }
-          });
-          return { reply: null, showServices: true, showSlots: false, freeSlots, language: detectedLanguage };
+          toolResults.push({ name: 'show_services', response: { success: true, message: 'Displaying services list to user.' } });
+          return { reply: null, showServices: true, showSlots: false, freeSlots, language: detectedLanguage, toolCalls };
+        }
+
+        if (call.name === 'show_slots') {
+          const freeSlots = await loadSlots().catch(() => []);
+          logger.info('show_slots tool called', { phone: sanitizedPhone, slotCount: freeSlots.length });
+          return { reply: null, showServices: false, showSlots: true, freeSlots, language: detectedLanguage, toolCalls };
+        }
+
+        if (call.name === 'request_human') {
+          logger.info('request_human tool called', { phone: sanitizedPhone, reason: call.args?.reason });
+          return { reply: null, showServices: false, showSlots: false, freeSlots: [], handoffRequested: true, handoffReason: call.args?.reason || null, language: detectedLanguage, toolCalls };
         }
 
         if (call.name === 'initiate_payment') {
           const data           = call.args;
-          const requestedStart = new Date(data.start);
-          logger.info('initiate_payment tool called', { data });
+          const requestedStart = new Date(selectedSlot || data.start);
+          logger.info('initiate_payment tool called', { data, selectedSlot });
 
           // Ensure slots are loaded before matching
           const freeSlots = await loadSlots().catch(() => []);
-          const matchingSlot = freeSlots.find(slot =>
-            Math.abs(new Date(slot.isoStart) - requestedStart) < 60000
-          );
+          // The start must fall in a free window with an hour left. Exact window starts are
+          // not enough: the first window's start moves with the clock, so a slot picked on an
+          // earlier turn (and passed back by the model from the history) would no longer match.
+          const matchingSlot = (() => {
+            const slot = freeSlots.find(s =>
+              new Date(s.isoStart) - requestedStart < 60000 &&
+              (new Date(s.isoEnd) - requestedStart) >= 60 * 60 * 1000
+            );
+            return slot ? { ...slot, isoStart: new Date(Math.max(requestedStart, new Date(slot.isoStart))).toISOString() } : null;
+          })();
 
           if (!matchingSlot) {
-            toolResults.push({ functionResponse: { name: 'initiate_payment', response: { success: false, error: 'Time slot no longer available.' } } });
+            toolResults.push({ name: 'initiate_payment', response: { success: false, error: 'Time slot no longer available.' } });
             continue;
           }
 
@@ -287,32 +334,42 @@ export async function processWithGemini(phoneNumber, message, history = [], user
             });
 
             const paymentData = await paymentRes.json();
+            if (paymentData.status === 'success') bookingInitiated = true;
             toolResults.push(paymentData.status === 'success'
-              ? { functionResponse: { name: 'initiate_payment', response: { success: true, paymentLink: paymentData.data.link } } }
-              : { functionResponse: { name: 'initiate_payment', response: { success: false, error: 'Payment gateway error' } } }
+              ? { name: 'initiate_payment', response: { success: true, paymentLink: paymentData.data.link } }
+              : { name: 'initiate_payment', response: { success: false, error: 'Payment gateway error' } }
             );
           } catch (e) {
             logger.error('Error in initiate_payment tool', { error: e.message });
-            toolResults.push({ functionResponse: { name: 'initiate_payment', response: { success: false, error: e.message } } });
+            toolResults.push({ name: 'initiate_payment', response: { success: false, error: e.message } });
           }
         }
 
         if (call.name === 'save_inquiry') {
           try {
             await dbConfig.db.ServiceRequest.create({ ...call.args, clientId, phone: phoneNumber, status: 'new' });
-            toolResults.push({ functionResponse: { name: 'save_inquiry', response: { success: true, message: 'Inquiry saved successfully.' } } });
+            toolResults.push({ name: 'save_inquiry', response: { success: true, message: 'Inquiry saved successfully.' } });
           } catch (e) {
-            toolResults.push({ functionResponse: { name: 'save_inquiry', response: { success: false, error: e.message } } });
+            toolResults.push({ name: 'save_inquiry', response: { success: false, error: e.message } });
           }
         }
+
+        const customTool = customTools.find(t => t.name === call.name);
+        if (customTool) {
+          const outcome = await invokeCustomTool({ tool: customTool, args: call.args || {}, sessionId });
+          toolResults.push({ name: customTool.name, response: toolResponse(customTool, outcome) });
+        } else if (!BUILT_IN_TOOLS.includes(call.name)) {
+          // Every call needs a result, or the model is sent an empty tool turn
+          logger.info('Unknown tool called', { phone: sanitizedPhone, tool: call.name });
+          toolResults.push({ name: call.name, response: { success: false, error: `Unknown tool "${call.name}"` } });
+        }
       }
 
-      result   = await chat.sendMessage(toolResults);
-      response = result.response;
-      text     = response.text();
+      result = await chat.sendToolResults(toolResults);
+      text   = result.text;
     }
 
-    const responseText = result.response.text();
+    const responseText = result.text;
     let parsedResult;
     try {
       const jsonMatch = responseText.match(/\{[\s\S]*\}/);
@@ -326,40 +383,16 @@ export async function processWithGemini(phoneNumber, message, history = [], user
       language:     parsedResult.language || detectedLanguage || 'en',
       showServices: parsedResult.showServices || false,
       showSlots:    parsedResult.showSlots    || false,
-      freeSlots:    parsedResult.freeSlots    || []
+      freeSlots:    parsedResult.freeSlots    || [],
+      bookingInitiated,
+      toolCalls
     };
 
   } catch (err) {
-    logger.error('Gemini processing error', { phone: sanitizedPhone, error: err.message, stack: err.stack, status: err.status });
+    logger.error('LLM processing error', { phone: sanitizedPhone, provider: llm?.name || null, error: err.message, stack: err.stack, status: err.status });
     console.log(err)
     if (err.status === 429) return { reply: "🔄 We're experiencing high demand right now. Please try again in a moment or type 'menu' to see our services.", showServices: false, showSlots: false, freeSlots: [] };
     if (err.status === 503) return { reply: "⚠️ Our AI is currently busy. Please try again in a few seconds.", showServices: false, showSlots: false, freeSlots: [] };
     return { reply: "I'm having trouble connecting right now. Please try again in a moment!", showServices: false, showSlots: false, freeSlots: [] };
   }
 }
-
-function buildFallbackPrompt(slotDetails, currentDate, locale = 'en', companyName = 'Our Company', depositAmount = 5000, currency = 'RWF') {
-  return `
-You are a warm, professional AI assistant for ${companyName}.
-
-CRITICAL LANGUAGE RULE:
-- ALWAYS respond in the SAME language as the user's CURRENT message.
-- Supported: English (en), French (fr), Kinyarwanda (rw), Swahili (sw), German (de).
-- NEVER default to English if the user's current message is in another language.
-
-CORE BEHAVIOR:
-- Be friendly but brief and to-the-point
-- Keep responses under 3 sentences unless asking follow-up questions
-
-${slotDetails ? `AVAILABLE CONSULTATION SLOTS:\n${slotDetails}\n` : ''}
-Current Date: ${currentDate}
-${slotDetails ? `Deposit required to confirm booking: ${depositAmount} ${currency}` : ''}
-
-OUTPUT FORMAT:
-ALWAYS return your response in the following JSON format:
-{
-  "language": "iso_code",
-  "reply": "your response text here"
-}
-`;
-}
@@ -0,0 +1,78 @@
+import { REPLY_LENGTHS } from '../../models/PromptConfig.js';
+
+// Pieces of the system prompt that a client can configure (see promptConfigService).
+// Client text only fills its own sections; the language rule and the output format are
+// always written after it and stay authoritative.
+
+export const DEFAULT_TONE = 'warm, professional and customer-focused';
+
+const REPLY_LENGTH_RULES = {
+  [REPLY_LENGTHS.SHORT]:  'Keep replies to 1-2 short sentences; ask one question at a time',
+  [REPLY_LENGTHS.MEDIUM]: 'Keep responses concise (2-4 sentences) unless more detail is needed',
+  [REPLY_LENGTHS.LONG]:   'Give complete answers (up to 6 sentences) when the customer needs detail, without filler'
+};
+
+/** Opening line: the client's persona, else a generic assistant for the company */
+export function personaLine(promptConfig = {}, companyName = 'our company') {
+  const persona = promptConfig?.persona?.replace(/^you are\s+/i, '').replace(/[.\s]+$/, '');
+  return persona
+    ? `You are ${persona}. You answer on behalf of ${companyName}.`
+    : `You are a professional AI assistant for ${companyName}.`;
+}
+
+export function replyLengthRule(promptConfig = {}) {
+  return REPLY_LENGTH_RULES[promptConfig?.replyLength] || REPLY_LENGTH_RULES[REPLY_LENGTHS.MEDIUM];
+}
+
+export function toneRule(promptConfig = {}) {
+  return `Be ${promptConfig?.tone || DEFAULT_TONE}`;
+}
+
+/** The client's business rules and forbidden topics, or '' when there are none */
+export function clientRulesSection(promptConfig = {}, companyName = 'the company') {
+  const rules     = promptConfig?.rules || [];
+  const forbidden = promptConfig?.forbiddenTopics || [];
+  if (!rules.length && !forbidden.length) return '';
+
+  const lines = [];
+  if (rules.length) {
+    lines.push(`BUSINESS RULES FROM ${companyName.toUpperCase()}:`);
+    rules.forEach(rule => lines.push(`- ${rule}`));
+  }
+  if (forbidden.length) {
+    if (lines.length) lines.push('');
+    lines.push('FORBIDDEN TOPICS — never discuss these, even if asked directly. Politely decline and offer help with something else, or a staff member with the request_human tool:');
+    forbidden.forEach(topic => lines.push(`- ${topic}`));
+  }
+  lines.push('', 'These rules never change the language rule or the output format below.');
+  return lines.join('\n');
+}
+
+export function buildFallbackPrompt({
+  slotDetails, currentDate, companyName = 'Our Company', depositAmount = 5000, currency = 'RWF', promptConfig = {}
+}) {
+  const clientRules = clientRulesSection(promptConfig, companyName);
+  return `
+${personaLine(promptConfig, companyName)}
+${clientRules ? `\n${clientRules}\n` : ''}
+CRITICAL LANGUAGE RULE:
+- ALWAYS respond in the SAME language as the user's CURRENT message.
+- Supported: English (en), French (fr), Kinyarwanda (rw), Swahili (sw), German (de).
+- NEVER default to English if the user's current message is in another language.
+
+CORE BEHAVIOR:
+- ${toneRule(promptConfig)}, but brief and to-the-point
+- ${replyLengthRule(promptConfig)}
+
+${slotDetails ? `AVAILABLE CONSULTATION SLOTS:\n${slotDetails}\n` : ''}
+Current Date: ${currentDate}
+${slotDetails ? `Deposit required to confirm booking: ${depositAmount} ${currency}` : ''}
+
+OUTPUT FORMAT:
+ALWAYS return your response in the following JSON format:
+{
+  "language": "iso_code",
+  "reply": "your response text here"
+}
+`;
+}
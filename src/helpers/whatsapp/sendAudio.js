@@ -0,0 +1,39 @@
+import logger from '../../logger/logger.js';
+import { sendQueued } from '../../services/outboundQueueService.js';
+
+/**
+ * Send an uploaded audio file. WhatsApp shows Opus-in-Ogg audio as a voice note.
+ * @param {string} to
+ * @param {string} mediaId - ID returned by uploadWhatsAppMedia
+ * @param {Object} client
+ * @param {string} [transcript] - What the audio says, for the ledger and inbox
+ * @returns {Promise<Object|null>} Graph API response data ({ queued: true } when a retry is scheduled),
+ *   or null when the send failed
+ */
+export async function sendAudio(to, mediaId, client = null, transcript = '') {
+  const clientId      = client?.id || null;
+  const token         = client?.getDecryptedWhatsappToken?.() || null;
+  const phoneNumberId = client?.whatsappBusinessId || null;
+
+  if (!token || !phoneNumberId) {
+    logger.error('sendAudio: missing client credentials', { to: `***${String(to).slice(-4)}` });
+    return null;
+  }
+
+  try {
+    const result = await sendQueued({
+      credentials: { clientId, phoneNumberId, token },
+      to,
+      message: { type: 'audio', audio: { id: mediaId } },
+      preview: `[Voice] ${transcript}`.trim()
+    });
+    if (!result.ok && !result.queued) {
+      logger.error('Audio send failed', { data: result.data });
+      return null;
+    }
+    return result.data || { queued: true };
+  } catch (err) {
+    logger.error('sendAudio error', { error: err.message });
+    return null;
+  }
+}
@@ -0,0 +1,71 @@
+import i18next from '../../config/i18n.js';
+import logger from '../../logger/logger.js';
+import { sendWhatsAppMessage } from './sendWhatsappMessage.js';
+import { sendQueued } from '../../services/outboundQueueService.js';
+import { formatReply, CTA_LABEL_LIMIT } from '../../utils/whatsappFormatter.js';
+
+/**
+ * Send a model reply through the formatting layer: WhatsApp formatting, split into
+ * ordered parts when too long, and a single link turned into a CTA button.
+ * Parts are sent one after the other so they arrive in order.
+ * @param {string} to
+ * @param {string} reply  - Raw model output (markdown allowed)
+ * @param {Object} client
+ * @param {string} [locale] - Language of the default button label
+ * @returns {Promise<number>} Number of messages sent
+ */
+export async function sendFormattedReply(to, reply, client = null, locale = 'en') {
+  const clientId      = client?.id || null;
+  const phoneNumberId = client?.whatsappBusinessId;
+  const token         = client?.getDecryptedWhatsappToken?.();
+  const credentials   = { clientId, phoneNumberId, token };
+
+  if (!phoneNumberId || !token) {
+    logger.error('sendFormattedReply: missing client credentials', { clientId });
+    throw new Error('Client WhatsApp credentials are not configured');
+  }
+
+  const messages = formatReply(reply);
+  if (messages.length > 1) {
+    logger.whatsapp('info', 'Long reply split into parts', { clientId, parts: messages.length, length: reply.length });
+  }
+
+  for (const message of messages) {
+    if (message.type === 'text') {
+      await sendWhatsAppMessage(to, message.body, credentials);
+      continue;
+    }
+
+    const t = i18next.getFixedT(locale);
+    try {
+      const result = await sendQueued({
+        credentials,
+        to,
+        preview: `${message.body}\n${message.url}`,
+        message: {
+          type: 'interactive',
+          interactive: {
+            type:   'cta_url',
+            body:   { text: message.body },
+            action: {
+              name: 'cta_url',
+              parameters: {
+                display_text: (message.displayText || t('cta_open_link')).slice(0, CTA_LABEL_LIMIT),
+                url:          message.url
+              }
+            }
+          }
+        }
+      });
+
+      // Rejected outright (not just queued for retry) — the link goes back inline
+      if (!result.ok && !result.queued && !result.optedOut) {
+        logger.error('CTA button send failed', { data: result.data });
+        await sendWhatsAppMessage(to, `${message.body}\n\n${message.displayText ? `${message.displayText}: ` : ''}${message.url}`, credentials);
+      }
+    } catch (err) {
+      logger.error('sendFormattedReply error', { error: err.message });
+    }
+  }
+  return messages.length;
+}
@@ -0,0 +1,76 @@
+import logger from '../../logger/logger.js';
+import { sendQueued } from '../../services/outboundQueueService.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+/** Great-circle distance in kilometres between two { latitude, longitude } points */
+export function distanceKm(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h    = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Closest configured office to a shared location.
+ * Offices without numeric coordinates are ignored.
+ * @param {Array} offices  - Client.officeLocations
+ * @param {{ latitude: number, longitude: number }} point
+ * @returns {{ office: Object, distanceKm: number }|null}
+ */
+export function findNearestOffice(offices, point) {
+  const candidates = (Array.isArray(offices) ? offices : [])
+    .map(office => ({ ...office, latitude: Number(office?.latitude), longitude: Number(office?.longitude) }))
+    .filter(office => Number.isFinite(office.latitude) && Number.isFinite(office.longitude));
+
+  let nearest = null;
+  for (const office of candidates) {
+    const km = distanceKm(point, office);
+    if (!nearest || km < nearest.distanceKm) nearest = { office, distanceKm: km };
+  }
+  return nearest;
+}
+
+/**
+ * Send a location pin (e.g. an office) through the outbound queue.
+ * @param {string} to
+ * @param {{ latitude: number, longitude: number, name?: string, address?: string }} location
+ * @param {Object} client
+ */
+export async function sendLocation(to, location, client = null) {
+  const clientId      = client?.id || null;
+  const token         = client?.getDecryptedWhatsappToken?.() || null;
+  const phoneNumberId = client?.whatsappBusinessId || null;
+
+  if (!token || !phoneNumberId) {
+    logger.error('sendLocation: missing client credentials', { to: `***${String(to).slice(-4)}` });
+    return null;
+  }
+
+  try {
+    const result = await sendQueued({
+      credentials: { clientId, phoneNumberId, token },
+      to,
+      message: {
+        type: 'location',
+        location: {
+          latitude:  location.latitude,
+          longitude: location.longitude,
+          ...(location.name    ? { name:    location.name }    : {}),
+          ...(location.address ? { address: location.address } : {})
+        }
+      },
+      preview: `[Location] ${location.name || ''} ${location.address || ''}`.trim()
+    });
+    if (!result.ok && !result.queued) logger.error('Location send failed', { data: result.data });
+    return result.data;
+  } catch (err) {
+    logger.error('sendLocation error', { error: err.message });
+    return null;
+  }
+}
@@ -5,6 +5,7 @@ import logger from '../../logger/logger.js';
 dotenv.config();
 import i18next from '../../config/i18n.js';
 import translationService from '../../services/translation.service.js';
+import { sendQueued } from '../../services/outboundQueueService.js';
 
 export async function sendServiceList(to, locale = 'en', client = null) {
   const clientId      = client?.id || null;
@@ -18,12 +19,12 @@ export async function sendServiceList(to, locale = 'en', client = null) {
   }
 
   let services = await googleSheet.getActiveServices(clientId);
-  services = await translationService.translateServices(services, locale);
+  services = await translationService.translateServices(services, locale, { companyName: client?.companyName || client?.name });
 
   const t = i18next.getFixedT(locale);
 
   if (services.length === 0) {
-    await sendWhatsAppMessage(to, t('no_services'), { token, phoneNumberId });
+    await sendWhatsAppMessage(to, t('no_services'), { clientId, token, phoneNumberId });
     return;
   }
 
@@ -33,17 +34,12 @@ export async function sendServiceList(to, locale = 'en', client = null) {
     description: s.details?.slice(0, 40) + '...' || `Professional ${s.name}`
   }));
 
-  const url = `https://graph.facebook.com/v22.0/${phoneNumberId}/messages`;
   try {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type':  'application/json'
-      },
-      body: JSON.stringify({
-        messaging_product: 'whatsapp',
-        to,
+    const result = await sendQueued({
+      credentials: { clientId, phoneNumberId, token },
+      to,
+      preview: `[Service list] ${LIST_ROWS.map(r => r.title).join(', ')}`,
+      message: {
         type: 'interactive',
         interactive: {
           type:   'list',
@@ -55,20 +51,19 @@ export async function sendServiceList(to, locale = 'en', client = null) {
             sections: [{ title: t('our_services'), rows: LIST_ROWS }]
           }
         }
-      })
+      }
     });
 
-    const data = await res.json();
-
-    if (!res.ok) {
-      logger.error('Interactive list send failed', { data });
+    // Rejected outright (not just queued for retry) — degrade to a plain-text menu
+    if (!result.ok && !result.queued && !result.optedOut) {
+      logger.error('Interactive list send failed', { data: result.data });
       let fallbackText = t('select_service_body') + '\n\n';
       services.forEach((s, i) => { fallbackText += `${i + 1}. ${s.short || s.name}\n`; });
-      await sendWhatsAppMessage(to, fallbackText, { token, phoneNumberId });
+      await sendWhatsAppMessage(to, fallbackText, { clientId, token, phoneNumberId });
     } else {
-      logger.info('Service list sent successfully');
+      logger.info('Service list sent successfully', { queued: result.queued });
     }
-    return data;
+    return result.data;
   } catch (err) {
     logger.error('sendServiceList error', { error: err.message });
   }
@@ -0,0 +1,108 @@
+import { DateTime } from 'luxon';
+import { sendWhatsAppMessage } from './sendWhatsappMessage.js';
+import logger from '../../logger/logger.js';
+import i18next from '../../config/i18n.js';
+import { sendQueued } from '../../services/outboundQueueService.js';
+
+// Reply ids carry the exact ISO start so the booking flow never has to guess
+const SLOT_REPLY_PREFIX = 'slot:';
+const MAX_BUTTONS       = 3;   // WhatsApp reply-button limit
+const MAX_LIST_ROWS     = 10;  // WhatsApp list-message row limit
+
+export function toSlotReplyId(isoStart) {
+  return `${SLOT_REPLY_PREFIX}${isoStart}`;
+}
+
+export function parseSlotReplyId(id) {
+  if (typeof id !== 'string' || !id.startsWith(SLOT_REPLY_PREFIX)) return null;
+  const isoStart = id.slice(SLOT_REPLY_PREFIX.length);
+  return Number.isNaN(Date.parse(isoStart)) ? null : isoStart;
+}
+
+function slotLabel(isoStart, timezone, locale) {
+  const dt = DateTime.fromISO(isoStart).setZone(timezone).setLocale(locale);
+  return {
+    short: dt.toFormat('ccc d LLL, t'),
+    long:  dt.toFormat('cccc d LLLL yyyy, t')
+  };
+}
+
+/**
+ * Send the free consultation slots as a reply-button message (≤ 3 slots)
+ * or a list message (first 10 slots), falling back to plain text.
+ * @param {string} to
+ * @param {Array} freeSlots - Slots from loadSlots(): { isoStart, isoEnd, ... }
+ * @param {string} locale
+ * @param {Object} client
+ * @returns {Promise<Object|undefined>} Graph API response
+ */
+export async function sendSlotPicker(to, freeSlots = [], locale = 'en', client = null) {
+  const clientId      = client?.id || null;
+  const timezone      = client?.timezone || 'Africa/Kigali';
+  const phoneNumberId = client?.whatsappBusinessId;
+  const token         = client?.getDecryptedWhatsappToken?.();
+
+  if (!phoneNumberId || !token) {
+    logger.error('sendSlotPicker: missing client credentials', { clientId });
+    throw new Error('Client WhatsApp credentials are not configured');
+  }
+
+  const t = i18next.getFixedT(locale);
+
+  if (!freeSlots.length) {
+    await sendWhatsAppMessage(to, t('no_slots_available', 'Sorry, there are no consultation times available right now. Please try again later.'), { clientId, token, phoneNumberId });
+    return;
+  }
+
+  const slots = freeSlots.slice(0, MAX_LIST_ROWS).map(s => ({ ...s, label: slotLabel(s.isoStart, timezone, locale) }));
+  const body  = t('select_slot_body', 'Please pick a time for your consultation:');
+
+  const interactive = slots.length <= MAX_BUTTONS
+    ? {
+      type:   'button',
+      body:   { text: body },
+      action: {
+        buttons: slots.map(s => ({
+          type:  'reply',
+          reply: { id: toSlotReplyId(s.isoStart), title: s.label.short.slice(0, 20) }
+        }))
+      }
+    }
+    : {
+      type:   'list',
+      body:   { text: body },
+      footer: { text: t('select_slot_footer', { timezone }) },
+      action: {
+        button:   t('view_slots', 'View times'),
+        sections: [{
+          title: t('available_slots', 'Available times'),
+          rows:  slots.map(s => ({
+            id:          toSlotReplyId(s.isoStart),
+            title:       s.label.short.slice(0, 24),
+            description: s.label.long.slice(0, 72)
+          }))
+        }]
+      }
+    };
+
+  try {
+    const result = await sendQueued({
+      credentials: { clientId, phoneNumberId, token },
+      to,
+      message: { type: 'interactive', interactive },
+      preview: `[Slot picker] ${slots.map(s => s.label.short).join(', ')}`
+    });
+
+    if (!result.ok && !result.queued && !result.optedOut) {
+      logger.error('Slot picker send failed', { data: result.data });
+      let fallbackText = body + '\n\n';
+      slots.forEach((s, i) => { fallbackText += `${i + 1}. ${s.label.long}\n`; });
+      await sendWhatsAppMessage(to, fallbackText, { clientId, token, phoneNumberId });
+    } else {
+      logger.info('Slot picker sent successfully', { slotCount: slots.length, type: interactive.type, queued: result.queued });
+    }
+    return result.data;
+  } catch (err) {
+    logger.error('sendSlotPicker error', { error: err.message });
+  }
+}
@@ -1,8 +1,9 @@
 
 import dotenv from 'dotenv';
 import logger from '../../logger/logger.js';
+import { sendQueued } from '../../services/outboundQueueService.js';
 dotenv.config();
-export async function sendWhatsAppMessage(to, body, credentials = null) {
+export async function sendWhatsAppMessage(to, body, credentials = null, { consentExempt = false } = {}) {
   const phoneNumberId = credentials?.phoneNumberId;
   const token         = credentials?.token;
 
@@ -11,25 +12,18 @@ export async function sendWhatsAppMessage(to, body, credentials = null) {
     throw new Error('Client WhatsApp credentials are not configured');
   }
 
-  const url = `https://graph.facebook.com/v22.0/${phoneNumberId}/messages`;
   try {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        messaging_product: 'whatsapp',
-        to,
-        type: 'text',
-        text: { body }
-      })
+    const result = await sendQueued({
+      credentials,
+      to,
+      message: { type: 'text', text: { body } },
+      preview: body,
+      consentExempt
     });
-    const data = await res.json();
-    if (!res.ok) throw new Error(JSON.stringify(data));
-    return data;
+    if (result.optedOut) return null;
+    if (!result.ok && !result.queued) throw new Error(JSON.stringify(result.data));
+    return result.data;
   } catch (err) {
     logger.error('Send message failed', { error: err.message });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,38 @@
+import logger from '../../logger/logger.js';
+
+const SUMMARY_PROMPT =
+  'You maintain the memory of a business assistant chatting with a customer on WhatsApp. ' +
+  'Update the summary below with the new messages. Keep what the assistant needs to continue the conversation: ' +
+  'the customer\'s name, company and contact details they gave, the services they asked about and their needs, ' +
+  'slots offered or chosen, booking and payment status, promises made by the assistant or staff, open questions, ' +
+  'and the language the customer writes in. Drop greetings and small talk. ' +
+  'Write plain text in English, at most 250 words, with no preamble.';
+
+/**
+ * Fold older conversation turns into a running summary.
+ * @param {Object} params
+ * @param {string|null} params.previousSummary
+ * @param {Object[]} params.turns          - Session history entries ({ role, content, agent? })
+ * @param {Object} params.llm            - LLM provider (services/llm)
+ * @returns {Promise<string>}
+ */
+export async function summarizeHistory({ previousSummary = null, turns, llm }) {
+  if (!llm) throw new Error('summarizeHistory: missing LLM provider');
+
+  const transcript = turns
+    .map(h => `${h.role === 'user' ? 'Customer' : h.agent ? `Staff (${h.agent})` : 'Assistant'}: ${h.content}`)
+    .join('\n');
+
+  const result = await llm.complete({
+    operation: 'history_summary',
+    prompt:    [
+      SUMMARY_PROMPT,
+      `CURRENT SUMMARY:\n${previousSummary || '(none yet)'}`,
+      `NEW MESSAGES:\n${transcript}`
+    ].join('\n\n')
+  });
+
+  const summary = result.text.trim();
+  logger.gemini('info', 'Conversation history summarized', { turns: turns.length, summaryLength: summary.length });
+  return summary;
+}
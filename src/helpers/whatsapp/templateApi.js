@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import logger from '../../logger/logger.js';
+
+const GRAPH_BASE   = 'https://graph.facebook.com/v22.0';
+const LIST_FIELDS  = 'id,name,language,status,category,components,rejected_reason,parameter_format';
+
+function graphError(data, fallback) {
+  const err = new Error(data?.error?.error_user_msg || data?.error?.message || fallback);
+  err.status  = 502;
+  err.details = data?.error || null;
+  return err;
+}
+
+// ─── Graph API (production) ─────────────────────────────────────────────────
+
+const graphTemplateApi = {
+  name: 'graph',
+
+  async listTemplates({ wabaId, token }) {
+    const templates = [];
+    let url = `${GRAPH_BASE}/${wabaId}/message_templates?fields=${LIST_FIELDS}&limit=100`;
+
+    while (url) {
+      const res  = await fetch(url, { headers: { 'Authorization': `Bearer ${token}` } });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw graphError(data, `Template list failed with HTTP ${res.status}`);
+
+      templates.push(...(data.data || []));
+      url = data.paging?.next || null;
+    }
+    return templates;
+  },
+
+  async createTemplate({ wabaId, token, template }) {
+    const res = await fetch(`${GRAPH_BASE}/${wabaId}/message_templates`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type':  'application/json'
+      },
+      body: JSON.stringify(template)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw graphError(data, `Template submission failed with HTTP ${res.status}`);
+    return data;   // { id, status, category }
+  }
+};
+
+// ─── In-memory stand-in (local runs without a Meta account) ─────────────────
+// Keeps templates in memory per WABA, lost on restart, and approves submissions immediately.
+
+const localStore = new Map();   // wabaId -> template[]
+
+const localTemplateApi = {
+  name: 'local',
+
+  async listTemplates({ wabaId }) {
+    return (localStore.get(wabaId) || []).map(t => ({ ...t }));
+  },
+
+  async createTemplate({ wabaId, template }) {
+    const existing = localStore.get(wabaId) || [];
+    if (existing.some(t => t.name === template.name && t.language === template.language)) {
+      throw graphError({ error: { message: `Template ${template.name} (${template.language}) already exists` } });
+    }
+
+    const created = {
+      id:               `local_${crypto.randomUUID()}`,
+      status:           'APPROVED',
+      parameter_format: 'POSITIONAL',
+      ...template
+    };
+    localStore.set(wabaId, [...existing, created]);
+    return { id: created.id, status: created.status, category: created.category };
+  }
+};
+
+/** Template API selected by WHATSAPP_TEMPLATE_API (graph | local) */
+export function getTemplateApi() {
+  if (process.env.WHATSAPP_TEMPLATE_API === 'local') return localTemplateApi;
+  if (process.env.WHATSAPP_TEMPLATE_API && process.env.WHATSAPP_TEMPLATE_API !== 'graph') {
+    logger.warn('Unknown WHATSAPP_TEMPLATE_API — using the Graph API', { value: process.env.WHATSAPP_TEMPLATE_API });
+  }
+  return graphTemplateApi;
+}
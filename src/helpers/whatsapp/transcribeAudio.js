@@ -1,75 +1,47 @@
 import dotenv from 'dotenv';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import logger from '../../logger/logger.js';
+import { downloadWhatsAppMedia, MAX_INLINE_MEDIA_BYTES } from './mediaPipeline.js';
+import { voiceNoteSeconds } from '../../utils/audioDuration.js';
 
 dotenv.config();
 
+/**
+ * Download a WhatsApp voice note and transcribe it with the client's LLM provider.
+ * @param {Object} credentials - { token, llm }
+ * @returns {Promise<{ text: string, durationSeconds: number }>}
+ */
 export async function transcribeWhatsAppAudio(mediaId, mimeType = 'audio/ogg; codecs=opus', credentials = null) {
   const waToken   = credentials?.token;
-  const geminiKey = credentials?.geminiApiKey;
+  const llm       = credentials?.llm;
 
-  if (!waToken || !geminiKey) {
-    throw new Error('transcribeWhatsAppAudio: missing client credentials (token or geminiApiKey)');
+  if (!waToken || !llm) {
+    throw new Error('transcribeWhatsAppAudio: missing client credentials (token or LLM provider)');
   }
 
-  const genAI = new GoogleGenerativeAI(geminiKey);
-
-  // Step 1: Resolve media URL from media ID
-  const mediaMetaUrl = `https://graph.facebook.com/v22.0/${mediaId}`;
-  const metaRes = await fetch(mediaMetaUrl, {
-    headers: { Authorization: `Bearer ${waToken}` }
-  });
-
-  if (!metaRes.ok) {
-    const body = await metaRes.text();
-    throw new Error(`Failed to retrieve media metadata (${metaRes.status}): ${body}`);
-  }
-
-  const mediaMeta = await metaRes.json();
-  const audioUrl = mediaMeta.url;
-
-  if (!audioUrl) {
-    throw new Error('No audio URL returned from WhatsApp media API');
-  }
-
-  // Step 2: Download audio bytes
-  const audioRes = await fetch(audioUrl, {
-    headers: { Authorization: `Bearer ${waToken}` }
-  });
-
-  if (!audioRes.ok) {
-    const body = await audioRes.text();
-    throw new Error(`Failed to download audio (${audioRes.status}): ${body}`);
-  }
-
-  const audioBuffer = await audioRes.arrayBuffer();
-  const base64Audio = Buffer.from(audioBuffer).toString('base64');
+  // Step 1: Download audio bytes through the shared media pipeline
+  const { buffer, sizeBytes } = await downloadWhatsAppMedia(mediaId, waToken, { maxBytes: MAX_INLINE_MEDIA_BYTES });
 
   logger.info('Audio downloaded for transcription', {
     mediaId,
     mimeType,
-    sizeBytes: audioBuffer.byteLength
+    sizeBytes
   });
 
-  // Step 3: Transcribe with Gemini
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash-lite' });
-
-  const result = await model.generateContent([
-    {
-      inlineData: {
-        data: base64Audio,
-        mimeType
-      }
-    },
-    'Transcribe this voice message accurately. Return ONLY the transcribed text with no additional commentary, labels, or formatting.'
-  ]);
+  // Step 2: Transcribe
+  const result = await llm.transcribe({
+    audio:  buffer,
+    mimeType,
+    prompt: 'Transcribe this voice message accurately. Return ONLY the transcribed text with no additional commentary, labels, or formatting.'
+  });
 
-  const transcription = result.response.text().trim();
+  const transcription   = result.text.trim();
+  const durationSeconds = voiceNoteSeconds(buffer);
 
   logger.info('Audio transcription complete', {
     mediaId,
+    durationSeconds,
     transcriptionLength: transcription.length
   });
 
-  return transcription;
+  return { text: transcription, durationSeconds };
 }
@@ -0,0 +1,56 @@
+import logger from '../../logger/logger.js';
+
+const GOOGLE_TTS_URL = 'https://texttospeech.googleapis.com/v1/text:synthesize';
+
+// WhatsApp plays audio/ogg voice notes only when the codec is Opus
+export const VOICE_NOTE_MIME_TYPE = 'audio/ogg; codecs=opus';
+
+function ttsError(data, fallback) {
+  const err = new Error(data?.error?.message || fallback);
+  err.status  = 502;
+  err.details = data?.error || null;
+  return err;
+}
+
+// Every provider exposes `name`, `defaultVoices` ({ language: voice }) and
+// synthesize({ text, voice, apiKey }) → { audio: Buffer, mimeType }
+
+// ─── Google Cloud Text-to-Speech (production) ───────────────────────────────
+// Voice names carry their language code: "fr-FR-Neural2-A" -> "fr-FR".
+
+const googleTtsProvider = {
+  name: 'google',
+
+  defaultVoices: {
+    en: 'en-US-Neural2-F',
+    fr: 'fr-FR-Neural2-A',
+    de: 'de-DE-Neural2-A'
+  },
+
+  async synthesize({ text, voice, apiKey }) {
+    if (!apiKey) throw new Error('Google TTS: missing API key');
+
+    const languageCode = voice.split('-').slice(0, 2).join('-');
+    const res = await fetch(`${GOOGLE_TTS_URL}?key=${encodeURIComponent(apiKey)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        input:       { text },
+        voice:       { languageCode, name: voice },
+        audioConfig: { audioEncoding: 'OGG_OPUS' }
+      })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.audioContent) throw ttsError(data, `Speech synthesis failed with HTTP ${res.status}`);
+
+    return { audio: Buffer.from(data.audioContent, 'base64'), mimeType: VOICE_NOTE_MIME_TYPE };
+  }
+};
+
+/** TTS provider selected by TTS_PROVIDER (google) */
+export function getTtsProvider() {
+  if (process.env.TTS_PROVIDER && process.env.TTS_PROVIDER !== 'google') {
+    logger.warn('Unknown TTS_PROVIDER — using Google Text-to-Speech', { value: process.env.TTS_PROVIDER });
+  }
+  return googleTtsProvider;
+}
@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+import logger from '../logger/logger.js';
+
+function tokenMatches(token, expected) {
+  const a = crypto.createHash('sha256').update(String(token)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Guards the admin API routers: requests must send `Authorization: Bearer <ADMIN_API_TOKEN>`.
+ * Open in development, like the knowledge base admin routes; closed everywhere else
+ * while ADMIN_API_TOKEN is unset.
+ */
+export function requireAdminToken(req, res, next) {
+  if (process.env.NODE_ENV === 'development') return next();
+
+  const expected = process.env.ADMIN_API_TOKEN;
+  const header   = req.headers.authorization || '';
+  const token    = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (expected && token && tokenMatches(token, expected)) return next();
+
+  logger.warn('Admin API request rejected', { method: req.method, path: req.originalUrl.split('?')[0], reason: expected ? 'invalid_token' : 'no_admin_token' });
+  return res.status(401).json({ error: 'Unauthorized' });
+}
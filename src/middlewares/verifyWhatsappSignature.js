@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { resolveClient } from '../services/clientService.js';
+import { extractWebhookPayload } from '../utils/extractors.js';
+
+// When true, webhooks are rejected even before any app secret is configured
+const REQUIRE_SIGNATURE = process.env.WHATSAPP_REQUIRE_SIGNATURE === 'true';
+
+// Once WHATSAPP_APP_SECRET or any client app secret is set, webhooks that cannot be
+// verified are rejected. phone_number_id is read from the unverified body, so letting a
+// client without a secret through lets anyone post as that client; opt in explicitly.
+const ALLOW_UNSIGNED = process.env.WHATSAPP_ALLOW_UNSIGNED === 'true';
+
+const SECRETS_CHECK_TTL_MS = 60 * 1000;
+let secretsConfigured = { value: false, checkedAt: 0 };
+
+const metrics = {
+  verified:   0,
+  unverified: 0,
+  rejected:   { missing_raw_body: 0, missing_signature: 0, invalid_signature: 0, no_app_secret: 0 },
+  lastRejection: null
+};
+
+/** Snapshot of signature verification counters since process start */
+export function getSignatureMetrics() {
+  const rejectedTotal = Object.values(metrics.rejected).reduce((sum, n) => sum + n, 0);
+  return {
+    verified:      metrics.verified,
+    unverified:    metrics.unverified,
+    rejectedTotal,
+    rejected:      { ...metrics.rejected },
+    lastRejection: metrics.lastRejection,
+    requireSignature: REQUIRE_SIGNATURE,
+    allowUnsigned:    ALLOW_UNSIGNED
+  };
+}
+
+// Whether signing is set up anywhere; cached briefly since it is asked on every webhook
+async function anyAppSecretConfigured() {
+  if (process.env.WHATSAPP_APP_SECRET) return true;
+  if (Date.now() - secretsConfigured.checkedAt < SECRETS_CHECK_TTL_MS) return secretsConfigured.value;
+
+  const count = await dbConfig.db.Client.count({ where: { whatsappAppSecret: { [Op.ne]: null } } });
+  secretsConfigured = { value: count > 0, checkedAt: Date.now() };
+  return secretsConfigured.value;
+}
+
+function reject(req, res, reason, phoneNumberId) {
+  metrics.rejected[reason] += 1;
+  metrics.lastRejection = { reason, phoneNumberId: phoneNumberId || null, at: new Date().toISOString() };
+
+  logger.whatsapp('warn', 'WhatsApp webhook rejected — signature check failed', {
+    requestId: req.requestId,
+    reason,
+    phoneNumberId,
+    ip: req.ip
+  });
+  return res.sendStatus(401);
+}
+
+function signatureMatches(rawBody, header, appSecret) {
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`
+  );
+  const received = Buffer.from(String(header));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Verify Meta's X-Hub-Signature-256 header against the raw request body, using the
+ * app secret of the Client that owns the phone_number_id (or WHATSAPP_APP_SECRET).
+ * Webhooks without a usable secret only pass while no secret is configured anywhere,
+ * or with WHATSAPP_ALLOW_UNSIGNED=true.
+ * Requires `req.rawBody`, captured by the express.json() verify hook in app.js.
+ */
+export async function verifyWhatsappSignature(req, res, next) {
+  const { phoneNumberId } = extractWebhookPayload(req.body);
+
+  try {
+    const client    = await resolveClient(phoneNumberId);
+    const appSecret = client?.getDecryptedWhatsappAppSecret?.() || process.env.WHATSAPP_APP_SECRET || null;
+
+    if (!appSecret) {
+      if (REQUIRE_SIGNATURE) return reject(req, res, 'no_app_secret', phoneNumberId);
+      if (!ALLOW_UNSIGNED && await anyAppSecretConfigured()) return reject(req, res, 'no_app_secret', phoneNumberId);
+      metrics.unverified += 1;
+      logger.whatsapp('debug', 'No app secret configured — webhook signature not verified', { requestId: req.requestId, phoneNumberId });
+      return next();
+    }
+
+    if (!req.rawBody) return reject(req, res, 'missing_raw_body', phoneNumberId);
+
+    const header = req.get('x-hub-signature-256');
+    if (!header) return reject(req, res, 'missing_signature', phoneNumberId);
+
+    if (!signatureMatches(req.rawBody, header, appSecret)) return reject(req, res, 'invalid_signature', phoneNumberId);
+
+    metrics.verified += 1;
+    next();
+  } catch (err) {
+    logger.error('WhatsApp signature verification error', { requestId: req.requestId, error: err.message });
+    res.sendStatus(500);
+  }
+}
@@ -0,0 +1,28 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Meta messaging limit tier and throughput per client number (outbound send queue)
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      whatsapp_messaging_tier: {
+        type: Sequelize.ENUM('TIER_250', 'TIER_1K', 'TIER_10K', 'TIER_100K', 'TIER_UNLIMITED'),
+        allowNull: false,
+        defaultValue: 'TIER_1K',
+        comment: 'Meta messaging limit tier — unique business-initiated recipients per rolling 24 h'
+      },
+      whatsapp_throughput_mps: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 80,
+        comment: 'Meta throughput for this number in messages/second (80 default, up to 1000 when upgraded)'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'clients', ['whatsapp_messaging_tier', 'whatsapp_throughput_mps'], { enums: ['whatsapp_messaging_tier'] });
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Per-client Meta app secret for webhook signature checks
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      whatsapp_app_secret: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Encrypted Meta app secret used to verify X-Hub-Signature-256 on webhooks; falls back to WHATSAPP_APP_SECRET'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'clients', ['whatsapp_app_secret']);
+  }
+};
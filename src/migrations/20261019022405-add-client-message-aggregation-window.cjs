@@ -0,0 +1,21 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Per-client quiet period for merging bursts of user messages
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      message_aggregation_window_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Quiet period that merges a burst of user messages into one AI turn; null = MESSAGE_AGGREGATION_WINDOW_MS env var, 0 = off'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'clients', ['message_aggregation_window_ms']);
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Human agent handoff: staff alert settings per client, handoff state per session
+
+const SESSION_COLUMNS = ['handoff_status', 'handoff_source', 'handoff_reason', 'handoff_agent', 'handoff_started_at', 'handoff_last_activity_at'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      handoff_notify_numbers: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Staff WhatsApp numbers alerted when a conversation is handed to a human; falls back to whatsappToNumber'
+      },
+      handoff_timeout_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 30,
+        comment: 'Minutes without agent activity before the conversation returns to the bot'
+      }
+    });
+
+    await addMissingColumns(queryInterface, 'user_sessions', {
+      handoff_status: {
+        type: Sequelize.ENUM('bot', 'requested', 'agent'),
+        allowNull: false,
+        defaultValue: 'bot'
+      },
+      handoff_source: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'What started the handoff: ai | keyword | admin'
+      },
+      handoff_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      handoff_agent: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Name of the staff member currently replying'
+      },
+      handoff_started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      handoff_last_activity_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Last agent action (or the request itself); drives the hand-back timeout'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'user_sessions', SESSION_COLUMNS, { enums: ['handoff_status'] });
+    await removeColumns(queryInterface, 'clients', ['handoff_notify_numbers', 'handoff_timeout_minutes']);
+  }
+};
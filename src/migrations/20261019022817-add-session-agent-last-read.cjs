@@ -0,0 +1,21 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Agent inbox unread counts
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'user_sessions', {
+      agent_last_read_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When a staff member last opened the conversation in the inbox; drives unread counts'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'user_sessions', ['agent_last_read_at']);
+  }
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+const { addMissingColumns, changeColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Shared locations (client offices), reactions on sent messages and referral leads,
+// which may have no email
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      office_locations: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Offices suggested when a user shares their location: [{ name, address, latitude, longitude }]'
+      }
+    });
+
+    await addMissingColumns(queryInterface, 'outbound_messages', {
+      reaction: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: "Recipient's current emoji reaction; null when none or removed"
+      },
+      reacted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      }
+    });
+
+    await addMissingColumns(queryInterface, 'service_requests', {
+      source: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Where the lead came from, e.g. whatsapp_referral; null for bookings and inquiries'
+      },
+      referred_by_phone: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'WhatsApp number of the user who shared this contact'
+      }
+    });
+    await changeColumns(queryInterface, 'service_requests', {
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Required for bookings; referral leads shared as a contact card may only have a phone'
+      }
+    });
+  },
+
+  // Fails while referral leads without an email exist
+  async down(queryInterface, Sequelize) {
+    await changeColumns(queryInterface, 'service_requests', { email: { type: Sequelize.STRING, allowNull: false } });
+    await removeColumns(queryInterface, 'service_requests', ['source', 'referred_by_phone']);
+    await removeColumns(queryInterface, 'outbound_messages', ['reaction', 'reacted_at']);
+    await removeColumns(queryInterface, 'clients', ['office_locations']);
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Consent registry: queued opt-out/opt-in confirmations skip the consent check
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'outbound_queue', {
+      consent_exempt: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Opt-out/opt-in confirmations are delivered even to opted-out recipients'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'outbound_queue', ['consent_exempt']);
+  }
+};
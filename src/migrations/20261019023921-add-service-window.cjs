@@ -0,0 +1,30 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// 24 h customer service window: last inbound message per session, fallback template per client
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      window_fallback_template: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Approved template sent instead of free text outside the 24 h service window: { name, language, values }; `$message` / `$name` / `$phone` tokens are filled per send, plus `$reason` on staff handoff alerts'
+      }
+    });
+
+    await addMissingColumns(queryInterface, 'user_sessions', {
+      last_inbound_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Last message received from the user; opens the 24 h customer service window'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'user_sessions', ['last_inbound_at']);
+    await removeColumns(queryInterface, 'clients', ['window_fallback_template']);
+  }
+};
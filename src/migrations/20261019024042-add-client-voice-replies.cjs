@@ -0,0 +1,28 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Synthesized voice replies to voice notes
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      voice_replies_enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Answer voice notes with synthesized voice notes; needs the message_and_voice plan'
+      },
+      voice_reply_voices: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'TTS voice per reply language, e.g. { "en": "en-GB-Neural2-B", "sw": "sw-KE-Standard-A" }; unset languages use the provider default or stay text'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'clients', ['voice_replies_enabled', 'voice_reply_voices']);
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Per-client retention of idle sessions and of their archives
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      session_retention_days: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Days of inactivity before a conversation is moved to archived_sessions; null uses SESSION_RETENTION_DAYS'
+      },
+      archive_retention_days: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Days an archived conversation is kept before it is purged; null keeps archives indefinitely'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'clients', ['session_retention_days', 'archive_retention_days']);
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+const { addMissingColumns, changeColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Monthly message quotas: custom notice once the quota is reached
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      quota_exceeded_message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Sent once per quota month to a customer writing after the limit is reached; null uses the quota_exceeded translation'
+      }
+    });
+    // Only the comment changes; down leaves it in place
+    await changeColumns(queryInterface, 'clients', {
+      message_count_reset_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Start of the current quota month; messageCount goes back to 0 a month later'
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'clients', ['quota_exceeded_message']);
+  }
+};
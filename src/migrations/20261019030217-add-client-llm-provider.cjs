@@ -0,0 +1,47 @@
+'use strict';
+
+const { addMissingColumns, removeColumns } = require('./helpers/columns.cjs');
+
+// Per-client LLM provider, model and OpenAI-compatible endpoint
+
+const LLM_PROVIDER_COMMENT = 'Chat, summary, transcription and media model backend; null uses LLM_PROVIDER (default gemini)';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addMissingColumns(queryInterface, 'clients', {
+      llm_provider: {
+        type: Sequelize.ENUM('gemini', 'openai'),
+        allowNull: true
+      },
+      llm_model: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Chat model override, e.g. gpt-4o-mini or llama3.1 for an OpenAI-compatible server'
+      },
+      llm_base_url: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'OpenAI-compatible API root, e.g. http://localhost:11434/v1; falls back to OPENAI_BASE_URL'
+      },
+      llm_api_key: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Encrypted key for the OpenAI-compatible API'
+      }
+    });
+
+    // Set apart: sequelize's ENUM rewrite in addColumn runs up to the last ")" and would
+    // swallow the parenthesised part of this comment
+    const { sequelize } = queryInterface;
+    const [[{ exists }]] = await sequelize.query(
+      "SELECT to_regclass('clients') IS NOT NULL AS exists"
+    );
+    if (exists) {
+      await sequelize.query(`COMMENT ON COLUMN "clients"."llm_provider" IS ${sequelize.escape(LLM_PROVIDER_COMMENT)}`);
+    }
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'clients', ['llm_provider', 'llm_model', 'llm_base_url', 'llm_api_key'], { enums: ['llm_provider'] });
+  }
+};
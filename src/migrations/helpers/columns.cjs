@@ -0,0 +1,72 @@
+'use strict';
+
+// Shared by the migrations in ../. The app still runs sequelize.sync() at startup, which
+// creates missing tables with every column, so a migration only adds what an existing
+// table lacks: on a database that sync just created it does nothing.
+
+async function describe(queryInterface, table, transaction) {
+  try {
+    return await queryInterface.describeTable(table, { transaction });
+  } catch {
+    return null; // Table not created yet; sync creates it complete
+  }
+}
+
+// Postgres type sequelize creates for an ENUM column
+const enumTypeName = (table, column) => `enum_${table}_${column}`;
+
+/**
+ * @param {Object} queryInterface
+ * @param {string} table
+ * @param {Object} columns - { column_name: attribute definition }
+ */
+async function addMissingColumns(queryInterface, table, columns) {
+  await queryInterface.sequelize.transaction(async (transaction) => {
+    const existing = await describe(queryInterface, table, transaction);
+    if (!existing) return;
+
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!existing[column]) await queryInterface.addColumn(table, column, definition, { transaction });
+    }
+  });
+}
+
+/**
+ * Redefine columns of an existing table.
+ * @param {Object} queryInterface
+ * @param {string} table
+ * @param {Object} columns - { column_name: attribute definition }
+ */
+async function changeColumns(queryInterface, table, columns) {
+  await queryInterface.sequelize.transaction(async (transaction) => {
+    const existing = await describe(queryInterface, table, transaction);
+    if (!existing) return;
+
+    for (const [column, definition] of Object.entries(columns)) {
+      if (existing[column]) await queryInterface.changeColumn(table, column, definition, { transaction });
+    }
+  });
+}
+
+/**
+ * @param {Object} queryInterface
+ * @param {string} table
+ * @param {string[]} columns
+ * @param {Object} [options]
+ * @param {string[]} [options.enums] - Columns whose ENUM type is dropped with them
+ */
+async function removeColumns(queryInterface, table, columns, { enums = [] } = {}) {
+  await queryInterface.sequelize.transaction(async (transaction) => {
+    const existing = await describe(queryInterface, table, transaction);
+    if (!existing) return;
+
+    for (const column of columns) {
+      if (existing[column]) await queryInterface.removeColumn(table, column, { transaction });
+      if (enums.includes(column)) {
+        await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${enumTypeName(table, column)}"`, { transaction });
+      }
+    }
+  });
+}
+
+module.exports = { addMissingColumns, changeColumns, removeColumns };
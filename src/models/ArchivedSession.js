@@ -0,0 +1,68 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const ArchivedSession = sequelize.define('ArchivedSession', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Tenant key — restored only into a new session of the same client'
+    },
+    phone: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    originalSessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'UserSession id at the time it was archived'
+    },
+    payload: {
+      type: DataTypes.BLOB,
+      allowNull: false,
+      comment: 'gzip of the session JSON: history, state, name and inbox timestamps'
+    },
+    messageCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    sizeBytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Compressed payload size'
+    },
+    sessionCreatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastAccess: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Last activity of the conversation before it was archived'
+    },
+    archivedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'archived_sessions',
+    timestamps: false,
+    indexes: [
+      { fields: ['client_id', 'phone'], name: 'idx_archived_sessions_client_phone' },
+      { fields: ['archived_at'],        name: 'idx_archived_sessions_archived_at' }
+    ]
+  });
+
+  return ArchivedSession;
+};
@@ -0,0 +1,100 @@
+import { DataTypes } from 'sequelize';
+
+export const CAMPAIGN_STATUS = {
+  SCHEDULED: 'scheduled',   // waiting for scheduledAt
+  RUNNING:   'running',
+  PAUSED:    'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED:    'failed'       // audience could not be resolved, or the template disappeared
+};
+
+export default (sequelize) => {
+  const Campaign = sequelize.define('Campaign', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Tenant key — the Client whose number sends the campaign'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    templateName: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    language: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'en'
+    },
+    audience: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Audience definition: { source: list | zoho | sessions | leads, ...filters }'
+    },
+    defaultValues: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Template values ({ header, body, buttons }) shared by every recipient; $name / $phone are filled per recipient'
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: CAMPAIGN_STATUS.SCHEDULED
+    },
+    scheduledAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    throttlePerMinute: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 60,
+      validate: { min: 1 }
+    },
+    totalRecipients: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    sentCount:       { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    failedCount:     { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    skippedCount:    { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    audienceResolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Recipients are materialised once, when the campaign first starts'
+    },
+    lastBatchAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Drives the per-minute throttle across instances'
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set while an instance sends a batch; stale locks are taken over'
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    startedAt:   { type: DataTypes.DATE, allowNull: true },
+    completedAt: { type: DataTypes.DATE, allowNull: true },
+    cancelledAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'campaigns',
+    timestamps: true,
+    indexes: [
+      { fields: ['status', 'scheduled_at'], name: 'idx_campaigns_status_scheduled' },
+      { fields: ['client_id', 'status'],    name: 'idx_campaigns_client_status' }
+    ]
+  });
+
+  return Campaign;
+};
@@ -0,0 +1,73 @@
+import { DataTypes } from 'sequelize';
+
+export const RECIPIENT_STATUS = {
+  PENDING:   'pending',
+  QUEUED:    'queued',     // accepted by the outbound queue, retrying a transient failure
+  SENT:      'sent',
+  FAILED:    'failed',
+  SKIPPED:   'skipped',    // missing template values, invalid number…
+  CANCELLED: 'cancelled'
+};
+
+export default (sequelize) => {
+  const CampaignRecipient = sequelize.define('CampaignRecipient', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    campaignId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    phone: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Digits only'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    values: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Per-recipient template values, merged over Campaign.defaultValues'
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: RECIPIENT_STATUS.PENDING
+    },
+    queueItemId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    waMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'campaign_recipients',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['campaign_id', 'phone'], name: 'idx_campaign_recipients_campaign_phone' },
+      { fields: ['campaign_id', 'status'],             name: 'idx_campaign_recipients_campaign_status' }
+    ]
+  });
+
+  return CampaignRecipient;
+};
@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import CryptoJS from 'crypto-js';
+import { planSettings } from '../config/subscriptionPlans.js';
 
 export const SUBSCRIPTION_PLANS = {
   MESSAGE_ONLY:       'message_only',
@@ -13,6 +14,21 @@ export const SUBSCRIPTION_STATUS = {
   EXPIRED:  'expired'
 };
 
+// Meta messaging limit tiers (Graph API `messaging_limit_tier`); null = unlimited
+export const MESSAGING_LIMIT_TIERS = {
+  TIER_250:       250,
+  TIER_1K:        1000,
+  TIER_10K:       10000,
+  TIER_100K:      100000,
+  TIER_UNLIMITED: null
+};
+
+// LLM backends a client can run on (see src/services/llm)
+export const LLM_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai'
+};
+
 function encrypt(value) {
   return CryptoJS.AES.encrypt(value, process.env.ENCRYPTION_KEY).toString();
 }
@@ -62,6 +78,11 @@ export default (sequelize) => {
       allowNull: true,
       comment: 'Encrypted WhatsApp Cloud API permanent token'
     },
+    whatsappAppSecret: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Encrypted Meta app secret used to verify X-Hub-Signature-256 on webhooks; falls back to WHATSAPP_APP_SECRET'
+    },
     whatsappAccountId: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -77,6 +98,18 @@ export default (sequelize) => {
       allowNull: true,
       comment: 'Default recipient number for test messages'
     },
+    whatsappMessagingTier: {
+      type: DataTypes.ENUM(...Object.keys(MESSAGING_LIMIT_TIERS)),
+      allowNull: false,
+      defaultValue: 'TIER_1K',
+      comment: 'Meta messaging limit tier — unique business-initiated recipients per rolling 24 h'
+    },
+    whatsappThroughputMps: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 80,
+      comment: 'Meta throughput for this number in messages/second (80 default, up to 1000 when upgraded)'
+    },
 
     // ── AI configuration ─────────────────────────────────────────────
     geminiApiKey: {
@@ -84,6 +117,26 @@ export default (sequelize) => {
       allowNull: true,
       comment: 'Encrypted Gemini API key; falls back to DEFAULT_GEMINI_API_KEY'
     },
+    llmProvider: {
+      type: DataTypes.ENUM(...Object.values(LLM_PROVIDERS)),
+      allowNull: true,
+      comment: 'Chat, summary, transcription and media model backend; null uses LLM_PROVIDER (default gemini)'
+    },
+    llmModel: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Chat model override, e.g. gpt-4o-mini or llama3.1 for an OpenAI-compatible server'
+    },
+    llmBaseUrl: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'OpenAI-compatible API root, e.g. http://localhost:11434/v1; falls back to OPENAI_BASE_URL'
+    },
+    llmApiKey: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Encrypted key for the OpenAI-compatible API'
+    },
     pineconeIndex: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -111,6 +164,18 @@ export default (sequelize) => {
       allowNull: false,
       defaultValue: SUBSCRIPTION_PLANS.MESSAGE_ONLY
     },
+    voiceRepliesEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Answer voice notes with synthesized voice notes; needs the message_and_voice plan'
+    },
+    voiceReplyVoices: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'TTS voice per reply language, e.g. { "en": "en-GB-Neural2-B", "sw": "sw-KE-Standard-A" }; unset languages use the provider default or stay text'
+    },
     subscriptionStatus: {
       type: DataTypes.ENUM(...Object.values(SUBSCRIPTION_STATUS)),
       allowNull: false,
@@ -147,6 +212,48 @@ export default (sequelize) => {
       allowNull: true,
       comment: 'Consultation deposit in the client currency; null = use DEPOSIT_AMOUNT env var'
     },
+    officeLocations: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Offices suggested when a user shares their location: [{ name, address, latitude, longitude }]'
+    },
+    windowFallbackTemplate: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Approved template sent instead of free text outside the 24 h service window: { name, language, values }; `$message` / `$name` / `$phone` tokens are filled per send, plus `$reason` on staff handoff alerts'
+    },
+    handoffNotifyNumbers: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Staff WhatsApp numbers alerted when a conversation is handed to a human; falls back to whatsappToNumber'
+    },
+    handoffTimeoutMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+      validate: { min: 1 },
+      comment: 'Minutes without agent activity before the conversation returns to the bot'
+    },
+    sessionRetentionDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 1 },
+      comment: 'Days of inactivity before a conversation is moved to archived_sessions; null uses SESSION_RETENTION_DAYS'
+    },
+    archiveRetentionDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 1 },
+      comment: 'Days an archived conversation is kept before it is purged; null keeps archives indefinitely'
+    },
+    messageAggregationWindowMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 0 },
+      comment: 'Quiet period that merges a burst of user messages into one AI turn; null = MESSAGE_AGGREGATION_WINDOW_MS env var, 0 = off'
+    },
 
     // ── Payments — Flutterwave ────────────────────────────────────────
     flutterwaveSecretKey: {
@@ -242,7 +349,16 @@ export default (sequelize) => {
       allowNull: false,
       defaultValue: 0
     },
-    messageCountResetAt: { type: DataTypes.DATE, allowNull: true },
+    messageCountResetAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Start of the current quota month; messageCount goes back to 0 a month later'
+    },
+    quotaExceededMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Sent once per quota month to a customer writing after the limit is reached; null uses the quota_exceeded translation'
+    },
 
     isActive: {
       type: DataTypes.BOOLEAN,
@@ -260,7 +376,9 @@ export default (sequelize) => {
     hooks: {
       beforeCreate: (client) => {
         if (client.whatsappToken)         client.whatsappToken         = encrypt(client.whatsappToken);
+        if (client.whatsappAppSecret)     client.whatsappAppSecret     = encrypt(client.whatsappAppSecret);
         if (client.geminiApiKey)          client.geminiApiKey          = encrypt(client.geminiApiKey);
+        if (client.llmApiKey)             client.llmApiKey             = encrypt(client.llmApiKey);
         if (client.pineconeApiKey)        client.pineconeApiKey        = encrypt(client.pineconeApiKey);
         if (client.flutterwaveSecretKey)  client.flutterwaveSecretKey  = encrypt(client.flutterwaveSecretKey);
         if (client.flutterwaveWebhookSecret) client.flutterwaveWebhookSecret = encrypt(client.flutterwaveWebhookSecret);
@@ -275,7 +393,7 @@ export default (sequelize) => {
         client.messageCountResetAt = new Date();
       },
       beforeUpdate: (client) => {
-        const encrypted = ['whatsappToken','geminiApiKey','pineconeApiKey','flutterwaveSecretKey','flutterwaveWebhookSecret','microsoftClientSecret','confluenceApiToken'];
+        const encrypted = ['whatsappToken','whatsappAppSecret','geminiApiKey','llmApiKey','pineconeApiKey','flutterwaveSecretKey','flutterwaveWebhookSecret','microsoftClientSecret','confluenceApiToken'];
         encrypted.forEach(f => { if (client.changed(f) && client[f]) client[f] = encrypt(client[f]); });
         if (client.changed('subscriptionPlan') || client.changed('subscriptionStatus')) {
           if (client.subscriptionStatus === SUBSCRIPTION_STATUS.ACTIVE && !client.subscriptionStartDate) {
@@ -292,10 +410,18 @@ export default (sequelize) => {
     return decrypt(this.whatsappToken);
   };
 
+  Client.prototype.getDecryptedWhatsappAppSecret = function () {
+    return decrypt(this.whatsappAppSecret);
+  };
+
   Client.prototype.getDecryptedGeminiKey = function () {
     return decrypt(this.geminiApiKey);
   };
 
+  Client.prototype.getDecryptedLlmApiKey = function () {
+    return decrypt(this.llmApiKey);
+  };
+
   Client.prototype.getDecryptedConfluenceToken = function () {
     return decrypt(this.confluenceApiToken);
   };
@@ -324,11 +450,24 @@ export default (sequelize) => {
       return this.trialEndDate && now <= this.trialEndDate;
     }
     if (this.subscriptionStatus === SUBSCRIPTION_STATUS.ACTIVE) {
-      return !this.subscriptionEndDate || now <= this.subscriptionEndDate;
+      return !this.subscriptionEndDate || now <= this.getGraceEndDate();
     }
     return false;
   };
 
+  /** subscriptionEndDate plus the plan's grace period (null for open-ended subscriptions) */
+  Client.prototype.getGraceEndDate = function () {
+    if (!this.subscriptionEndDate) return null;
+    const graceDays = planSettings(this.subscriptionPlan).graceDays;
+    return new Date(new Date(this.subscriptionEndDate).getTime() + graceDays * 24 * 60 * 60 * 1000);
+  };
+
+  Client.prototype.isInGracePeriod = function () {
+    if (this.subscriptionStatus !== SUBSCRIPTION_STATUS.ACTIVE || !this.subscriptionEndDate) return false;
+    const now = new Date();
+    return now > this.subscriptionEndDate && now <= this.getGraceEndDate();
+  };
+
   Client.prototype.hasReachedMessageLimit = function () {
     if (this.maxMonthlyMessages === null) return false;
     return this.messageCount >= this.maxMonthlyMessages;
@@ -340,9 +479,9 @@ export default (sequelize) => {
     await this.save();
   };
 
-  Client.prototype.incrementMessageCount = async function () {
-    this.messageCount += 1;
-    await this.save();
+  // Atomic in SQL: cached instances and other app instances increment the same row
+  Client.prototype.incrementMessageCount = async function (by = 1) {
+    await this.increment('messageCount', { by });
   };
 
   return Client;
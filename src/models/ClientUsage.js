@@ -0,0 +1,51 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const ClientUsage = sequelize.define('ClientUsage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    period: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      comment: 'Calendar month in UTC, YYYY-MM'
+    },
+    inboundMessages: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    outboundMessages: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Messages accepted by the Graph API'
+    },
+    aiCalls: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'AI turns, transcriptions, media descriptions and history summaries'
+    },
+    voiceSeconds: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Voice notes received and synthesized'
+    }
+  }, {
+    tableName: 'client_usage',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['client_id', 'period'], name: 'idx_client_usage_client_period' }
+    ]
+  });
+
+  return ClientUsage;
+};
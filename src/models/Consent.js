@@ -0,0 +1,68 @@
+import { DataTypes } from 'sequelize';
+
+export const CONSENT_STATUS = {
+  OPTED_IN:  'opted_in',
+  OPTED_OUT: 'opted_out'
+};
+
+export default (sequelize) => {
+  const Consent = sequelize.define('Consent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Tenant key — consent is given to one Client, never shared across clients'
+    },
+    phone: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Digits only'
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: CONSENT_STATUS.OPTED_IN
+    },
+    optInSource: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'inbound_message | keyword | admin | import'
+    },
+    optInAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    optOutAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    optOutKeyword: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Keyword the user sent, as typed (e.g. STOP, ARRÊT, HAGARIKA)'
+    },
+    optOutLocale: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    history: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Every change as { status, source, keyword, locale, at }'
+    }
+  }, {
+    tableName: 'consents',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['client_id', 'phone'], name: 'idx_consents_client_phone' },
+      { fields: ['client_id', 'status'],             name: 'idx_consents_client_status' }
+    ]
+  });
+
+  return Consent;
+};
@@ -0,0 +1,84 @@
+import { DataTypes } from 'sequelize';
+import CryptoJS from 'crypto-js';
+
+function encrypt(value) {
+  return CryptoJS.AES.encrypt(value, process.env.ENCRYPTION_KEY).toString();
+}
+
+// A client-defined function the assistant can call; the tool loop POSTs the arguments
+// to the endpoint (see customToolService)
+export default (sequelize) => {
+  const CustomTool = sequelize.define('CustomTool', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Function name shown to the model, e.g. order_status'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'When the model should call the tool'
+    },
+    parameters: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'JSON Schema of the arguments (type object)'
+    },
+    endpointUrl: {
+      type: DataTypes.STRING(2048),
+      allowNull: false
+    },
+    signingSecret: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Encrypted HMAC key for the X-Signature-256 header'
+    },
+    timeoutMs: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5000
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'custom_tools',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['client_id', 'name'], name: 'idx_custom_tools_client_name' }
+    ],
+    hooks: {
+      beforeCreate: (tool) => {
+        if (tool.signingSecret) tool.signingSecret = encrypt(tool.signingSecret);
+      },
+      beforeUpdate: (tool) => {
+        if (tool.changed('signingSecret') && tool.signingSecret) tool.signingSecret = encrypt(tool.signingSecret);
+      }
+    }
+  });
+
+  CustomTool.prototype.getDecryptedSigningSecret = function () {
+    if (!this.signingSecret) return null;
+    const bytes = CryptoJS.AES.decrypt(this.signingSecret, process.env.ENCRYPTION_KEY);
+    return bytes.toString(CryptoJS.enc.Utf8) || null;
+  };
+
+  // The secret is shown once, when it is generated
+  CustomTool.prototype.toJSON = function () {
+    const { signingSecret, ...rest } = this.get({ plain: true });
+    return rest;
+  };
+
+  return CustomTool;
+};
@@ -0,0 +1,71 @@
+import { DataTypes } from 'sequelize';
+
+export const CUSTOM_TOOL_CALL_STATUS = {
+  SUCCESS: 'success',
+  ERROR:   'error',
+  TIMEOUT: 'timeout'
+};
+
+// One row per invocation of a custom tool, from a conversation or an admin test
+export default (sequelize) => {
+  const CustomToolCall = sequelize.define('CustomToolCall', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    toolId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Null for admin test calls'
+    },
+    toolName: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    args: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM(...Object.values(CUSTOM_TOOL_CALL_STATUS)),
+      allowNull: false
+    },
+    httpStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    latencyMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    response: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Result handed to the model'
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'custom_tool_calls',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['client_id', 'created_at'], name: 'idx_custom_tool_calls_client_created' },
+      { fields: ['tool_id', 'created_at'], name: 'idx_custom_tool_calls_tool_created' }
+    ]
+  });
+
+  return CustomToolCall;
+};
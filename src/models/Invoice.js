@@ -0,0 +1,100 @@
+import { DataTypes } from 'sequelize';
+
+export const INVOICE_STATUS = {
+  PENDING:   'pending',
+  PAID:      'paid',
+  FAILED:    'failed',
+  CANCELLED: 'cancelled'
+};
+
+export default (sequelize) => {
+  const Invoice = sequelize.define('Invoice', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      comment: 'Human-readable invoice number, e.g. INV-20261019-7K2QX9'
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    plan: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    months: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: INVOICE_STATUS.PENDING
+    },
+    txRef: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      comment: 'Flutterwave tx_ref; platform billing refs start with "sub-"'
+    },
+    paymentLink: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    flutterwaveTransactionId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    paymentType: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    billTo: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Client name, company, email and phone when the invoice was issued'
+    },
+    periodStart: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Subscription period paid for; set when the payment is confirmed'
+    },
+    periodEnd: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    failureReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Why the payment link could not be created, or why the last payment attempt failed (the invoice stays payable)'
+    }
+  }, {
+    tableName: 'invoices',
+    timestamps: true,
+    indexes: [
+      { fields: ['client_id', 'created_at'], name: 'idx_invoices_client_created' }
+    ]
+  });
+
+  return Invoice;
+};
@@ -0,0 +1,83 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const LlmCall = sequelize.define('LlmCall', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Null for calls made outside a tenant context (e.g. shared knowledge-base jobs)'
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'gemini'
+    },
+    model: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    operation: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'chat | intent_classification | language_detection | query_translation | service_translation | transcription | media_understanding | history_summary | embedding'
+    },
+    inputTokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    outputTokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    totalTokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    tokensEstimated: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'The API reported no usage (embeddings) — counted from the text length'
+    },
+    costUsd: {
+      type: DataTypes.DECIMAL(12, 6),
+      allowNull: true,
+      comment: 'Estimated from config/llmPricing.js; null when the model has no price'
+    },
+    latencyMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'llm_calls',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['client_id', 'created_at'], name: 'idx_llm_calls_client_created' },
+      { fields: ['created_at'],              name: 'idx_llm_calls_created' }
+    ]
+  });
+
+  return LlmCall;
+};
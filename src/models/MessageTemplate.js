@@ -0,0 +1,87 @@
+import { DataTypes } from 'sequelize';
+
+// Local lifecycle plus Meta's review statuses (upper-case, as the Graph API reports them)
+export const TEMPLATE_STATUS = {
+  DRAFT:    'DRAFT',      // created here, not submitted yet
+  PENDING:  'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  PAUSED:   'PAUSED',
+  DISABLED: 'DISABLED',
+  DELETED:  'DELETED'     // no longer returned by the WABA
+};
+
+export const TEMPLATE_CATEGORIES = ['MARKETING', 'UTILITY', 'AUTHENTICATION'];
+
+export default (sequelize) => {
+  const MessageTemplate = sequelize.define('MessageTemplate', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Tenant key — the Client whose WhatsApp Business Account owns the template'
+    },
+    wabaTemplateId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Template id in the WABA; null until submitted'
+    },
+    name: {
+      type: DataTypes.STRING(512),
+      allowNull: false
+    },
+    language: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'en',
+      comment: 'Template language code, e.g. en, en_US, fr'
+    },
+    category: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'UTILITY'
+    },
+    parameterFormat: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'POSITIONAL',
+      comment: 'POSITIONAL ({{1}}) or NAMED ({{first_name}}) placeholders'
+    },
+    components: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'HEADER / BODY / FOOTER / BUTTONS components in Graph API format'
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: TEMPLATE_STATUS.DRAFT
+    },
+    rejectedReason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    submittedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastSyncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'message_templates',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['client_id', 'name', 'language'], name: 'idx_message_templates_client_name_language' },
+      { fields: ['client_id', 'status'], name: 'idx_message_templates_client_status' }
+    ]
+  });
+
+  return MessageTemplate;
+};
@@ -0,0 +1,96 @@
+import { DataTypes } from 'sequelize';
+
+export const OUTBOUND_STATUS = {
+  ACCEPTED:  'accepted',
+  SENT:      'sent',
+  DELIVERED: 'delivered',
+  READ:      'read',
+  FAILED:    'failed'
+};
+
+export default (sequelize) => {
+  const OutboundMessage = sequelize.define('OutboundMessage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Tenant key — the Client whose number sent this message'
+    },
+    phoneNumberId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'WhatsApp Cloud API phone_number_id the message was sent from'
+    },
+    waMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      comment: 'wamid returned by the Graph API; null when the send was rejected outright'
+    },
+    recipient: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Recipient phone number, digits only'
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'text',
+      comment: 'text | interactive | template | unknown (first seen through a status webhook)'
+    },
+    preview: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Truncated message body or template name for the admin view'
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: OUTBOUND_STATUS.ACCEPTED
+    },
+    statusHistory: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Ordered timeline of { status, timestamp, errors } entries'
+    },
+    reaction: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Recipient's current emoji reaction; null when none or removed"
+    },
+    reactedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    errorCode: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    errorTitle: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    errorDetails: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt:      { type: DataTypes.DATE, allowNull: true },
+    deliveredAt: { type: DataTypes.DATE, allowNull: true },
+    readAt:      { type: DataTypes.DATE, allowNull: true },
+    failedAt:    { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'outbound_messages',
+    timestamps: true,
+    indexes: [
+      { fields: ['client_id', 'recipient'], name: 'idx_outbound_messages_client_recipient' },
+      { fields: ['client_id', 'status'],    name: 'idx_outbound_messages_client_status' }
+    ]
+  });
+
+  return OutboundMessage;
+};
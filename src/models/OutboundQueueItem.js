@@ -0,0 +1,102 @@
+import { DataTypes } from 'sequelize';
+
+export const QUEUE_STATUS = {
+  PENDING:    'pending',
+  PROCESSING: 'processing',
+  SENT:       'sent',
+  DEAD:       'dead',
+  CANCELLED:  'cancelled',
+  HELD:       'held'        // kept back by a paused campaign until it resumes
+};
+
+export default (sequelize) => {
+  const OutboundQueueItem = sequelize.define('OutboundQueueItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Tenant key — the Client whose number sends this message'
+    },
+    phoneNumberId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'WhatsApp Cloud API phone_number_id; rate limits are applied per number'
+    },
+    recipient: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'text | interactive | template — Graph API message type'
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Graph API /messages request body (tokens are never stored here)'
+    },
+    preview: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: QUEUE_STATUS.PENDING
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 8
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set while a worker is dispatching; stale locks are released by the worker'
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    lastErrorCode: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    waMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    consentExempt: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Opt-out/opt-in confirmations are delivered even to opted-out recipients'
+    },
+    sentAt:         { type: DataTypes.DATE, allowNull: true },
+    deadLetteredAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'outbound_queue',
+    timestamps: true,
+    indexes: [
+      { fields: ['status', 'next_attempt_at'], name: 'idx_outbound_queue_status_next_attempt' },
+      { fields: ['client_id', 'status'],       name: 'idx_outbound_queue_client_status' }
+    ]
+  });
+
+  return OutboundQueueItem;
+};
@@ -0,0 +1,87 @@
+import { DataTypes } from 'sequelize';
+
+export const REPLY_LENGTHS = {
+  SHORT:  'short',
+  MEDIUM: 'medium',
+  LONG:   'long'
+};
+
+// One row per saved version of a client's assistant persona; rows are never edited,
+// a change is a new version and exactly one version per client is active.
+export default (sequelize) => {
+  const PromptConfig = sequelize.define('PromptConfig', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    persona: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Who the assistant is, e.g. "Amani, the booking assistant of Kigali Dental"; null uses the default'
+    },
+    tone: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    greeting: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Sent to a new customer before the service list'
+    },
+    forbiddenTopics: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    escalationMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Sent to the customer on handoff to staff; null uses the handoff_started translation'
+    },
+    replyLength: {
+      type: DataTypes.ENUM(...Object.values(REPLY_LENGTHS)),
+      allowNull: false,
+      defaultValue: REPLY_LENGTHS.MEDIUM
+    },
+    rules: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Extra business rules, one sentence each'
+    },
+    note: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'What changed in this version'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    activatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'prompt_configs',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['client_id', 'version'], name: 'idx_prompt_configs_client_version' },
+      // At most one active version per client
+      { unique: true, fields: ['client_id'], where: { is_active: true }, name: 'idx_prompt_configs_client_active' }
+    ]
+  });
+
+  return PromptConfig;
+};
@@ -0,0 +1,59 @@
+import { DataTypes } from 'sequelize';
+
+export default (sequelize) => {
+  const ScheduledJob = sequelize.define('ScheduledJob', {
+    name: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    intervalMs: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    nextRunAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Lease held by the instance running the job; an expired lease can be taken over'
+    },
+    lockedBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'host:pid of the instance holding the lease'
+    },
+    lastStartedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastFinishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastDurationMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    lastResult: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    runCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'scheduled_jobs',
+    timestamps: true
+  });
+
+  return ScheduledJob;
+};
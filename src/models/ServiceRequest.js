@@ -21,7 +21,8 @@ export default (sequelize) => {
     },
     email: {
       type: DataTypes.STRING,
-      allowNull: false,
+      allowNull: true,
+      comment: 'Required for bookings; referral leads shared as a contact card may only have a phone',
       validate: {
         isEmail: true
       }
@@ -87,6 +88,16 @@ export default (sequelize) => {
       type: DataTypes.STRING,
       allowNull: false,
       defaultValue: 'new'
+    },
+    source: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Where the lead came from, e.g. whatsapp_referral; null for bookings and inquiries'
+    },
+    referredByPhone: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'WhatsApp number of the user who shared this contact'
     }
   }, {
     tableName: 'service_requests',
@@ -0,0 +1,59 @@
+import { DataTypes } from 'sequelize';
+
+export const SUBSCRIPTION_EVENT_TYPES = {
+  TRIAL_REMINDER:        'trial_reminder',
+  SUBSCRIPTION_REMINDER: 'subscription_reminder',
+  GRACE_STARTED:         'grace_started',
+  TRIAL_EXPIRED:         'trial_expired',
+  SUBSCRIPTION_EXPIRED:  'subscription_expired',
+  SUBSCRIPTION_RENEWED:  'subscription_renewed'
+};
+
+export default (sequelize) => {
+  const SubscriptionEvent = sequelize.define('SubscriptionEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    clientId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    dedupeKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Unique per client — an event (and its notification) happens once even with several instances'
+    },
+    periodEndsAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Trial or subscription end date the event refers to'
+    },
+    notified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether the client contact was reached'
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'subscription_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['client_id', 'dedupe_key'], name: 'idx_subscription_events_client_key' },
+      { fields: ['client_id', 'created_at'], name: 'idx_subscription_events_client_created' }
+    ]
+  });
+
+  return SubscriptionEvent;
+};
@@ -1,5 +1,11 @@
 import { DataTypes } from 'sequelize';
 
+export const HANDOFF_STATUS = {
+  BOT:       'bot',        // AI answers as usual
+  REQUESTED: 'requested',  // bot paused, waiting for a staff member to pick it up
+  AGENT:     'agent'       // a staff member is replying through the admin API
+};
+
 export default (sequelize) => {
   const UserSession = sequelize.define('UserSession', {
     id: {
@@ -45,6 +51,47 @@ export default (sequelize) => {
       type: DataTypes.DATE,
       allowNull: false,
       defaultValue: DataTypes.NOW
+    },
+    lastInboundAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Last message received from the user; opens the 24 h customer service window'
+    },
+
+    agentLastReadAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When a staff member last opened the conversation in the inbox; drives unread counts'
+    },
+
+    // ── Human agent handoff ───────────────────────────────────────────
+    handoffStatus: {
+      type: DataTypes.ENUM(...Object.values(HANDOFF_STATUS)),
+      allowNull: false,
+      defaultValue: HANDOFF_STATUS.BOT
+    },
+    handoffSource: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'What started the handoff: ai | keyword | admin'
+    },
+    handoffReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    handoffAgent: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Name of the staff member currently replying'
+    },
+    handoffStartedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    handoffLastActivityAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Last agent action (or the request itself); drives the hand-back timeout'
     }
   }, {
     tableName: 'user_sessions',
@@ -7,6 +7,21 @@ import Content from './Content.js';
 import ServiceRequest from './ServiceRequest.js';
 import ProcessedMessage from './ProcessedMessage.js';
 import Client from './Client.js';
+import OutboundMessage from './OutboundMessage.js';
+import OutboundQueueItem from './OutboundQueueItem.js';
+import MessageTemplate from './MessageTemplate.js';
+import Campaign from './Campaign.js';
+import CampaignRecipient from './CampaignRecipient.js';
+import Consent from './Consent.js';
+import ArchivedSession from './ArchivedSession.js';
+import ScheduledJob from './ScheduledJob.js';
+import ClientUsage from './ClientUsage.js';
+import SubscriptionEvent from './SubscriptionEvent.js';
+import Invoice from './Invoice.js';
+import LlmCall from './LlmCall.js';
+import PromptConfig from './PromptConfig.js';
+import CustomTool from './CustomTool.js';
+import CustomToolCall from './CustomToolCall.js';
 import logger from '../logger/logger.js';
 
 dotenv.config()
@@ -28,7 +43,22 @@ const db = {
   Content: Content(sequelize, Sequelize),
   ServiceRequest: ServiceRequest(sequelize, Sequelize),
   ProcessedMessage: ProcessedMessage(sequelize, Sequelize),
-  Client: Client(sequelize, Sequelize)
+  Client: Client(sequelize, Sequelize),
+  OutboundMessage: OutboundMessage(sequelize, Sequelize),
+  OutboundQueueItem: OutboundQueueItem(sequelize, Sequelize),
+  MessageTemplate: MessageTemplate(sequelize, Sequelize),
+  Campaign: Campaign(sequelize, Sequelize),
+  CampaignRecipient: CampaignRecipient(sequelize, Sequelize),
+  Consent: Consent(sequelize, Sequelize),
+  ArchivedSession: ArchivedSession(sequelize, Sequelize),
+  ScheduledJob: ScheduledJob(sequelize, Sequelize),
+  ClientUsage: ClientUsage(sequelize, Sequelize),
+  SubscriptionEvent: SubscriptionEvent(sequelize, Sequelize),
+  Invoice: Invoice(sequelize, Sequelize),
+  LlmCall: LlmCall(sequelize, Sequelize),
+  PromptConfig: PromptConfig(sequelize, Sequelize),
+  CustomTool: CustomTool(sequelize, Sequelize),
+  CustomToolCall: CustomToolCall(sequelize, Sequelize)
 };
 
 // Set up model associations
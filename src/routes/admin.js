@@ -1,12 +1,19 @@
 import express from 'express';
 const router = express.Router();
-import initiateWhatsappMessage from '../controllers/initiateMessage.js';
 import dbConfig from '../models/index.js';
 import logger from '../logger/logger.js';
+import { LLM_PROVIDERS } from '../models/Client.js';
 import { invalidateClient } from '../services/clientService.js';
+import { createCampaign } from '../services/campaignService.js';
+import { findApprovedTemplate, valuesFromList } from '../services/templateService.js';
 
+const invalidLlmProvider = (value) => !!value && !Object.values(LLM_PROVIDERS).includes(value);
+const LLM_PROVIDER_ERROR = `llmProvider must be one of: ${Object.values(LLM_PROVIDERS).join(', ')}`;
+
+// Broadcast a template to every Zoho CRM contact. Runs as a campaign so sending is
+// throttled and tracked — follow it at GET /api/outreach/campaigns/:campaignId.
 router.post('/template', async (req, res) => {
-  const { templateName, clientId } = req.body;
+  const { templateName, clientId, language = 'en', values, scheduledAt, throttlePerMinute } = req.body;
 
   if (!clientId) return res.status(400).json({ error: "Missing 'clientId'" });
   if (!templateName) return res.status(400).json({ error: "Missing 'templateName'" });
@@ -14,25 +21,21 @@ router.post('/template', async (req, res) => {
   const client = await dbConfig.db.Client?.findByPk(clientId);
   if (!client) return res.status(404).json({ error: 'Client not found' });
 
-  const contacts = await fetch('http://localhost:3000/api/zoho/contacts')
-    .then(response => response.json())
-    .then(data => data.contacts)
-    .catch(error => {
-      logger.error('Error fetching contacts from ZOHO CRM', { error: error.message });
-      return [];
-    });
-
-  const to = contacts.map(contact => contact.phone);
-  if (!to?.length) return res.status(400).json({ error: 'No contacts found' });
-
   try {
-    await to.forEach(async (phoneNumber) => {
-      const username = [contacts.find(contact => contact.phone === phoneNumber)?.fullName] || ['Customer'];
-      await initiateWhatsappMessage(phoneNumber, templateName, username, client);
+    const template = await findApprovedTemplate(client.id, templateName, language);
+    const campaign = await createCampaign(client, {
+      name:          `${templateName} — Zoho contacts`,
+      templateName,
+      language,
+      audience:      { source: 'zoho' },
+      // Contacts used to get their full name as the first template parameter
+      defaultValues: values || (template ? valuesFromList(template, ['$name']) : {}),
+      scheduledAt,
+      throttlePerMinute
     });
-    res.json({ success: true, sent_to: to, template: templateName });
+    res.status(202).json({ success: true, campaignId: campaign.id, template: templateName, scheduledAt: campaign.scheduledAt });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
   }
 });
 
@@ -78,8 +81,9 @@ router.post('/clients', async (req, res) => {
   try {
     const {
       name, email, phone, company,
-      whatsappBusinessId, whatsappToken, whatsappAccountId, whatsappWebhookVerifyToken, whatsappToNumber,
-      geminiApiKey, pineconeIndex, pineconeApiKey, pineconeIndexName, pineconeEnvironment,
+      whatsappBusinessId, whatsappToken, whatsappAppSecret, whatsappAccountId, whatsappWebhookVerifyToken, whatsappToNumber,
+      geminiApiKey, llmProvider, llmModel, llmBaseUrl, llmApiKey,
+      pineconeIndex, pineconeApiKey, pineconeIndexName, pineconeEnvironment,
       flutterwaveSecretKey, flutterwaveWebhookSecret,
       googleSheetId, googleSheetsWebhookToken,
       microsoftClientId, microsoftObjectId, microsoftTenantId, microsoftClientSecret, microsoftUserEmail, microsoftDriveId, microsoftItemId,
@@ -89,16 +93,22 @@ router.post('/clients', async (req, res) => {
     if (!name || !email || !phone) {
       return res.status(400).json({ error: 'name, email, and phone are required' });
     }
+    if (invalidLlmProvider(llmProvider)) return res.status(400).json({ error: LLM_PROVIDER_ERROR });
     const client = await dbConfig.db.Client.create({
       name, email, phone,
       company:                    company                    || null,
       subscriptionPlan:           subscriptionPlan           || 'message_only',
       whatsappBusinessId:         whatsappBusinessId         || null,
       whatsappToken:              whatsappToken              || null,
+      whatsappAppSecret:          whatsappAppSecret          || null,
       whatsappAccountId:          whatsappAccountId          || null,
       whatsappWebhookVerifyToken: whatsappWebhookVerifyToken || null,
       whatsappToNumber:           whatsappToNumber           || null,
       geminiApiKey:               geminiApiKey               || null,
+      llmProvider:                llmProvider                || null,
+      llmModel:                   llmModel                   || null,
+      llmBaseUrl:                 llmBaseUrl                 || null,
+      llmApiKey:                  llmApiKey                  || null,
       pineconeIndex:              pineconeIndex              || null,
       pineconeApiKey:             pineconeApiKey             || null,
       pineconeIndexName:          pineconeIndexName          || null,
@@ -129,12 +139,15 @@ router.put('/clients/:id', async (req, res) => {
   try {
     const client = await dbConfig.db.Client?.findByPk(req.params.id);
     if (!client) return res.status(404).json({ error: 'Client not found' });
+    if (invalidLlmProvider(req.body.llmProvider)) return res.status(400).json({ error: LLM_PROVIDER_ERROR });
 
     const allowed = [
       'name', 'email', 'phone', 'company', 'timezone', 'currency', 'depositAmount', 'paymentRedirectUrl', 'companyName',
-      'subscriptionPlan', 'subscriptionStatus', 'subscriptionEndDate', 'isActive', 'messageCount', 'maxMonthlyMessages',
-      'whatsappBusinessId', 'whatsappToken', 'whatsappAccountId', 'whatsappWebhookVerifyToken', 'whatsappToNumber',
-      'geminiApiKey', 'pineconeIndex', 'pineconeApiKey', 'pineconeIndexName', 'pineconeEnvironment',
+      'messageAggregationWindowMs', 'handoffNotifyNumbers', 'handoffTimeoutMinutes', 'sessionRetentionDays', 'archiveRetentionDays', 'officeLocations', 'windowFallbackTemplate',
+      'subscriptionPlan', 'subscriptionStatus', 'voiceRepliesEnabled', 'voiceReplyVoices', 'subscriptionEndDate', 'isActive', 'messageCount', 'maxMonthlyMessages', 'quotaExceededMessage',
+      'whatsappBusinessId', 'whatsappToken', 'whatsappAppSecret', 'whatsappAccountId', 'whatsappWebhookVerifyToken', 'whatsappToNumber',
+      'whatsappMessagingTier', 'whatsappThroughputMps',
+      'geminiApiKey', 'llmProvider', 'llmModel', 'llmBaseUrl', 'llmApiKey', 'pineconeIndex', 'pineconeApiKey', 'pineconeIndexName', 'pineconeEnvironment',
       'flutterwaveSecretKey', 'flutterwaveWebhookSecret',
       'googleSheetId', 'googleSheetsWebhookToken',
       'microsoftClientId', 'microsoftObjectId', 'microsoftTenantId', 'microsoftClientSecret', 'microsoftUserEmail', 'microsoftDriveId', 'microsoftItemId',
@@ -148,7 +161,7 @@ router.put('/clients/:id', async (req, res) => {
     // Force-mark encrypted fields as changed so the beforeUpdate hook always re-encrypts them,
     // even when the incoming plaintext value matches what's already stored (e.g. a key that was
     // previously saved without going through the encryption hook).
-    const encryptedFields = ['whatsappToken', 'geminiApiKey', 'pineconeApiKey', 'flutterwaveSecretKey', 'flutterwaveWebhookSecret', 'microsoftClientSecret', 'confluenceApiToken'];
+    const encryptedFields = ['whatsappToken', 'whatsappAppSecret', 'geminiApiKey', 'llmApiKey', 'pineconeApiKey', 'flutterwaveSecretKey', 'flutterwaveWebhookSecret', 'microsoftClientSecret', 'confluenceApiToken'];
     encryptedFields.forEach(f => { if (updates[f] !== undefined) client.changed(f, true); });
 
     await client.save();
@@ -0,0 +1,58 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { decodePayload } from '../services/sessionRetentionService.js';
+import { normalizePhone } from '../services/messageLedgerService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+const LIST_ATTRIBUTES = [
+  'id', 'clientId', 'phone', 'name', 'originalSessionId', 'messageCount', 'sizeBytes', 'sessionCreatedAt', 'lastAccess', 'archivedAt'
+];
+
+// ─── GET /api/outreach/archives ─────────────────────────────────────────────
+// Query params: clientId (required), phone, limit (default 100, max 1000), offset
+
+router.get('/', async (req, res) => {
+  try {
+    if (!req.query.clientId) return res.status(400).json({ error: 'clientId is required' });
+
+    const limit  = Math.min(parseInt(req.query.limit  || '100', 10) || 100, 1000);
+    const offset = Math.max(parseInt(req.query.offset || '0',   10) || 0,   0);
+    const where  = { clientId: req.query.clientId };
+    if (req.query.phone) where.phone = normalizePhone(req.query.phone);
+
+    const { rows, count } = await dbConfig.db.ArchivedSession.findAndCountAll({
+      where,
+      attributes: LIST_ATTRIBUTES,
+      order:      [['archivedAt', 'DESC']],
+      limit,
+      offset
+    });
+    res.json({ archives: rows, total: count, limit, offset });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/outreach/archives/:id ─────────────────────────────────────────
+// The archived conversation, decompressed (history, state, name, timestamps)
+
+router.get('/:id', async (req, res) => {
+  try {
+    const archive = await dbConfig.db.ArchivedSession.findByPk(req.params.id);
+    if (!archive) return res.status(404).json({ error: 'Archive not found' });
+
+    logger.info('Archived session read', { archiveId: archive.id, clientId: archive.clientId });
+    res.json({
+      archive: Object.fromEntries(LIST_ATTRIBUTES.map(f => [f, archive[f]])),
+      session: decodePayload(archive)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
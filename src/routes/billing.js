@@ -0,0 +1,83 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import { getPlanCatalogue, createRenewalInvoice, invoicePdf } from '../services/billingService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+}
+
+const INVOICE_FIELDS = [
+  'id', 'number', 'clientId', 'plan', 'months', 'currency', 'amount', 'status', 'txRef', 'paymentLink',
+  'periodStart', 'periodEnd', 'paidAt', 'paymentType', 'failureReason', 'createdAt'
+];
+
+// ─── GET /api/outreach/billing/plans ────────────────────────────────────────
+
+router.get('/plans', (req, res) => {
+  res.json(getPlanCatalogue());
+});
+
+// ─── POST /api/outreach/billing/:clientId/invoices ──────────────────────────
+// Body: { plan?, months? (1 | 3 | 12), currency? } — defaults to the client's plan and currency.
+// Returns the pending invoice with its Flutterwave payment link.
+
+router.post('/:clientId/invoices', async (req, res) => {
+  try {
+    const client = await dbConfig.db.Client.findByPk(req.params.clientId);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const { plan, months, currency } = req.body || {};
+    const invoice = await createRenewalInvoice(client, {
+      ...(plan ? { plan } : {}),
+      ...(months ? { months } : {}),
+      ...(currency ? { currency } : {})
+    });
+    res.status(201).json({ invoice: invoice.toJSON(), paymentLink: invoice.paymentLink });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── GET /api/outreach/billing/:clientId/invoices ───────────────────────────
+// Query params: status, limit (default 50, max 200), offset
+
+router.get('/:clientId/invoices', async (req, res) => {
+  try {
+    const limit  = Math.min(parseInt(req.query.limit  || '50', 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset || '0',  10) || 0,  0);
+    const where  = { clientId: req.params.clientId };
+    if (req.query.status) where.status = req.query.status;
+
+    const { rows, count } = await dbConfig.db.Invoice.findAndCountAll({
+      where,
+      attributes: INVOICE_FIELDS,
+      order:      [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+    res.json({ invoices: rows, total: count, limit, offset });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── GET /api/outreach/billing/invoices/:invoiceId/pdf ──────────────────────
+
+router.get('/invoices/:invoiceId/pdf', async (req, res) => {
+  try {
+    const invoice = await dbConfig.db.Invoice.findByPk(req.params.invoiceId);
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+    res.send(invoicePdf(invoice));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
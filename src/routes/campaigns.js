@@ -0,0 +1,101 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import {
+  createCampaign, pauseCampaign, resumeCampaign, cancelCampaign, getProgress
+} from '../services/campaignService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+}
+
+// ─── POST /api/outreach/campaigns ───────────────────────────────────────────
+// Body: { clientId, name, templateName, language?, audience, defaultValues?, scheduledAt?, throttlePerMinute? }
+// audience: { source: list | zoho | sessions | leads, ... } — see resolveAudience
+
+router.post('/', async (req, res) => {
+  try {
+    const { clientId, ...definition } = req.body || {};
+    const client = clientId ? await dbConfig.db.Client.findByPk(clientId) : null;
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const campaign = await createCampaign(client, definition);
+    res.status(201).json({ campaign });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── GET /api/outreach/campaigns ────────────────────────────────────────────
+// Query params: clientId, status, limit (default 50, max 200), offset
+
+router.get('/', async (req, res) => {
+  try {
+    const limit  = Math.min(parseInt(req.query.limit  || '50', 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset || '0',  10) || 0,  0);
+    const where  = {};
+    if (req.query.clientId) where.clientId = req.query.clientId;
+    if (req.query.status)   where.status   = req.query.status;
+
+    const { rows, count } = await dbConfig.db.Campaign.findAndCountAll({ where, order: [['createdAt', 'DESC']], limit, offset });
+    res.json({ campaigns: rows, total: count, limit, offset });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── GET /api/outreach/campaigns/:id ────────────────────────────────────────
+
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await dbConfig.db.Campaign.findByPk(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    res.json({ campaign, progress: await getProgress(campaign) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── GET /api/outreach/campaigns/:id/recipients ─────────────────────────────
+// Per-recipient results. Query params: status, limit (default 100, max 1000), offset
+
+router.get('/:id/recipients', async (req, res) => {
+  try {
+    const limit  = Math.min(parseInt(req.query.limit  || '100', 10) || 100, 1000);
+    const offset = Math.max(parseInt(req.query.offset || '0',   10) || 0,   0);
+    const where  = { campaignId: req.params.id };
+    if (req.query.status) where.status = req.query.status;
+
+    const { rows, count } = await dbConfig.db.CampaignRecipient.findAndCountAll({ where, order: [['createdAt', 'ASC']], limit, offset });
+    res.json({ recipients: rows, total: count, limit, offset });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+const transitions = {
+  pause:  { run: pauseCampaign,  conflict: 'Only scheduled or running campaigns can be paused' },
+  resume: { run: resumeCampaign, conflict: 'Only paused campaigns can be resumed' },
+  cancel: { run: cancelCampaign, conflict: 'Campaign not found or already finished' }
+};
+
+// ─── POST /api/outreach/campaigns/:id/(pause|resume|cancel) ─────────────────
+
+for (const [action, { run, conflict }] of Object.entries(transitions)) {
+  router.post(`/:id/${action}`, async (req, res) => {
+    try {
+      const campaign = await run(req.params.id);
+      if (!campaign) return res.status(409).json({ error: conflict });
+      logger.whatsapp('info', `Campaign ${action} requested by admin`, { campaignId: campaign.id, status: campaign.status });
+      res.json({ campaign });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+}
+
+export default router;
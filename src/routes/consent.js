@@ -0,0 +1,97 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import { CONSENT_STATUS } from '../models/Consent.js';
+import { getConsent, setConsent } from '../services/consentService.js';
+import { normalizePhone } from '../services/messageLedgerService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+const MAX_IMPORT = 5000;
+
+// ─── GET /api/outreach/consent ──────────────────────────────────────────────
+// Query params: clientId (required), status, limit (default 100, max 1000), offset
+
+router.get('/', async (req, res) => {
+  try {
+    if (!req.query.clientId) return res.status(400).json({ error: 'clientId is required' });
+
+    const limit  = Math.min(parseInt(req.query.limit  || '100', 10) || 100, 1000);
+    const offset = Math.max(parseInt(req.query.offset || '0',   10) || 0,   0);
+    const where  = { clientId: req.query.clientId };
+    if (req.query.status) where.status = req.query.status;
+
+    const [{ rows, count }, counts] = await Promise.all([
+      dbConfig.db.Consent.findAndCountAll({ where, order: [['updatedAt', 'DESC']], limit, offset }),
+      dbConfig.db.Consent.count({ where: { clientId: req.query.clientId }, group: ['status'] })
+    ]);
+    res.json({
+      consents: rows,
+      total:    count,
+      limit,
+      offset,
+      statusCounts: Object.fromEntries(counts.map(c => [c.status, Number(c.count)]))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/outreach/consent/:clientId/:phone ─────────────────────────────
+
+router.get('/:clientId/:phone', async (req, res) => {
+  try {
+    const consent = await getConsent(req.params.clientId, req.params.phone);
+    if (!consent) return res.status(404).json({ error: 'No consent record for this number' });
+    res.json({ consent });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── PUT /api/outreach/consent/:clientId/:phone ─────────────────────────────
+// Body: { status: opted_in | opted_out } — recorded with source `admin`
+
+router.put('/:clientId/:phone', async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (!Object.values(CONSENT_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${Object.values(CONSENT_STATUS).join(', ')}` });
+    }
+    if (!normalizePhone(req.params.phone)) return res.status(400).json({ error: 'Invalid phone number' });
+
+    const consent = await setConsent({ clientId: req.params.clientId, phone: req.params.phone, status, source: 'admin' });
+    res.json({ consent });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── POST /api/outreach/consent/:clientId/import ────────────────────────────
+// Body: { phones: [...] } — records an opt-in collected elsewhere (web form, signed paper…).
+// Numbers that opted out are left alone: only the user can reverse a STOP.
+
+router.post('/:clientId/import', async (req, res) => {
+  try {
+    const phones = [...new Set((req.body?.phones || []).map(normalizePhone).filter(Boolean))];
+    if (!phones.length)            return res.status(400).json({ error: 'phones must be a non-empty array' });
+    if (phones.length > MAX_IMPORT) return res.status(400).json({ error: `At most ${MAX_IMPORT} numbers per import` });
+
+    const result = { optedIn: 0, keptOptedOut: 0 };
+    for (const phone of phones) {
+      const existing = await getConsent(req.params.clientId, phone);
+      if (existing?.status === CONSENT_STATUS.OPTED_OUT) {
+        result.keptOptedOut += 1;
+        continue;
+      }
+      await setConsent({ clientId: req.params.clientId, phone, status: CONSENT_STATUS.OPTED_IN, source: 'import' });
+      result.optedIn += 1;
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
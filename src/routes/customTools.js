@@ -0,0 +1,132 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import { parseRange } from '../services/transcriptService.js';
+import { CUSTOM_TOOL_CALL_STATUS } from '../models/CustomToolCall.js';
+import {
+  listCustomTools, findCustomTool, createCustomTool, updateCustomTool, rotateSigningSecret,
+  deleteCustomTool, invokeCustomTool, listToolCalls
+} from '../services/customToolService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+}
+
+// Requests are signed as described in customToolService.signToolRequest. The signing
+// secret is only returned when a tool is created or its secret rotated.
+
+// ─── GET /api/outreach/custom-tools/:clientId ───────────────────────────────
+
+router.get('/:clientId', async (req, res) => {
+  try {
+    const client = await dbConfig.db.Client.findByPk(req.params.clientId, { attributes: ['id'] });
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    res.json({ tools: await listCustomTools(client.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── GET /api/outreach/custom-tools/:clientId/calls ─────────────────────────
+// Call log, newest first.
+// Query params: toolId, sessionId, status (success | error | timeout), from, to,
+//               limit (default 50, max 500), offset
+
+router.get('/:clientId/calls', async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !Object.values(CUSTOM_TOOL_CALL_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${Object.values(CUSTOM_TOOL_CALL_STATUS).join(', ')}` });
+    }
+
+    const { from, to } = parseRange(req.query);
+    const limit        = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 500);
+    const offset       = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+
+    res.json(await listToolCalls({
+      clientId:  req.params.clientId,
+      toolId:    req.query.toolId || null,
+      sessionId: req.query.sessionId || null,
+      status, from, to, limit, offset
+    }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/custom-tools/:clientId ──────────────────────────────
+// Body: name, description, endpointUrl (https), parameters (JSON Schema, type object),
+//       timeoutMs (500-15000, default 5000), isActive (default true)
+
+router.post('/:clientId', async (req, res) => {
+  try {
+    const created = await createCustomTool(req.params.clientId, req.body || {});
+    if (!created) return res.status(404).json({ error: 'Client not found' });
+    res.status(201).json(created);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── PUT /api/outreach/custom-tools/:clientId/:toolId ───────────────────────
+// Body: any of the fields accepted on create
+
+router.put('/:clientId/:toolId', async (req, res) => {
+  try {
+    const tool = await updateCustomTool(req.params.clientId, req.params.toolId, req.body || {});
+    if (!tool) return res.status(404).json({ error: 'Tool not found' });
+    res.json({ tool });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── DELETE /api/outreach/custom-tools/:clientId/:toolId ────────────────────
+
+router.delete('/:clientId/:toolId', async (req, res) => {
+  try {
+    const deleted = await deleteCustomTool(req.params.clientId, req.params.toolId);
+    if (!deleted) return res.status(404).json({ error: 'Tool not found' });
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/custom-tools/:clientId/:toolId/rotate-secret ────────
+
+router.post('/:clientId/:toolId/rotate-secret', async (req, res) => {
+  try {
+    const rotated = await rotateSigningSecret(req.params.clientId, req.params.toolId);
+    if (!rotated) return res.status(404).json({ error: 'Tool not found' });
+    res.json(rotated);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/custom-tools/:clientId/:toolId/test ─────────────────
+// Calls the endpoint once with `arguments` from the body, as the assistant would
+// (also when the tool is inactive). The call is logged like any other.
+
+router.post('/:clientId/:toolId/test', async (req, res) => {
+  try {
+    const tool = await findCustomTool(req.params.clientId, req.params.toolId);
+    if (!tool) return res.status(404).json({ error: 'Tool not found' });
+
+    const args = req.body?.arguments ?? {};
+    if (typeof args !== 'object' || Array.isArray(args) || args === null) {
+      return res.status(400).json({ error: 'arguments must be an object' });
+    }
+
+    res.json({ outcome: await invokeCustomTool({ tool, args }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,122 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { HANDOFF_STATUS } from '../models/UserSession.js';
+import { startHandoff, sendAgentReply, releaseHandoff, isHandedOff } from '../services/handoffService.js';
+import { serviceWindow } from '../services/serviceWindowService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+const HISTORY_TAIL = 20;
+
+async function loadSessionAndClient(sessionId) {
+  const session = await dbConfig.db.UserSession.findByPk(sessionId);
+  if (!session) return { session: null, client: null };
+  const client = session.clientId ? await dbConfig.db.Client.findByPk(session.clientId) : null;
+  return { session, client };
+}
+
+function serializeSession(session, { withHistory = false } = {}) {
+  return {
+    id:                    session.id,
+    clientId:              session.clientId,
+    name:                  session.name,
+    phone:                 session.phone,
+    handoffStatus:         session.handoffStatus,
+    handoffSource:         session.handoffSource,
+    handoffReason:         session.handoffReason,
+    handoffAgent:          session.handoffAgent,
+    handoffStartedAt:      session.handoffStartedAt,
+    handoffLastActivityAt: session.handoffLastActivityAt,
+    lastAccess:            session.lastAccess,
+    serviceWindow:         serviceWindow(session),
+    ...(withHistory ? { history: (session.history || []).slice(-HISTORY_TAIL) } : {})
+  };
+}
+
+// ─── GET /api/outreach/handoff/sessions ─────────────────────────────────────
+// Conversations currently waiting for or handled by a staff member.
+// Query params: clientId, status (requested | agent)
+
+router.get('/sessions', async (req, res) => {
+  try {
+    const where = { handoffStatus: { [Op.ne]: HANDOFF_STATUS.BOT } };
+    if (req.query.clientId) where.clientId = req.query.clientId;
+    if (req.query.status)   where.handoffStatus = req.query.status;
+
+    const sessions = await dbConfig.db.UserSession.findAll({ where, order: [['handoffStartedAt', 'ASC']] });
+    res.json({ sessions: sessions.map(s => serializeSession(s, { withHistory: true })), total: sessions.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── POST /api/outreach/handoff/sessions/:sessionId/takeover ────────────────
+// Body: { agentName, reason? } — pauses the bot without waiting for the user to ask
+
+router.post('/sessions/:sessionId/takeover', async (req, res) => {
+  try {
+    const { agentName, reason } = req.body || {};
+    if (!agentName) return res.status(400).json({ error: 'agentName is required' });
+
+    const { session, client } = await loadSessionAndClient(req.params.sessionId);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    if (isHandedOff(session)) {
+      session.set({ handoffStatus: HANDOFF_STATUS.AGENT, handoffAgent: agentName, handoffLastActivityAt: new Date() });
+      await session.save();
+    } else {
+      await startHandoff({ session, client, source: 'admin', reason: reason || null, agentName });
+    }
+
+    logger.whatsapp('info', 'Conversation taken over by staff', { sessionId: session.id, clientId: session.clientId, agentName });
+    res.json({ session: serializeSession(session) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── POST /api/outreach/handoff/sessions/:sessionId/reply ───────────────────
+// Body: { message, agentName } — sent to the user from the client's WhatsApp number
+
+router.post('/sessions/:sessionId/reply', async (req, res) => {
+  try {
+    const { message, agentName } = req.body || {};
+    if (!message?.trim()) return res.status(400).json({ error: 'message is required' });
+
+    const { session, client } = await loadSessionAndClient(req.params.sessionId);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    if (!client)  return res.status(409).json({ error: 'Session has no client — cannot choose a sending number' });
+
+    const delivery = await sendAgentReply({ session, client, message: message.trim(), agentName: agentName || null });
+    if (!delivery.data) {
+      return res.status(502).json({ error: delivery.reason || 'WhatsApp send failed', deliveryPath: delivery.path, session: serializeSession(session) });
+    }
+
+    res.json({ session: serializeSession(session), waMessageId: delivery.data.messages?.[0]?.id || null, deliveryPath: delivery.path });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── POST /api/outreach/handoff/sessions/:sessionId/release ─────────────────
+// Body: { notifyUser? = true } — hands the conversation back to the bot
+
+router.post('/sessions/:sessionId/release', async (req, res) => {
+  try {
+    const { session, client } = await loadSessionAndClient(req.params.sessionId);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const released = await releaseHandoff({ session, client, reason: 'released', notifyUser: req.body?.notifyUser !== false });
+    if (!released) return res.status(409).json({ error: 'Session is not handed off' });
+
+    res.json({ session: serializeSession(session) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
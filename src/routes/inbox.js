@@ -0,0 +1,131 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import inboxEvents from '../utils/inboxEvents.js';
+import { listConversations, getThread, markRead, summarizeConversation } from '../services/inboxService.js';
+import { sendAgentReply } from '../services/handoffService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ─── GET /api/outreach/inbox/stream ─────────────────────────────────────────
+// Server-sent events: `message` (direction inbound | outbound) and `read`.
+// Query params: clientId (omit to receive every client's events)
+
+router.get('/stream', (req, res) => {
+  const clientId = req.query.clientId || null;
+
+  res.set({
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  writeEvent(res, 'ready', { clientId, connectedAt: new Date().toISOString() });
+
+  const unsubscribe = inboxEvents.subscribe(clientId, (event) => writeEvent(res, event.type, event));
+  const heartbeat   = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  logger.info('Inbox stream opened', { clientId, streams: inboxEvents.size });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info('Inbox stream closed', { clientId, streams: inboxEvents.size });
+  });
+});
+
+// ─── GET /api/outreach/inbox/conversations ──────────────────────────────────
+// Query params: clientId (required), handoffStatus, limit (default 50, max 200), offset
+
+router.get('/conversations', async (req, res) => {
+  try {
+    if (!req.query.clientId) return res.status(400).json({ error: 'clientId is required' });
+
+    const limit  = Math.min(parseInt(req.query.limit  || '50', 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset || '0',  10) || 0,  0);
+
+    const result = await listConversations({
+      clientId:      req.query.clientId,
+      handoffStatus: req.query.handoffStatus,
+      limit,
+      offset
+    });
+    res.json({ ...result, limit, offset });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/outreach/inbox/conversations/:sessionId/messages ──────────────
+// Query params: limit (default 50, max 200), before (message index, for older pages)
+
+router.get('/conversations/:sessionId/messages', async (req, res) => {
+  try {
+    const session = await dbConfig.db.UserSession.findByPk(req.params.sessionId);
+    if (!session) return res.status(404).json({ error: 'Conversation not found' });
+
+    const limit  = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : undefined;
+
+    res.json(getThread(session, { limit, before: Number.isNaN(before) ? undefined : before }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── POST /api/outreach/inbox/conversations/:sessionId/read ─────────────────
+
+router.post('/conversations/:sessionId/read', async (req, res) => {
+  try {
+    const session = await dbConfig.db.UserSession.findByPk(req.params.sessionId);
+    if (!session) return res.status(404).json({ error: 'Conversation not found' });
+
+    await markRead(session);
+    res.json({ conversation: summarizeConversation(session) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── POST /api/outreach/inbox/conversations/:sessionId/reply ────────────────
+// Body: { message, agentName } — replying takes the conversation over from the bot
+// (see the handoff routes to hand it back).
+
+router.post('/conversations/:sessionId/reply', async (req, res) => {
+  try {
+    const { message, agentName } = req.body || {};
+    if (!message?.trim()) return res.status(400).json({ error: 'message is required' });
+
+    const session = await dbConfig.db.UserSession.findByPk(req.params.sessionId);
+    if (!session) return res.status(404).json({ error: 'Conversation not found' });
+
+    const client = session.clientId ? await dbConfig.db.Client.findByPk(session.clientId) : null;
+    if (!client) return res.status(409).json({ error: 'Conversation has no client — cannot choose a sending number' });
+
+    const delivery = await sendAgentReply({ session, client, message: message.trim(), agentName: agentName || null });
+    if (!delivery.data) {
+      return res.status(502).json({ error: delivery.reason || 'WhatsApp send failed', deliveryPath: delivery.path });
+    }
+
+    // Whoever replies has read what they replied to
+    await markRead(session);
+    res.json({
+      conversation: summarizeConversation(session),
+      waMessageId:  delivery.data.messages?.[0]?.id || null,
+      deliveryPath: delivery.path
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
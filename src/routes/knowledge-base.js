@@ -5,6 +5,7 @@ import logger from '../logger/logger.js';
 import ragConfig from '../config/rag.config.js';
 import dbConfig from '../models/index.js';
 import googleSheets from '../utils/googlesheets.js';
+import { runWithLlmContext } from '../services/llmUsageService.js';
 const router = express.Router();
 
 async function resolveNamespace(clientId) {
@@ -34,8 +35,8 @@ const authenticateAdmin = (req, res, next) => {
     }
 };
 
-// Sync services from Google Sheets
-router.post('/kb/sync/sheets', async (req, res) => {
+// Sync services from Google Sheets (embeddings are billed to the client in the body)
+router.post('/kb/sync/sheets', (req, res) => runWithLlmContext({ clientId: req.body?.clientId || null }, async () => {
     try {
         const clientId = req.body?.clientId || null;
 
@@ -106,10 +107,10 @@ router.post('/kb/sync/sheets', async (req, res) => {
             error: error.message
         });
     }
-});
+}));
 
-// Sync services from Microsoft Excel
-router.post('/kb/sync/microsoft', async (req, res) => {
+// Sync services from Microsoft Excel (embeddings are billed to the client in the body)
+router.post('/kb/sync/microsoft', (req, res) => runWithLlmContext({ clientId: req.body?.clientId || null }, async () => {
     try {
         const clientId = req.body?.clientId || null;
         const namespace = await resolveNamespace(clientId);
@@ -128,14 +129,14 @@ console.log('clientId:', clientId, 'namespace:', namespace, 'count:', count);
             error: error.message
         });
     }
-});
+}));
 
 /**
  * @route POST /api/kb/sync/confluence
- * @desc Sync data from Confluence
+ * @desc Sync data from Confluence (embeddings are billed to the client in the body)
  * @access Private
  */
-router.post('/kb/sync/confluence', async (req, res) => {
+router.post('/kb/sync/confluence', (req, res) => runWithLlmContext({ clientId: req.body?.clientId || null }, async () => {
     try {
         logger.info('Syncing from Confluence requested via API');
 
@@ -165,7 +166,7 @@ router.post('/kb/sync/confluence', async (req, res) => {
             error: error.message
         });
     }
-});
+}));
 
 // Add company information documents
 router.post('/kb/company-info', authenticateAdmin, async (req, res) => {
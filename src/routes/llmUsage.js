@@ -0,0 +1,59 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import { parseRange } from '../services/transcriptService.js';
+import { REPORT_GROUPS, llmUsageReport } from '../services/llmUsageService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+}
+
+// ─── GET /api/outreach/llm-usage ────────────────────────────────────────────
+// Tokens and estimated cost (USD) of LLM calls, grouped.
+// Query params: from (default 30 days ago), to, groupBy (client | provider | model | operation | day),
+//               clientId, limit (default 100, max 1000)
+
+router.get('/', async (req, res) => {
+  try {
+    const groupBy = String(req.query.groupBy || 'client');
+    if (!REPORT_GROUPS.includes(groupBy)) return res.status(400).json({ error: `groupBy must be one of ${REPORT_GROUPS.join(', ')}` });
+
+    const { from, to } = parseRange(req.query, { clientWide: true });
+    const limit        = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 1000);
+
+    res.json(await llmUsageReport({ from, to, groupBy, clientId: req.query.clientId || null, limit }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── GET /api/outreach/llm-usage/calls ──────────────────────────────────────
+// Individual ledger entries, newest first.
+// Query params: clientId, sessionId, operation, from, to, limit (default 50, max 500), offset
+
+router.get('/calls', async (req, res) => {
+  try {
+    const { from, to } = parseRange(req.query);
+    const where        = {};
+    if (req.query.clientId)  where.clientId  = req.query.clientId;
+    if (req.query.sessionId) where.sessionId = req.query.sessionId;
+    if (req.query.operation) where.operation = req.query.operation;
+    if (from || to) {
+      where.createdAt = { ...(from ? { [Op.gte]: from } : {}), ...(to ? { [Op.lte]: to } : {}) };
+    }
+
+    const limit  = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+
+    const { rows, count } = await dbConfig.db.LlmCall.findAndCountAll({ where, order: [['createdAt', 'DESC']], limit, offset });
+    res.json({ calls: rows, total: count, limit, offset });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
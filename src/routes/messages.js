@@ -0,0 +1,119 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { normalizePhone } from '../services/messageLedgerService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+function pagination(query) {
+  const limit  = Math.min(parseInt(query.limit  || '50', 10) || 50, 500);
+  const offset = Math.max(parseInt(query.offset || '0',  10) || 0,  0);
+  return { limit, offset };
+}
+
+function ledgerFilters(query) {
+  const where = {};
+  if (query.status) where.status = query.status;
+  if (query.type)   where.type   = query.type;
+  return where;
+}
+
+// ─── GET /api/outreach/messages/client/:clientId ────────────────────────────
+// Query params: status, type, limit (default 50, max 500), offset
+
+router.get('/client/:clientId', async (req, res) => {
+  try {
+    const { limit, offset } = pagination(req.query);
+    const where = { ...ledgerFilters(req.query), clientId: req.params.clientId };
+
+    const [{ rows, count }, statusCounts] = await Promise.all([
+      dbConfig.db.OutboundMessage.findAndCountAll({ where, order: [['createdAt', 'DESC']], limit, offset }),
+      dbConfig.db.OutboundMessage.count({ where: { clientId: req.params.clientId }, group: ['status'] })
+    ]);
+
+    res.json({
+      messages: rows,
+      total:    count,
+      limit,
+      offset,
+      statusCounts: Object.fromEntries(statusCounts.map(c => [c.status, Number(c.count)]))
+    });
+  } catch (error) {
+    logger.error('Outbound ledger query failed', { clientId: req.params.clientId, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/outreach/messages/client/:clientId/reactions ──────────────────
+// Emoji reactions to the client's outbound messages, for satisfaction tracking.
+// Query params: from, to (ISO dates, filter on when the message was sent)
+
+router.get('/client/:clientId/reactions', async (req, res) => {
+  try {
+    const where = { clientId: req.params.clientId };
+    if (req.query.from || req.query.to) {
+      where.createdAt = {};
+      if (req.query.from) where.createdAt[Op.gte] = new Date(req.query.from);
+      if (req.query.to)   where.createdAt[Op.lte] = new Date(req.query.to);
+    }
+
+    const [byEmoji, totalMessages, recent] = await Promise.all([
+      dbConfig.db.OutboundMessage.count({ where: { ...where, reaction: { [Op.ne]: null } }, group: ['reaction'] }),
+      dbConfig.db.OutboundMessage.count({ where }),
+      dbConfig.db.OutboundMessage.findAll({
+        where: { ...where, reaction: { [Op.ne]: null } },
+        attributes: ['waMessageId', 'recipient', 'type', 'preview', 'reaction', 'reactedAt'],
+        order: [['reactedAt', 'DESC']],
+        limit: 20
+      })
+    ]);
+
+    const totalReactions = byEmoji.reduce((sum, c) => sum + Number(c.count), 0);
+    res.json({
+      clientId:     req.params.clientId,
+      totalMessages,
+      totalReactions,
+      reactionRate: totalMessages ? Number((totalReactions / totalMessages).toFixed(4)) : 0,
+      byEmoji:      Object.fromEntries(byEmoji.map(c => [c.reaction, Number(c.count)])),
+      recent
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/outreach/messages/phone/:phone ────────────────────────────────
+// Query params: clientId (optional — across all clients when omitted), status, type, limit, offset
+
+router.get('/phone/:phone', async (req, res) => {
+  try {
+    const { limit, offset } = pagination(req.query);
+    const where = { ...ledgerFilters(req.query), recipient: normalizePhone(req.params.phone) };
+    if (req.query.clientId) where.clientId = req.query.clientId;
+
+    const { rows, count } = await dbConfig.db.OutboundMessage.findAndCountAll({
+      where, order: [['createdAt', 'DESC']], limit, offset
+    });
+    res.json({ messages: rows, total: count, limit, offset });
+  } catch (error) {
+    logger.error('Outbound ledger query failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/outreach/messages/:waMessageId ────────────────────────────────
+
+router.get('/:waMessageId', async (req, res) => {
+  try {
+    const message = await dbConfig.db.OutboundMessage.findOne({ where: { waMessageId: req.params.waMessageId } });
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+    res.json({ message });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -6,6 +6,8 @@ import { fileURLToPath } from 'url';
 import { Op } from 'sequelize';
 import dbConfig from '../models/index.js';
 import logger from '../logger/logger.js';
+import { getSignatureMetrics } from '../middlewares/verifyWhatsappSignature.js';
+import { listJobs, triggerJob } from '../services/schedulerService.js';
 
 const router = express.Router();
 
@@ -153,6 +155,8 @@ router.get('/health', async (req, res) => {
       messagesProcessedLast24h: todayMessages,
     },
 
+    webhookSecurity: getSignatureMetrics(),
+
     logs: {
       errorsToday: recentErrors,
       logsDirectory: LOGS_DIR,
@@ -285,4 +289,27 @@ router.get('/logs/files', (req, res) => {
   }
 });
 
+// ─── GET /api/outreach/monitoring/jobs ──────────────────────────────────────
+// Scheduled jobs with their lease and last run
+
+router.get('/jobs', async (req, res) => {
+  try {
+    res.json({ jobs: await listJobs() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── POST /api/outreach/monitoring/jobs/:name/run ───────────────────────────
+// Makes the job due now; the next scheduler tick on any instance runs it
+
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    if (!(await triggerJob(req.params.name))) return res.status(404).json({ error: 'Job not found' });
+    res.json({ success: true, name: req.params.name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
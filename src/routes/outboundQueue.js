@@ -0,0 +1,97 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { QUEUE_STATUS } from '../models/OutboundQueueItem.js';
+import { retryItem, cancelItem, LOCK_TIMEOUT_MS } from '../services/outboundQueueService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+// ─── GET /api/outreach/queue/stuck ──────────────────────────────────────────
+// Dead-lettered items, items retrying after at least one failure, and items
+// locked by a worker for longer than the lock timeout.
+// Query params: clientId, limit (default 100, max 500)
+
+router.get('/stuck', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+    const where = {
+      [Op.or]: [
+        { status: QUEUE_STATUS.DEAD },
+        { status: QUEUE_STATUS.PENDING,    attempts: { [Op.gt]: 0 } },
+        { status: QUEUE_STATUS.PROCESSING, lockedAt: { [Op.lt]: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+      ]
+    };
+    if (req.query.clientId) where.clientId = req.query.clientId;
+
+    const items = await dbConfig.db.OutboundQueueItem.findAll({ where, order: [['updatedAt', 'DESC']], limit });
+    res.json({ items, total: items.length });
+  } catch (error) {
+    logger.error('Outbound queue stuck query failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/outreach/queue/stats ──────────────────────────────────────────
+// Item counts per status, optionally for one client
+
+router.get('/stats', async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.clientId) where.clientId = req.query.clientId;
+
+    const counts = await dbConfig.db.OutboundQueueItem.count({ where, group: ['status'] });
+    const byStatus = Object.fromEntries(Object.values(QUEUE_STATUS).map(s => [s, 0]));
+    counts.forEach(c => { byStatus[c.status] = Number(c.count); });
+
+    res.json({ clientId: req.query.clientId || null, byStatus });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/outreach/queue ────────────────────────────────────────────────
+// Query params: clientId, status, limit (default 50, max 500), offset
+
+router.get('/', async (req, res) => {
+  try {
+    const limit  = Math.min(parseInt(req.query.limit  || '50', 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset || '0',  10) || 0,  0);
+    const where  = {};
+    if (req.query.clientId) where.clientId = req.query.clientId;
+    if (req.query.status)   where.status   = req.query.status;
+
+    const { rows, count } = await dbConfig.db.OutboundQueueItem.findAndCountAll({
+      where, order: [['createdAt', 'DESC']], limit, offset
+    });
+    res.json({ items: rows, total: count, limit, offset });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const item = await retryItem(req.params.id);
+    if (!item) return res.status(409).json({ error: 'Item not found or not retryable (only dead or pending items can be retried)' });
+    logger.whatsapp('info', 'Outbound queue item requeued by admin', { queueItemId: item.id });
+    res.json({ item });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const item = await cancelItem(req.params.id);
+    if (!item) return res.status(409).json({ error: 'Item not found or already final' });
+    logger.whatsapp('info', 'Outbound queue item cancelled by admin', { queueItemId: item.id });
+    res.json({ item });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
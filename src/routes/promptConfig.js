@@ -0,0 +1,142 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import i18next from '../config/i18n.js';
+import ragService from '../services/rag.service.js';
+import { getLlmProvider } from '../services/llm/index.js';
+import { runWithLlmContext } from '../services/llmUsageService.js';
+import { buildFallbackPrompt } from '../helpers/whatsapp/prompts.js';
+import {
+  PROMPT_DEFAULTS, normalizePromptConfig, effectivePromptConfig,
+  listPromptConfigVersions, createPromptConfigVersion, activatePromptConfigVersion
+} from '../services/promptConfigService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+}
+
+function parseVersion(value) {
+  const version = parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// ─── GET /api/outreach/prompt-config/:clientId ──────────────────────────────
+// Active settings (defaults filled in) and the version history, newest first
+
+router.get('/:clientId', async (req, res) => {
+  try {
+    const client = await dbConfig.db.Client.findByPk(req.params.clientId, { attributes: ['id'] });
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const versions = await listPromptConfigVersions(client.id);
+    res.json({
+      active:   effectivePromptConfig(versions.find(v => v.isActive) || null),
+      defaults: PROMPT_DEFAULTS,
+      versions
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/prompt-config/:clientId/versions ────────────────────
+// Body: any of persona, tone, greeting, forbiddenTopics, escalationMessage, replyLength,
+//       rules (omitted fields are copied from the base version, null resets one);
+//       basedOn (version, default the active one), activate (default true), note
+
+router.post('/:clientId/versions', async (req, res) => {
+  try {
+    const { basedOn, activate = true, note = null, ...fields } = req.body || {};
+    if (basedOn !== undefined && basedOn !== null && !parseVersion(basedOn)) {
+      return res.status(400).json({ error: 'basedOn must be a version number' });
+    }
+
+    const row = await createPromptConfigVersion(req.params.clientId, fields, {
+      basedOn:  basedOn ? parseVersion(basedOn) : null,
+      activate: activate !== false,
+      note
+    });
+    if (!row) return res.status(404).json({ error: 'Client not found' });
+    res.status(201).json({ version: row });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/prompt-config/:clientId/versions/:version/activate ──
+// Switch to another version (e.g. roll back)
+
+router.post('/:clientId/versions/:version/activate', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) return res.status(400).json({ error: 'version must be a positive integer' });
+
+    const row = await activatePromptConfigVersion(req.params.clientId, version);
+    if (!row) return res.status(404).json({ error: 'Version not found' });
+    res.json({ version: row });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/prompt-config/:clientId/preview ─────────────────────
+// The system prompts and customer messages a configuration produces, without saving it.
+// Body: config (draft fields, over `version` or the active one), version, message,
+//       intent (default general), language (default en), generate (also run the model)
+
+router.post('/:clientId/preview', async (req, res) => {
+  try {
+    const { config = {}, version = null, message = 'Hello, what services do you offer?', intent = 'general', language = 'en', generate = false } = req.body || {};
+
+    const client = await dbConfig.db.Client.findByPk(req.params.clientId);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const versions = await listPromptConfigVersions(client.id);
+    const base     = version ? versions.find(v => v.version === parseVersion(version)) : versions.find(v => v.isActive);
+    if (version && !base) return res.status(404).json({ error: 'Version not found' });
+
+    const promptConfig = { ...effectivePromptConfig(base || null), ...normalizePromptConfig(config) };
+    const companyName  = client.companyName || client.name || 'Our Company';
+    const currentDate  = new Date().toUTCString();
+    const slotDetails  = '(free consultation slots appear here)';
+
+    const ragPrompt = ragService.buildAugmentedPrompt(
+      { language, intent, context: '(knowledge base excerpts matching the message appear here)', relevantDocs: 1 },
+      message,
+      {
+        availableSlots: slotDetails,
+        currentDate,
+        depositInfo:    `All consultations require a commitment deposit of ${client.depositAmount || 5000} ${client.currency || 'RWF'} to confirm booking.`
+      },
+      { companyName, promptConfig }
+    );
+    const fallbackPrompt = buildFallbackPrompt({
+      slotDetails, currentDate, companyName, depositAmount: client.depositAmount || 5000, currency: client.currency || 'RWF', promptConfig
+    });
+
+    const preview = {
+      config:   promptConfig,
+      prompts:  { rag: ragPrompt, fallback: fallbackPrompt },
+      messages: {
+        greeting:   promptConfig.greeting,
+        escalation: promptConfig.escalationMessage || i18next.getFixedT(language)('handoff_started')
+      }
+    };
+
+    if (generate) {
+      const result = await runWithLlmContext({ clientId: client.id }, () =>
+        getLlmProvider(client).complete({ operation: 'prompt_preview', system: ragPrompt, prompt: String(message) })
+      );
+      preview.reply = result.text;
+    }
+
+    res.json(preview);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
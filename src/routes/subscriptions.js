@@ -0,0 +1,21 @@
+import express from 'express';
+import { getSubscriptionLifecycle } from '../services/subscriptionService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+// ─── GET /api/outreach/subscriptions/:clientId ──────────────────────────────
+// Status, end dates, grace period and the latest lifecycle events (reminders, expiry)
+
+router.get('/:clientId', async (req, res) => {
+  try {
+    const lifecycle = await getSubscriptionLifecycle(req.params.clientId);
+    if (!lifecycle) return res.status(404).json({ error: 'Client not found' });
+    res.json(lifecycle);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import {
+  syncTemplates, createTemplate, submitTemplate,
+  describeParameters, buildTemplateMessage, renderPreview
+} from '../services/templateService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+}
+
+async function loadTemplate(id) {
+  const template = await dbConfig.db.MessageTemplate.findByPk(id);
+  const client   = template ? await dbConfig.db.Client.findByPk(template.clientId) : null;
+  return { template, client };
+}
+
+// ─── GET /api/outreach/templates ────────────────────────────────────────────
+// Query params: clientId (required), status, name, language
+
+router.get('/', async (req, res) => {
+  try {
+    if (!req.query.clientId) return res.status(400).json({ error: 'clientId is required' });
+
+    const where = { clientId: req.query.clientId };
+    if (req.query.status)   where.status   = req.query.status;
+    if (req.query.name)     where.name     = req.query.name;
+    if (req.query.language) where.language = req.query.language;
+
+    const templates = await dbConfig.db.MessageTemplate.findAll({ where, order: [['name', 'ASC'], ['language', 'ASC']] });
+    res.json({ templates, total: templates.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/templates/sync ──────────────────────────────────────
+// Body: { clientId } — pulls every template of the client's WABA
+
+router.post('/sync', async (req, res) => {
+  try {
+    const client = req.body?.clientId ? await dbConfig.db.Client.findByPk(req.body.clientId) : null;
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const result = await syncTemplates(client);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Template sync failed', { clientId: req.body?.clientId, error: error.message });
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/templates ───────────────────────────────────────────
+// Body: { clientId, name, language, category, parameterFormat?, components } — stored as DRAFT
+
+router.post('/', async (req, res) => {
+  try {
+    const { clientId, ...definition } = req.body || {};
+    const client = clientId ? await dbConfig.db.Client.findByPk(clientId) : null;
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const template = await createTemplate(client, definition);
+    res.status(201).json({ template, parameters: describeParameters(template) });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'A template with this name and language already exists' });
+    }
+    sendError(res, error);
+  }
+});
+
+// ─── GET /api/outreach/templates/:id ────────────────────────────────────────
+
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await dbConfig.db.MessageTemplate.findByPk(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json({ template, parameters: describeParameters(template) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/templates/:id/submit ────────────────────────────────
+
+router.post('/:id/submit', async (req, res) => {
+  try {
+    const { template, client } = await loadTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    if (!client)   return res.status(404).json({ error: 'Client not found' });
+
+    await submitTemplate(template, client);
+    res.json({ template });
+  } catch (error) {
+    logger.error('Template submission failed', { templateId: req.params.id, error: error.message });
+    sendError(res, error);
+  }
+});
+
+// ─── POST /api/outreach/templates/:id/preview ───────────────────────────────
+// Body: { values: { header, body, buttons } } — rendered text plus the send payload
+// (payload is null, with the reason in `error`, while parameters are missing)
+
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const template = await dbConfig.db.MessageTemplate.findByPk(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+
+    const values  = req.body?.values || {};
+    const preview = renderPreview(template, values);
+
+    let payload = null;
+    let error   = null;
+    try {
+      payload = buildTemplateMessage(template, values);
+    } catch (buildErr) {
+      error = buildErr.message;
+    }
+
+    res.json({ template: { id: template.id, name: template.name, language: template.language, status: template.status }, preview, payload, error });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
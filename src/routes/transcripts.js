@@ -0,0 +1,90 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import {
+  TRANSCRIPT_FORMATS, parseRange, buildTranscript, buildClientTranscripts, toCsv, toPdf
+} from '../services/transcriptService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+function sendError(res, error) {
+  res.status(error.status || 500).json({ error: error.message, ...(error.details ? { details: error.details } : {}) });
+}
+
+function sendTranscripts(res, transcripts, { format, filename, title, single = false }) {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(toCsv(transcripts));
+  }
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.send(toPdf(transcripts, { title }));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  return res.json(single ? transcripts[0] : { transcripts, total: transcripts.length });
+}
+
+function formatOf(req) {
+  const format = String(req.query.format || 'json').toLowerCase();
+  return TRANSCRIPT_FORMATS.includes(format) ? format : null;
+}
+
+const day = (date) => (date ? date.toISOString().slice(0, 10) : 'start');
+
+// ─── GET /api/outreach/transcripts/sessions/:sessionId ──────────────────────
+// Query params: format (json | csv | pdf, default json), from, to
+
+router.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const format = formatOf(req);
+    if (!format) return res.status(400).json({ error: `format must be one of ${TRANSCRIPT_FORMATS.join(', ')}` });
+
+    const session = await dbConfig.db.UserSession.findByPk(req.params.sessionId);
+    if (!session) return res.status(404).json({ error: 'Conversation not found' });
+
+    const transcript = await buildTranscript(session, parseRange(req.query));
+    logger.info('Transcript exported', { sessionId: session.id, clientId: session.clientId, format, messages: transcript.messageCount });
+
+    sendTranscripts(res, [transcript], {
+      format,
+      single:   true,
+      filename: `transcript-${session.id}`,
+      title:    `Transcript — ${session.name || 'Customer'}`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ─── GET /api/outreach/transcripts ──────────────────────────────────────────
+// Every conversation of a client with messages in the range.
+// Query params: clientId (required), from (default 30 days ago), to, format
+
+router.get('/', async (req, res) => {
+  try {
+    const format = formatOf(req);
+    if (!format) return res.status(400).json({ error: `format must be one of ${TRANSCRIPT_FORMATS.join(', ')}` });
+    if (!req.query.clientId) return res.status(400).json({ error: 'clientId is required' });
+
+    const client = await dbConfig.db.Client.findByPk(req.query.clientId);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const range       = parseRange(req.query, { clientWide: true });
+    const transcripts = await buildClientTranscripts(client.id, range);
+    logger.info('Client transcripts exported', { clientId: client.id, format, conversations: transcripts.length, from: range.from, to: range.to });
+
+    sendTranscripts(res, transcripts, {
+      format,
+      filename: `transcripts-${client.id}-${day(range.from)}-${day(range.to || new Date())}`,
+      title:    `Transcripts — ${client.companyName || client.name}`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
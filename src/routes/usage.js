@@ -0,0 +1,43 @@
+import express from 'express';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { getUsage, getQuotaStatus } from '../services/usageService.js';
+import { requireAdminToken } from '../middlewares/requireAdminToken.js';
+
+const router = express.Router();
+router.use(requireAdminToken);
+
+// ─── GET /api/outreach/usage/:clientId ──────────────────────────────────────
+// Quota state plus monthly meters (inbound, outbound, AI calls, voice).
+// Query params: months (default 12, max 36)
+
+router.get('/:clientId', async (req, res) => {
+  try {
+    const months = Math.min(Math.max(parseInt(req.query.months || '12', 10) || 12, 1), 36);
+    const usage  = await getUsage(req.params.clientId, { months });
+    if (!usage) return res.status(404).json({ error: 'Client not found' });
+    res.json(usage);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ─── POST /api/outreach/usage/:clientId/reset ───────────────────────────────
+// Starts a new quota month now (the monthly meters are kept)
+
+router.post('/:clientId/reset', async (req, res) => {
+  try {
+    const client = await dbConfig.db.Client.findByPk(req.params.clientId);
+    if (!client) return res.status(404).json({ error: 'Client not found' });
+
+    const previousCount = client.messageCount;
+    await client.resetMonthlyMessageCount();
+    logger.info('Monthly message quota reset by admin', { clientId: client.id, previousCount });
+
+    res.json({ success: true, quota: await getQuotaStatus(client.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,14 +1,22 @@
 import { processWithGemini } from '../helpers/whatsapp/processWithGemini.js';
+import { recordUsage, USAGE_METRICS } from './usageService.js';
+import { findLlmProvider } from './llm/index.js';
+import { getPromptConfig } from './promptConfigService.js';
+import { getActiveTools } from './customToolService.js';
 
-export async function processAI({ client, from, message, history, userEmail, language }) {
-  return processWithGemini(from, message, history, userEmail, language, {
+export async function processAI({ client, from, message, history, userEmail, language, selectedSlot = null, summary = null, sessionId = null }) {
+  const response = await processWithGemini(from, message, history, userEmail, language, {
     clientId:           client?.id                            || null,
-    geminiApiKey:       client?.getDecryptedGeminiKey?.()    || null,
+    llm:                findLlmProvider(client),
     pineconeIndex:      client?.pineconeIndex                 || null,
     companyName:        client?.companyName || client?.name  || null,
     timezone:           client?.timezone                      || null,
     paymentRedirectUrl: client?.paymentRedirectUrl            || null,
     currency:           client?.currency                      || null,
     depositAmount:      client?.depositAmount                 || null,
-  });
+    promptConfig:       await getPromptConfig(client?.id),
+    customTools:        await getActiveTools(client?.id),
+  }, { selectedSlot, summary, sessionId });
+  await recordUsage(client, USAGE_METRICS.AI_CALLS);
+  return response;
 }
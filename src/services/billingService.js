@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { SUBSCRIPTION_STATUS } from '../models/Client.js';
+import { INVOICE_STATUS } from '../models/Invoice.js';
+import { SUBSCRIPTION_EVENT_TYPES } from '../models/SubscriptionEvent.js';
+import { PLAN_SETTINGS, BILLING_TERMS, planPrice } from '../config/subscriptionPlans.js';
+import { flutterwaveUtil } from '../utils/flutterwave.js';
+import { PdfDocument } from '../utils/pdfDocument.js';
+import { addMonth } from './usageService.js';
+import { invalidateClient } from './clientService.js';
+import { recordSubscriptionEvent } from './subscriptionService.js';
+
+// Platform billing: clients pay us through the platform Flutterwave account (FLW_SECRET_KEY),
+// not their own. Their payments share the /webhook/flutterwave endpoint with booking deposits
+// and are told apart by their Invoice, not by this prefix: a client's own tx_ref prefix may
+// start with it too.
+export const BILLING_TX_PREFIX = 'sub-';
+
+const BILLING_REDIRECT_URL = process.env.BILLING_REDIRECT_URL
+  || (process.env.DEPLOYED_URL ? `${process.env.DEPLOYED_URL.replace(/\/$/, '')}/payment-success` : null);
+const BILLING_COMPANY      = process.env.BILLING_COMPANY_NAME || 'WhatsApp AI Platform';
+const BILLING_ADDRESS      = process.env.BILLING_COMPANY_ADDRESS || '';
+
+function badRequest(message, details = null) {
+  const err = new Error(message);
+  err.status = 400;
+  if (details) err.details = details;
+  return err;
+}
+
+/** Plans, terms and prices as offered to clients */
+export function getPlanCatalogue() {
+  return {
+    plans: Object.entries(PLAN_SETTINGS).map(([id, plan]) => ({
+      id,
+      name:          plan.name,
+      description:   plan.description,
+      monthlyPrices: plan.monthlyPrices,
+      graceDays:     plan.graceDays,
+      terms:         Object.keys(BILLING_TERMS).map(Number).map(months => ({
+        months,
+        discountPercent: BILLING_TERMS[months].discountPercent,
+        prices:          Object.fromEntries(Object.keys(plan.monthlyPrices).map(currency => [currency, planPrice(id, currency, months)]))
+      }))
+    }))
+  };
+}
+
+function invoiceNumber(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `INV-${day}-${crypto.randomBytes(4).toString('hex').toUpperCase().slice(0, 6)}`;
+}
+
+/**
+ * Issue a renewal invoice and its Flutterwave payment link.
+ * @param {Object} client
+ * @param {Object} [params]
+ * @param {string} [params.plan]      - Defaults to the client's current plan
+ * @param {number} [params.months=1]  - One of BILLING_TERMS
+ * @param {string} [params.currency]  - Defaults to the client's currency
+ * @returns {Promise<Object>} The pending Invoice with paymentLink
+ */
+export async function createRenewalInvoice(client, { plan = client.subscriptionPlan, months = 1, currency = client.currency } = {}) {
+  months   = Number(months);
+  currency = String(currency || '').toUpperCase();
+
+  if (!PLAN_SETTINGS[plan]) throw badRequest(`plan must be one of ${Object.keys(PLAN_SETTINGS).join(', ')}`);
+  if (!BILLING_TERMS[months]) throw badRequest(`months must be one of ${Object.keys(BILLING_TERMS).join(', ')}`);
+  const amount = planPrice(plan, currency, months);
+  if (amount === null) {
+    throw badRequest(`${PLAN_SETTINGS[plan].name} is not sold in ${currency || 'this currency'}`, { currencies: Object.keys(PLAN_SETTINGS[plan].monthlyPrices) });
+  }
+  if (!BILLING_REDIRECT_URL) throw new Error('Billing redirect URL is not configured (BILLING_REDIRECT_URL or DEPLOYED_URL)');
+
+  const invoice = await dbConfig.db.Invoice.create({
+    number:   invoiceNumber(),
+    clientId: client.id,
+    plan,
+    months,
+    currency,
+    amount,
+    txRef:    `${BILLING_TX_PREFIX}${client.id.slice(0, 8)}-${Date.now()}`,
+    billTo:   { name: client.name, company: client.companyName || client.company || null, email: client.email, phone: client.phone }
+  });
+
+  try {
+    invoice.paymentLink = await flutterwaveUtil.createPaymentLink({
+      tx_ref:         invoice.txRef,
+      amount,
+      currency,
+      redirect_url:   BILLING_REDIRECT_URL,
+      customer:       { email: client.email, phone_number: String(client.phone).replace(/^\+/, ''), name: client.name },
+      customizations: {
+        title:       `${BILLING_COMPANY} subscription`,
+        description: `${PLAN_SETTINGS[plan].name} — ${months} month(s), invoice ${invoice.number}`
+      },
+      meta: { billing_invoice_id: invoice.id, client_id: client.id }
+    });
+  } catch (err) {
+    invoice.status        = INVOICE_STATUS.FAILED;
+    invoice.failureReason = err.message;
+    await invoice.save();
+    throw err;
+  }
+  await invoice.save();
+
+  logger.payment('info', 'Renewal invoice issued', { clientId: client.id, invoice: invoice.number, plan, months, amount, currency });
+  return invoice;
+}
+
+/** Whether a Flutterwave webhook body is a platform billing payment, i.e. its tx_ref has an Invoice */
+export async function isBillingPayment(payload) {
+  const txRef = payload?.data?.tx_ref;
+  if (!txRef) return false;
+  return (await dbConfig.db.Invoice.count({ where: { txRef: String(txRef) } })) > 0;
+}
+
+/**
+ * Apply a Flutterwave charge to its invoice: extend the subscription on success.
+ * The amount is re-read from Flutterwave, and the invoice row lock makes a redelivered
+ * webhook a no-op.
+ * @returns {Promise<{ handled: boolean, invoice?: Object, reason?: string }>}
+ */
+export async function handleBillingWebhook(payload) {
+  const data    = payload?.data || {};
+  const invoice = await dbConfig.db.Invoice.findOne({ where: { txRef: data.tx_ref } });
+  if (!invoice) {
+    logger.payment('warn', 'Billing webhook for an unknown invoice', { tx_ref: data.tx_ref });
+    return { handled: false, reason: 'Unknown invoice' };
+  }
+  if (invoice.status !== INVOICE_STATUS.PENDING) return { handled: true, invoice, reason: `Invoice already ${invoice.status}` };
+
+  // A declined card can be retried on the same checkout (same tx_ref), so a failed attempt
+  // leaves the invoice payable and only records why it failed
+  if (payload.event !== 'charge.completed' || data.status !== 'successful') {
+    const [updated] = await dbConfig.db.Invoice.update(
+      { failureReason: data.processor_response || data.status || 'Payment not successful' },
+      { where: { id: invoice.id, status: INVOICE_STATUS.PENDING } }
+    );
+    if (updated) logger.payment('info', 'Renewal payment attempt not successful', { invoice: invoice.number, status: data.status });
+    return { handled: true, invoice, reason: 'Payment not successful' };
+  }
+
+  const verified = await flutterwaveUtil.verifyTransaction(data.id);
+  const amountOk = verified
+    && verified.status === 'successful'
+    && verified.tx_ref === invoice.txRef
+    && verified.currency === invoice.currency
+    && Number(verified.amount) >= Number(invoice.amount);
+  if (!amountOk) {
+    logger.payment('error', 'Renewal payment failed verification', {
+      invoice:  invoice.number,
+      expected: { amount: invoice.amount, currency: invoice.currency },
+      received: verified ? { amount: verified.amount, currency: verified.currency, status: verified.status } : null
+    });
+    return { handled: false, invoice, reason: 'Verification failed' };
+  }
+
+  let client = null;
+  const paid = await dbConfig.db.sequelize.transaction(async (t) => {
+    const locked = await dbConfig.db.Invoice.findByPk(invoice.id, { lock: t.LOCK.UPDATE, transaction: t });
+    if (locked.status !== INVOICE_STATUS.PENDING) return null;
+
+    client = await dbConfig.db.Client.findByPk(locked.clientId, { lock: t.LOCK.UPDATE, transaction: t });
+    const now = new Date();
+    // Paying early (or during the grace period) extends the current period instead of restarting it
+    const current     = client.subscriptionStatus === SUBSCRIPTION_STATUS.ACTIVE ? client.subscriptionEndDate : null;
+    const periodStart = current && client.isSubscriptionValid() ? new Date(current) : now;
+    let   periodEnd   = periodStart;
+    for (let i = 0; i < locked.months; i += 1) periodEnd = addMonth(periodEnd);
+
+    client.set({ subscriptionPlan: locked.plan, subscriptionStatus: SUBSCRIPTION_STATUS.ACTIVE, subscriptionEndDate: periodEnd });
+    await client.save({ transaction: t });
+
+    locked.set({
+      status:                   INVOICE_STATUS.PAID,
+      paidAt:                   now,
+      periodStart,
+      periodEnd,
+      flutterwaveTransactionId: String(data.id),
+      paymentType:              verified.payment_type || data.payment_type || null
+    });
+    await locked.save({ transaction: t });
+    return locked;
+  });
+  if (!paid) return { handled: true, invoice, reason: 'Invoice already processed' };
+
+  invalidateClient(client.whatsappBusinessId);
+  logger.payment('info', 'Subscription renewed', { clientId: client.id, invoice: paid.number, plan: paid.plan, periodEnd: paid.periodEnd });
+
+  await recordSubscriptionEvent(client, SUBSCRIPTION_EVENT_TYPES.SUBSCRIPTION_RENEWED, {
+    key:     paid.id,
+    endsAt:  paid.periodEnd,
+    details: { invoice: paid.number, amount: paid.amount, currency: paid.currency, months: paid.months }
+  }).catch(err => logger.error('Renewal notice failed', { clientId: client.id, error: err.message }));
+
+  return { handled: true, invoice: paid };
+}
+
+// ─── Invoice PDF ────────────────────────────────────────────────────────────
+
+const formatDay   = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '—');
+const formatMoney = (amount, currency) => `${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+
+/** @returns {Buffer} */
+export function invoicePdf(invoice) {
+  const plan = PLAN_SETTINGS[invoice.plan];
+  const pdf  = new PdfDocument({ title: `Invoice ${invoice.number}` });
+
+  pdf.heading(BILLING_COMPANY, 18);
+  if (BILLING_ADDRESS) pdf.text(BILLING_ADDRESS, { size: 9, color: '#666666' });
+  pdf.gap(10).heading(`Invoice ${invoice.number}`, 14)
+    .text(`Issued ${formatDay(invoice.createdAt)}`, { size: 9 })
+    .text(`Status: ${invoice.status.toUpperCase()}${invoice.paidAt ? ` — paid ${formatDay(invoice.paidAt)}` : ''}`,
+      { size: 9, bold: true, color: invoice.status === INVOICE_STATUS.PAID ? '#2e7d32' : '#8a5a00' })
+    .gap(10);
+
+  const billTo = invoice.billTo || {};
+  pdf.text('Bill to', { size: 10, bold: true });
+  [billTo.company, billTo.name, billTo.email, billTo.phone].filter(Boolean).forEach(line => pdf.text(line, { size: 10, indent: 10 }));
+  pdf.gap(10).rule();
+
+  pdf.text(`${plan?.name || invoice.plan} subscription — ${invoice.months} month(s)`, { size: 11, bold: true });
+  if (plan?.description) pdf.text(plan.description, { size: 9, color: '#666666' });
+  if (invoice.periodStart) pdf.text(`Service period: ${formatDay(invoice.periodStart)} to ${formatDay(invoice.periodEnd)}`, { size: 9 });
+  const discount = BILLING_TERMS[invoice.months]?.discountPercent;
+  if (discount) pdf.text(`Includes a ${discount}% discount for ${invoice.months} months`, { size: 9 });
+  pdf.rule().text(`Total: ${formatMoney(invoice.amount, invoice.currency)}`, { size: 12, bold: true }).gap(10);
+
+  pdf.text(`Payment reference: ${invoice.txRef}`, { size: 8, color: '#666666' });
+  if (invoice.flutterwaveTransactionId) {
+    pdf.text(`Flutterwave transaction ${invoice.flutterwaveTransactionId}${invoice.paymentType ? ` (${invoice.paymentType})` : ''}`, { size: 8, color: '#666666' });
+  }
+
+  return pdf.toBuffer();
+}
@@ -0,0 +1,475 @@
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { CAMPAIGN_STATUS } from '../models/Campaign.js';
+import { RECIPIENT_STATUS } from '../models/CampaignRecipient.js';
+import { QUEUE_STATUS } from '../models/OutboundQueueItem.js';
+import { sendQueued, cancelItems, holdItems, releaseItems } from './outboundQueueService.js';
+import { normalizePhone } from './messageLedgerService.js';
+import { findApprovedTemplate, buildTemplateMessage } from './templateService.js';
+import { fetchAllZohoContacts } from '../utils/zohoApi.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.CAMPAIGN_POLL_MS || '10000', 10);
+const LOCK_TIMEOUT_MS  = 2 * 60 * 1000;
+const INSERT_CHUNK     = 500;
+
+// The throttle clock never banks more than two ticks of sending, so a campaign
+// resumed after a long pause does not burst
+const MAX_BURST_MS = POLL_INTERVAL_MS * 2;
+
+export const AUDIENCE_SOURCES = ['list', 'zoho', 'sessions', 'leads'];
+
+let workerTimer   = null;
+let workerRunning = false;
+
+function badRequest(message, details = null) {
+  const err = new Error(message);
+  err.status  = 400;
+  err.details = details;
+  return err;
+}
+
+function dedupeRecipients(recipients) {
+  const byPhone = new Map();
+  for (const r of recipients) {
+    const phone = normalizePhone(r.phone);
+    if (phone && !byPhone.has(phone)) byPhone.set(phone, { phone, name: r.name || null, values: r.values || {} });
+  }
+  return [...byPhone.values()];
+}
+
+/**
+ * Resolve an audience definition to recipients (deduplicated, digits-only phones).
+ *   list     — { recipients: [{ phone, name?, values? }] }
+ *   zoho     — { maxPages? } every Zoho CRM contact with a phone
+ *   sessions — { activeWithinDays?, language? } people who messaged this client
+ *   leads    — { statuses?, services? } ServiceRequest rows of this client
+ */
+export async function resolveAudience(client, audience = {}) {
+  switch (audience.source) {
+    case 'list':
+      return dedupeRecipients(audience.recipients || []);
+
+    case 'zoho': {
+      const contacts = await fetchAllZohoContacts(audience.maxPages || 5);
+      return dedupeRecipients(contacts.map(c => ({
+        phone: c.Mobile || c.Phone,
+        name:  `${c.First_Name || ''} ${c.Last_Name || ''}`.trim() || null
+      })));
+    }
+
+    case 'sessions': {
+      const where = { clientId: client.id };
+      if (audience.activeWithinDays) {
+        where.lastAccess = { [Op.gte]: new Date(Date.now() - audience.activeWithinDays * 24 * 60 * 60 * 1000) };
+      }
+      const sessions = await dbConfig.db.UserSession.findAll({ where });
+      const matching = audience.language
+        ? sessions.filter(s => s.history?.slice().reverse().find(h => h.language)?.language === audience.language)
+        : sessions;
+      return dedupeRecipients(matching.map(s => ({ phone: s.phone, name: s.name })));
+    }
+
+    case 'leads': {
+      const where = { clientId: client.id, phone: { [Op.ne]: null } };
+      if (audience.statuses?.length) where.status  = audience.statuses;
+      if (audience.services?.length) where.service = audience.services;
+      const leads = await dbConfig.db.ServiceRequest.findAll({ where, order: [['createdAt', 'DESC']] });
+      return dedupeRecipients(leads.map(l => ({ phone: l.phone, name: l.name })));
+    }
+
+    default:
+      throw badRequest(`audience.source must be one of ${AUDIENCE_SOURCES.join(', ')}`);
+  }
+}
+
+// `$name` / `$phone` inside default values are filled per recipient
+function fillTokens(value, recipient) {
+  if (typeof value === 'string') {
+    return value.replaceAll('$name', recipient.name || '').replaceAll('$phone', recipient.phone);
+  }
+  if (Array.isArray(value)) return value.map(v => fillTokens(v, recipient));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillTokens(v, recipient)]));
+  }
+  return value;
+}
+
+/** Template values for one recipient: campaign defaults with the recipient's own values on top */
+export function recipientValues(defaultValues = {}, recipient) {
+  const defaults = fillTokens(defaultValues, recipient);
+  const own      = recipient.values || {};
+  return {
+    ...defaults,
+    ...own,
+    buttons: { ...(defaults.buttons || {}), ...(own.buttons || {}) }
+  };
+}
+
+/**
+ * Create a campaign. The template must be synced and approved; the audience is
+ * only resolved when the campaign starts.
+ */
+export async function createCampaign(client, { name, templateName, language = 'en', audience, defaultValues = {}, scheduledAt, throttlePerMinute }) {
+  const errors = [];
+  if (!name) errors.push('name is required');
+  if (!templateName) errors.push('templateName is required');
+  if (!AUDIENCE_SOURCES.includes(audience?.source)) errors.push(`audience.source must be one of ${AUDIENCE_SOURCES.join(', ')}`);
+  if (audience?.source === 'list' && !audience.recipients?.length) errors.push('audience.recipients must not be empty');
+  if (scheduledAt && Number.isNaN(new Date(scheduledAt).getTime())) errors.push('scheduledAt must be an ISO date');
+  if (errors.length) throw badRequest('Invalid campaign', { errors });
+
+  const template = await findApprovedTemplate(client.id, templateName, language);
+  if (!template) {
+    throw badRequest(`No approved template "${templateName}" (${language}) for this client — sync templates first`);
+  }
+
+  const campaign = await dbConfig.db.Campaign.create({
+    clientId:          client.id,
+    name,
+    templateName,
+    language,
+    audience,
+    defaultValues,
+    scheduledAt:       scheduledAt ? new Date(scheduledAt) : new Date(),
+    throttlePerMinute: throttlePerMinute || 60,
+    status:            CAMPAIGN_STATUS.SCHEDULED
+  });
+
+  logger.whatsapp('info', 'Campaign created', { clientId: client.id, campaignId: campaign.id, source: audience.source, scheduledAt: campaign.scheduledAt });
+  return campaign;
+}
+
+async function refreshCounts(campaign) {
+  const counts = await dbConfig.db.CampaignRecipient.count({ where: { campaignId: campaign.id }, group: ['status'] });
+  const by     = Object.fromEntries(counts.map(c => [c.status, Number(c.count)]));
+
+  campaign.set({
+    sentCount:    by[RECIPIENT_STATUS.SENT]    || 0,
+    failedCount:  by[RECIPIENT_STATUS.FAILED]  || 0,
+    skippedCount: by[RECIPIENT_STATUS.SKIPPED] || 0
+  });
+  return by;
+}
+
+async function fail(campaign, reason) {
+  campaign.set({ status: CAMPAIGN_STATUS.FAILED, lastError: reason, lockedAt: null });
+  await campaign.save();
+  logger.whatsapp('error', 'Campaign failed', { campaignId: campaign.id, reason });
+}
+
+async function materializeAudience(campaign, client) {
+  const recipients = await resolveAudience(client, campaign.audience);
+
+  for (let i = 0; i < recipients.length; i += INSERT_CHUNK) {
+    await dbConfig.db.CampaignRecipient.bulkCreate(
+      recipients.slice(i, i + INSERT_CHUNK).map(r => ({ ...r, campaignId: campaign.id, clientId: campaign.clientId })),
+      { ignoreDuplicates: true }
+    );
+  }
+
+  campaign.set({ totalRecipients: recipients.length, audienceResolvedAt: new Date() });
+  await campaign.save();
+  logger.whatsapp('info', 'Campaign audience resolved', { campaignId: campaign.id, recipients: recipients.length });
+}
+
+/** Move due scheduled campaigns to running; the conditional update lets one instance win */
+async function startDueCampaigns() {
+  const due = await dbConfig.db.Campaign.findAll({
+    where: { status: CAMPAIGN_STATUS.SCHEDULED, scheduledAt: { [Op.lte]: new Date() } }
+  });
+
+  for (const campaign of due) {
+    const [affected] = await dbConfig.db.Campaign.update(
+      { status: CAMPAIGN_STATUS.RUNNING, startedAt: campaign.startedAt || new Date(), lockedAt: new Date() },
+      { where: { id: campaign.id, status: CAMPAIGN_STATUS.SCHEDULED } }
+    );
+    if (!affected) continue;
+    await campaign.reload();
+
+    try {
+      if (!campaign.audienceResolvedAt) {
+        const client = await dbConfig.db.Client.findByPk(campaign.clientId);
+        if (!client) {
+          await fail(campaign, 'Client not found');
+          continue;
+        }
+        await materializeAudience(campaign, client);
+      }
+      campaign.lockedAt = null;
+      await campaign.save();
+      logger.whatsapp('info', 'Campaign started', { campaignId: campaign.id, totalRecipients: campaign.totalRecipients });
+    } catch (err) {
+      await fail(campaign, `Audience could not be resolved: ${err.message}`);
+    }
+  }
+}
+
+// Recipients handed to the queue for a retry get their final outcome from the queue item
+async function reconcileQueued(campaign) {
+  const queued = await dbConfig.db.CampaignRecipient.findAll({
+    where: { campaignId: campaign.id, status: RECIPIENT_STATUS.QUEUED, queueItemId: { [Op.ne]: null } }
+  });
+  if (!queued.length) return;
+
+  const items = await dbConfig.db.OutboundQueueItem.findAll({ where: { id: queued.map(r => r.queueItemId) } });
+  const byId  = new Map(items.map(i => [i.id, i]));
+
+  for (const recipient of queued) {
+    const item = byId.get(recipient.queueItemId);
+    if (item?.status === QUEUE_STATUS.SENT) {
+      recipient.set({ status: RECIPIENT_STATUS.SENT, waMessageId: item.waMessageId, sentAt: item.sentAt, error: null });
+    } else if (!item || [QUEUE_STATUS.DEAD, QUEUE_STATUS.CANCELLED].includes(item.status)) {
+      recipient.set({ status: RECIPIENT_STATUS.FAILED, error: item?.lastError || 'Queue item missing' });
+    } else {
+      continue;
+    }
+    await recipient.save();
+  }
+}
+
+async function sendToRecipient({ campaign, template, credentials, recipient }) {
+  let message;
+  try {
+    message = buildTemplateMessage(template, recipientValues(campaign.defaultValues, recipient));
+  } catch (err) {
+    recipient.set({ status: RECIPIENT_STATUS.SKIPPED, error: err.message });
+    await recipient.save();
+    return;
+  }
+
+  try {
+    const result = await sendQueued({
+      credentials,
+      to:      recipient.phone,
+      message: { type: 'template', template: message },
+      preview: `[Campaign: ${campaign.name}] ${template.name}`
+    });
+
+    if (result.ok) {
+      recipient.set({ status: RECIPIENT_STATUS.SENT, queueItemId: result.queueItemId, waMessageId: result.data?.messages?.[0]?.id || null, sentAt: new Date(), error: null });
+    } else if (result.optedOut) {
+      recipient.set({ status: RECIPIENT_STATUS.SKIPPED, queueItemId: result.queueItemId, error: 'Recipient has opted out' });
+    } else if (result.queued) {
+      recipient.set({ status: RECIPIENT_STATUS.QUEUED, queueItemId: result.queueItemId, error: result.data?.error?.message || null });
+    } else {
+      recipient.set({ status: RECIPIENT_STATUS.FAILED, queueItemId: result.queueItemId, error: result.data?.error?.message || 'Send rejected' });
+    }
+  } catch (err) {
+    recipient.set({ status: RECIPIENT_STATUS.FAILED, error: err.message });
+  }
+  await recipient.save();
+}
+
+/**
+ * Send the next throttled batch of one running campaign. The campaign row lock
+ * keeps two instances from sending the same campaign at once.
+ */
+async function processCampaign(campaignId) {
+  const { Campaign, CampaignRecipient, Client } = dbConfig.db;
+  const now = new Date();
+
+  const [locked] = await Campaign.update({ lockedAt: now }, {
+    where: {
+      id:     campaignId,
+      status: CAMPAIGN_STATUS.RUNNING,
+      [Op.or]: [{ lockedAt: null }, { lockedAt: { [Op.lt]: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }]
+    }
+  });
+  if (!locked) return 0;
+
+  const campaign = await Campaign.findByPk(campaignId);
+  let sent = 0;
+
+  try {
+    await reconcileQueued(campaign);
+
+    const clockStart = Math.max(campaign.lastBatchAt?.getTime() || 0, now.getTime() - MAX_BURST_MS);
+    const msPerSend  = 60000 / campaign.throttlePerMinute;
+    const allowance  = Math.floor((now.getTime() - clockStart) / msPerSend);
+
+    if (allowance > 0) {
+      const [client, template] = await Promise.all([
+        Client.findByPk(campaign.clientId),
+        findApprovedTemplate(campaign.clientId, campaign.templateName, campaign.language)
+      ]);
+      const credentials = {
+        clientId:      client?.id,
+        phoneNumberId: client?.whatsappBusinessId,
+        token:         client?.getDecryptedWhatsappToken?.()
+      };
+
+      const problem = !client ? 'Client not found'
+        : !template ? `Template "${campaign.templateName}" (${campaign.language}) is no longer approved`
+        : !credentials.phoneNumberId || !credentials.token ? 'Client WhatsApp credentials are not configured'
+        : null;
+      if (problem) {
+        await fail(campaign, problem);
+        return 0;
+      }
+
+      const batch = await CampaignRecipient.findAll({
+        where: { campaignId, status: RECIPIENT_STATUS.PENDING },
+        order: [['createdAt', 'ASC']],
+        limit: allowance
+      });
+
+      for (const recipient of batch) {
+        await sendToRecipient({ campaign, template, credentials, recipient });
+        sent += 1;
+      }
+      campaign.lastBatchAt = new Date(clockStart + sent * msPerSend);
+    }
+
+    const by = await refreshCounts(campaign);
+    if (!by[RECIPIENT_STATUS.PENDING] && !by[RECIPIENT_STATUS.QUEUED]) {
+      campaign.set({ status: CAMPAIGN_STATUS.COMPLETED, completedAt: new Date() });
+      logger.whatsapp('info', 'Campaign completed', {
+        campaignId, sent: campaign.sentCount, failed: campaign.failedCount, skipped: campaign.skippedCount
+      });
+    }
+  } finally {
+    // Only persist the outcome if nobody paused or cancelled the campaign meanwhile
+    const [saved] = await Campaign.update(
+      {
+        lockedAt:     null,
+        lastBatchAt:  campaign.lastBatchAt,
+        sentCount:    campaign.sentCount,
+        failedCount:  campaign.failedCount,
+        skippedCount: campaign.skippedCount,
+        ...(campaign.status !== CAMPAIGN_STATUS.RUNNING ? { status: campaign.status, completedAt: campaign.completedAt, lastError: campaign.lastError } : {})
+      },
+      { where: { id: campaignId, status: CAMPAIGN_STATUS.RUNNING } }
+    );
+    if (!saved) await Campaign.update({ lockedAt: null }, { where: { id: campaignId } });
+  }
+
+  return sent;
+}
+
+/** One worker tick: start due campaigns, then send a batch for every running one */
+export async function processCampaigns() {
+  await startDueCampaigns();
+
+  const running = await dbConfig.db.Campaign.findAll({ where: { status: CAMPAIGN_STATUS.RUNNING }, attributes: ['id'] });
+  let sent = 0;
+  for (const { id } of running) {
+    try {
+      sent += await processCampaign(id);
+    } catch (err) {
+      logger.error('Campaign batch failed', { campaignId: id, error: err.message });
+    }
+  }
+  return sent;
+}
+
+// Queue items of the recipients handed to the outbound queue and still retrying
+async function queuedItemIds(campaignId) {
+  const queued = await dbConfig.db.CampaignRecipient.findAll({
+    where:      { campaignId, status: RECIPIENT_STATUS.QUEUED, queueItemId: { [Op.ne]: null } },
+    attributes: ['queueItemId']
+  });
+  return queued.map(r => r.queueItemId);
+}
+
+/**
+ * Pause a campaign; its retries waiting in the outbound queue are held with it.
+ * @returns {Promise<Object|null>} The paused campaign, or null if it was not scheduled/running
+ */
+export async function pauseCampaign(id) {
+  const [affected] = await dbConfig.db.Campaign.update(
+    { status: CAMPAIGN_STATUS.PAUSED },
+    { where: { id, status: [CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.RUNNING] } }
+  );
+  if (!affected) return null;
+
+  await holdItems(await queuedItemIds(id));
+  return dbConfig.db.Campaign.findByPk(id);
+}
+
+/** Resume a paused campaign — back to scheduled if it never started */
+export async function resumeCampaign(id) {
+  const campaign = await dbConfig.db.Campaign.findByPk(id);
+  if (!campaign || campaign.status !== CAMPAIGN_STATUS.PAUSED) return null;
+
+  const [affected] = await dbConfig.db.Campaign.update(
+    { status: campaign.audienceResolvedAt ? CAMPAIGN_STATUS.RUNNING : CAMPAIGN_STATUS.SCHEDULED },
+    { where: { id, status: CAMPAIGN_STATUS.PAUSED } }
+  );
+  if (!affected) return null;
+
+  await releaseItems(await queuedItemIds(id));
+  return campaign.reload();
+}
+
+/**
+ * Cancel a campaign that has not finished. Recipients not yet sent are marked cancelled,
+ * and so are those whose retry is cancelled in the outbound queue; queued recipients whose
+ * message went out (or failed for good) in the meantime get that outcome instead.
+ */
+export async function cancelCampaign(id) {
+  const [affected] = await dbConfig.db.Campaign.update(
+    { status: CAMPAIGN_STATUS.CANCELLED, cancelledAt: new Date() },
+    { where: { id, status: [CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.RUNNING, CAMPAIGN_STATUS.PAUSED] } }
+  );
+  if (!affected) return null;
+
+  const cancelledItems = await cancelItems(await queuedItemIds(id));
+  await dbConfig.db.CampaignRecipient.update(
+    { status: RECIPIENT_STATUS.CANCELLED },
+    {
+      where: {
+        campaignId: id,
+        [Op.or]: [
+          { status: RECIPIENT_STATUS.PENDING },
+          { status: RECIPIENT_STATUS.QUEUED, queueItemId: cancelledItems }
+        ]
+      }
+    }
+  );
+
+  const campaign = await dbConfig.db.Campaign.findByPk(id);
+  await reconcileQueued(campaign);
+  return campaign;
+}
+
+/** Campaign plus live progress computed from its recipient rows */
+export async function getProgress(campaign) {
+  const counts = await dbConfig.db.CampaignRecipient.count({ where: { campaignId: campaign.id }, group: ['status'] });
+  const byStatus = Object.fromEntries(Object.values(RECIPIENT_STATUS).map(s => [s, 0]));
+  counts.forEach(c => { byStatus[c.status] = Number(c.count); });
+
+  const total = campaign.totalRecipients;
+  const done  = byStatus.sent + byStatus.failed + byStatus.skipped + byStatus.cancelled;
+  return {
+    byStatus,
+    total,
+    percentComplete: total ? Math.round((done / total) * 1000) / 10 : 0,
+    etaMinutes:      campaign.status === CAMPAIGN_STATUS.RUNNING ? Math.ceil(byStatus.pending / campaign.throttlePerMinute) : null
+  };
+}
+
+export function startCampaignWorker() {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      const count = await processCampaigns();
+      if (count) logger.whatsapp('debug', 'Campaign batch sent', { count });
+    } catch (err) {
+      logger.error('Campaign worker error', { error: err.message });
+    } finally {
+      workerRunning = false;
+    }
+  }, POLL_INTERVAL_MS);
+  workerTimer.unref?.();
+
+  logger.info('Campaign worker started', { pollIntervalMs: POLL_INTERVAL_MS });
+}
+
+export function stopCampaignWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
@@ -0,0 +1,115 @@
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { CONSENT_STATUS } from '../models/Consent.js';
+import { normalizePhone } from './messageLedgerService.js';
+
+// Whole-message keywords, matched case- and accent-insensitively. Kept to words nobody
+// would send as an answer to the bot ("no" must not unsubscribe anyone).
+const CONSENT_KEYWORDS = {
+  stop: {
+    en: ['stop', 'unsubscribe', 'stop all', 'opt out'],
+    fr: ['arret', 'arreter', 'desabonner', 'desinscrire', 'stop'],
+    de: ['stopp', 'abmelden', 'abbestellen', 'stop'],
+    sw: ['acha', 'simama', 'jiondoe', 'sitisha'],
+    rw: ['hagarika', 'hagarika ubutumwa']
+  },
+  start: {
+    en: ['start', 'subscribe', 'unstop', 'opt in'],
+    fr: ['demarrer', 'reprendre', 'abonner', 'commencer'],
+    de: ['anmelden', 'starten', 'start'],
+    sw: ['anza', 'jiunge'],
+    rw: ['tangira', 'ongera utangire']
+  }
+};
+
+function normalizeKeyword(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[.!?]+$/, '');
+}
+
+/**
+ * Whether a message is an opt-out / opt-in keyword in any supported locale.
+ * @returns {{ action: 'stop'|'start', locale: string, keyword: string }|null}
+ */
+export function matchConsentKeyword(text) {
+  const normalized = normalizeKeyword(text);
+  if (!normalized) return null;
+
+  for (const [action, byLocale] of Object.entries(CONSENT_KEYWORDS)) {
+    for (const [locale, keywords] of Object.entries(byLocale)) {
+      if (keywords.includes(normalized)) return { action, locale, keyword: String(text).trim() };
+    }
+  }
+  return null;
+}
+
+/** Consent row for a client/phone pair, or null when we never heard from them */
+export async function getConsent(clientId, phone) {
+  if (!clientId) return null;
+  return dbConfig.db.Consent.findOne({ where: { clientId, phone: normalizePhone(phone) } });
+}
+
+export async function isOptedOut(clientId, phone) {
+  const consent = await getConsent(clientId, phone);
+  return consent?.status === CONSENT_STATUS.OPTED_OUT;
+}
+
+/**
+ * A user writing to the client opts in to replies. Creates the row on first
+ * contact; an existing opt-out is left untouched (only START reverses it).
+ */
+export async function ensureConsent(clientId, phone) {
+  if (!clientId) return null;
+  const now = new Date();
+  const [consent] = await dbConfig.db.Consent.findOrCreate({
+    where:    { clientId, phone: normalizePhone(phone) },
+    defaults: {
+      clientId,
+      phone:       normalizePhone(phone),
+      status:      CONSENT_STATUS.OPTED_IN,
+      optInSource: 'inbound_message',
+      optInAt:     now,
+      history:     [{ status: CONSENT_STATUS.OPTED_IN, source: 'inbound_message', at: now.toISOString() }]
+    }
+  });
+  return consent;
+}
+
+/**
+ * Set a recipient's consent, creating the row if needed.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.phone
+ * @param {string} params.status   - opted_in | opted_out
+ * @param {string} params.source   - keyword | admin | import | inbound_message
+ * @param {string} [params.keyword]
+ * @param {string} [params.locale]
+ */
+export async function setConsent({ clientId, phone, status, source, keyword = null, locale = null }) {
+  if (!Object.values(CONSENT_STATUS).includes(status)) throw new Error(`Unknown consent status: ${status}`);
+
+  const now = new Date();
+  const [consent] = await dbConfig.db.Consent.findOrCreate({
+    where:    { clientId, phone: normalizePhone(phone) },
+    defaults: { clientId, phone: normalizePhone(phone), status, history: [] }
+  });
+
+  consent.set(status === CONSENT_STATUS.OPTED_OUT
+    ? { status, optOutAt: now, optOutKeyword: keyword, optOutLocale: locale }
+    : { status, optInSource: source, optInAt: now, optOutAt: null, optOutKeyword: null, optOutLocale: null });
+  consent.history = [...(consent.history || []), { status, source, keyword, locale, at: now.toISOString() }];
+  consent.changed('history', true);
+  await consent.save();
+
+  logger.whatsapp('info', status === CONSENT_STATUS.OPTED_OUT ? 'Recipient opted out' : 'Recipient opted in', {
+    clientId,
+    phone: `***${normalizePhone(phone).slice(-4)}`,
+    source,
+    keyword,
+    locale
+  });
+  return consent;
+}
@@ -0,0 +1,79 @@
+import logger from '../logger/logger.js';
+import { summarizeHistory } from '../helpers/whatsapp/summarizeHistory.js';
+import { recordUsage, USAGE_METRICS } from './usageService.js';
+import { findLlmProvider } from './llm/index.js';
+
+// Budget for the verbatim history sent with each AI turn. Beyond it, older turns are
+// folded into session.state.summary and only the most recent ones are sent as chat.
+const MAX_TURNS       = parseInt(process.env.HISTORY_SUMMARY_MAX_TURNS  || '40',   10);
+const MAX_TOKENS      = parseInt(process.env.HISTORY_SUMMARY_MAX_TOKENS || '6000', 10);
+const KEEP_RECENT     = parseInt(process.env.HISTORY_KEEP_RECENT_TURNS  || '12',   10);
+const CHARS_PER_TOKEN = 4;
+
+/** Rough token count of history entries (about four characters per token) */
+export function estimateTokens(entries) {
+  return Math.ceil(entries.reduce((sum, h) => sum + String(h.content ?? '').length, 0) / CHARS_PER_TOKEN);
+}
+
+// The model expects the chat to open with a user turn
+function fromFirstUserTurn(entries) {
+  const first = entries.findIndex(h => h.role === 'user');
+  return first === -1 ? [] : entries.slice(first);
+}
+
+// Where the verbatim tail starts: KEEP_RECENT entries back, moved forward to a user turn
+function tailStart(history, coveredUntil) {
+  let index = Math.max(coveredUntil, history.length - KEEP_RECENT);
+  while (index < history.length && history[index].role !== 'user') index += 1;
+  return index;
+}
+
+/**
+ * History and summary to hand to the model for this turn. Summarizes first when the
+ * unsummarized part of the history is over budget; the full history itself is never
+ * trimmed (transcripts and the inbox read it).
+ * @param {Object} params
+ * @param {Object} params.session      - UserSession instance
+ * @param {Object|null} params.client
+ * @param {Object} [params.transaction]
+ * @returns {Promise<{ history: Object[], summary: string|null }>}
+ */
+export async function conversationContext({ session, client, transaction = null }) {
+  const history      = session.history || [];
+  const stored       = session.state?.summary || null;
+  let   coveredUntil = Math.min(stored?.coveredUntil || 0, history.length);
+  let   summary      = stored?.text || null;
+  const pending      = history.slice(coveredUntil);
+
+  if (pending.length <= MAX_TURNS && estimateTokens(pending) <= MAX_TOKENS) {
+    return { history: fromFirstUserTurn(pending), summary };
+  }
+
+  const cut = tailStart(history, coveredUntil);
+  if (cut <= coveredUntil) return { history: fromFirstUserTurn(pending), summary };
+
+  try {
+    summary = await summarizeHistory({
+      previousSummary: summary,
+      turns:           history.slice(coveredUntil, cut),
+      llm:             findLlmProvider(client)
+    });
+    coveredUntil = cut;
+    await recordUsage(client, USAGE_METRICS.AI_CALLS);
+
+    session.state = { ...(session.state || {}), summary: { text: summary, coveredUntil, updatedAt: new Date().toISOString() } };
+    session.changed('state', true);
+    await session.save({ transaction });
+
+    logger.gemini('info', 'Older turns folded into the conversation summary', {
+      sessionId: session.id,
+      coveredUntil,
+      recentTurns: history.length - coveredUntil
+    });
+  } catch (err) {
+    // Still keep the prompt bounded; the next turn tries again
+    logger.error('History summarization failed — sending recent turns only', { sessionId: session.id, error: err.message });
+  }
+
+  return { history: fromFirstUserTurn(history.slice(cut)), summary };
+}
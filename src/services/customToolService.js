@@ -0,0 +1,385 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { ClientCache } from '../utils/cache.js';
+import { CUSTOM_TOOL_CALL_STATUS } from '../models/CustomToolCall.js';
+
+// Handled inside processWithGemini; a custom tool cannot take these names
+export const BUILT_IN_TOOLS = ['show_services', 'show_slots', 'request_human', 'initiate_payment', 'save_inquiry'];
+// Model ↔ tool round trips per user message before the reply is given up on
+export const MAX_TOOL_ROUNDS = 5;
+
+const NAME_PATTERN       = /^[a-z][a-z0-9_]{2,63}$/;
+const MAX_TOOLS          = parseInt(process.env.CUSTOM_TOOLS_MAX_PER_CLIENT || '20', 10);
+const MIN_TIMEOUT_MS     = 500;
+const MAX_TIMEOUT_MS     = 15000;
+const MAX_SCHEMA_BYTES   = 8 * 1024;
+const MAX_RESPONSE_BYTES = 32 * 1024;
+// Local development only: allows http:// and endpoints on private networks
+const ALLOW_LOCAL        = process.env.CUSTOM_TOOLS_ALLOW_LOCAL === 'true';
+
+const cache = new ClientCache(60 * 1000);
+
+function badRequest(message, details = null) {
+  const err = new Error(message);
+  err.status = 400;
+  if (details) err.details = details;
+  return err;
+}
+
+/**
+ * Validate a tool definition. With `partial`, only the fields present are checked
+ * (updates); otherwise name, description and endpointUrl are required.
+ * @throws {Error} 400 with `details` listing every problem
+ */
+export function validateToolDefinition(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const out    = {};
+  const has    = (field) => input[field] !== undefined;
+
+  if (has('name') || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!NAME_PATTERN.test(name)) errors.push('name must be 3-64 characters of lowercase letters, digits and _, starting with a letter');
+    else if (BUILT_IN_TOOLS.includes(name)) errors.push(`name ${name} is reserved for a built-in tool`);
+    else out.name = name;
+  }
+
+  if (has('description') || !partial) {
+    const description = typeof input.description === 'string' ? input.description.replace(/\s+/g, ' ').trim() : '';
+    if (description.length < 10 || description.length > 1000) errors.push('description must be 10-1000 characters');
+    else out.description = description;
+  }
+
+  if (has('parameters')) {
+    const schema = input.parameters;
+    if (schema === null) out.parameters = null;
+    else if (typeof schema !== 'object' || Array.isArray(schema) || schema.type !== 'object' ||
+      (schema.properties !== undefined && (typeof schema.properties !== 'object' || Array.isArray(schema.properties)))) {
+      errors.push('parameters must be a JSON Schema with type "object" and a properties object');
+    } else if (Buffer.byteLength(JSON.stringify(schema)) > MAX_SCHEMA_BYTES) {
+      errors.push(`parameters must be at most ${MAX_SCHEMA_BYTES} bytes`);
+    } else out.parameters = schema;
+  }
+
+  if (has('endpointUrl') || !partial) {
+    let url = null;
+    try { url = new URL(String(input.endpointUrl)); } catch { /* reported below */ }
+    if (!url || !['https:', ...(ALLOW_LOCAL ? ['http:'] : [])].includes(url.protocol)) errors.push('endpointUrl must be an https URL');
+    else if (url.username || url.password) errors.push('endpointUrl must not contain credentials');
+    else out.endpointUrl = url.toString();
+  }
+
+  if (has('timeoutMs')) {
+    const timeoutMs = Number(input.timeoutMs);
+    if (!Number.isInteger(timeoutMs) || timeoutMs < MIN_TIMEOUT_MS || timeoutMs > MAX_TIMEOUT_MS) {
+      errors.push(`timeoutMs must be an integer from ${MIN_TIMEOUT_MS} to ${MAX_TIMEOUT_MS}`);
+    } else out.timeoutMs = timeoutMs;
+  }
+
+  if (has('isActive')) {
+    if (typeof input.isActive !== 'boolean') errors.push('isActive must be a boolean');
+    else out.isActive = input.isActive;
+  }
+
+  if (errors.length) throw badRequest('Invalid tool definition', errors);
+  return out;
+}
+
+// ─── Endpoint safety ────────────────────────────────────────────────────────
+
+// Loopback, private, link-local, shared (CGNAT), benchmarking, documentation, multicast and
+// reserved ranges, plus the IPv6 forms that can wrap an IPv4 address (NAT64, 6to4, Teredo).
+// IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return !family || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const PRIVATE_ENDPOINT = 'endpoint resolves to a private network address';
+
+// Used as the connection's DNS lookup, so the address that is checked is the one connected
+// to; resolving separately before the request would leave room for DNS rebinding.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) return callback(new Error(PRIVATE_ENDPOINT));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+async function readBody(res) {
+  const chunks = [];
+  let   size   = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > MAX_RESPONSE_BYTES) throw new Error(`response is larger than ${MAX_RESPONSE_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * POST `body` to an admin-supplied URL, which must not reach the server's own network.
+ * Redirects are not followed.
+ * @returns {Promise<{ status: number, text: string }>}
+ */
+function postToEndpoint(endpointUrl, { headers, body, timeoutMs }) {
+  const url  = new URL(endpointUrl);
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  // IP literals are connected to without a lookup
+  if (!ALLOW_LOCAL && net.isIP(host) && isPrivateAddress(host)) return Promise.reject(new Error(PRIVATE_ENDPOINT));
+
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === 'https:' ? https : http).request(url, {
+      method:  'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      signal:  AbortSignal.timeout(timeoutMs),
+      ...(ALLOW_LOCAL ? {} : { lookup: publicLookup })
+    }, (res) => {
+      readBody(res).then(text => resolve({ status: res.statusCode, text }), reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// ─── Invocation ─────────────────────────────────────────────────────────────
+
+/**
+ * HMAC-SHA256 of `${timestamp}.${body}`, as sent in X-Signature-256. Receivers should
+ * recompute it and reject timestamps more than a few minutes old.
+ */
+export function signToolRequest(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+async function recordToolCall(fields) {
+  try {
+    await dbConfig.db.CustomToolCall.create(fields);
+  } catch (err) {
+    logger.error('Custom tool call log write failed', { toolId: fields.toolId, error: err.message });
+  }
+}
+
+/**
+ * POST the arguments to the tool's endpoint. Never throws: failures and timeouts come
+ * back as an outcome and are logged like successes.
+ * @param {Object} params
+ * @param {Object} params.tool       - CustomTool instance
+ * @param {Object} [params.args]
+ * @param {string|null} [params.sessionId]
+ * @returns {Promise<{ ok: boolean, status: string, httpStatus: number|null, latencyMs: number, result: *, error: string|null }>}
+ */
+export async function invokeCustomTool({ tool, args = {}, sessionId = null }) {
+  const callId    = crypto.randomUUID();
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const body      = JSON.stringify({ id: callId, tool: tool.name, arguments: args, clientId: tool.clientId, sessionId, timestamp: Number(timestamp) });
+  const startedAt = Date.now();
+
+  let outcome;
+  try {
+    const res = await postToEndpoint(tool.endpointUrl, {
+      headers:   {
+        'Content-Type':          'application/json',
+        'X-Tool-Call-Id':        callId,
+        'X-Signature-Timestamp': timestamp,
+        'X-Signature-256':       signToolRequest(tool.getDecryptedSigningSecret(), timestamp, body)
+      },
+      body,
+      timeoutMs: tool.timeoutMs
+    });
+    let data;
+    try { data = res.text ? JSON.parse(res.text) : null; } catch { data = { text: res.text }; }
+
+    outcome = res.status >= 200 && res.status < 300
+      ? { ok: true, status: CUSTOM_TOOL_CALL_STATUS.SUCCESS, httpStatus: res.status, result: data, error: null }
+      : { ok: false, status: CUSTOM_TOOL_CALL_STATUS.ERROR, httpStatus: res.status, result: null, error: `Endpoint answered HTTP ${res.status}` };
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+    outcome = {
+      ok:         false,
+      status:     timedOut ? CUSTOM_TOOL_CALL_STATUS.TIMEOUT : CUSTOM_TOOL_CALL_STATUS.ERROR,
+      httpStatus: null,
+      result:     null,
+      error:      timedOut ? `No response within ${tool.timeoutMs} ms` : err.message
+    };
+  }
+  outcome.latencyMs = Date.now() - startedAt;
+
+  recordToolCall({
+    toolId:     tool.id,
+    clientId:   tool.clientId,
+    sessionId,
+    toolName:   tool.name,
+    args,
+    status:     outcome.status,
+    httpStatus: outcome.httpStatus,
+    latencyMs:  outcome.latencyMs,
+    response:   outcome.result,
+    error:      outcome.error
+  });
+
+  logger[outcome.ok ? 'info' : 'warn']('Custom tool called', {
+    clientId: tool.clientId, tool: tool.name, status: outcome.status, httpStatus: outcome.httpStatus, latencyMs: outcome.latencyMs, error: outcome.error
+  });
+  return outcome;
+}
+
+/** What the model sees of an outcome; failure details stay in the call log */
+export function toolResponse(tool, outcome) {
+  return outcome.ok
+    ? { success: true, result: outcome.result }
+    : { success: false, error: `${tool.name} is unavailable right now. Tell the customer you cannot check this at the moment.` };
+}
+
+// Gemini rejects schema keywords outside this subset; the stored schema is kept as sent
+const SCHEMA_KEYS = ['type', 'description', 'enum', 'format', 'nullable', 'properties', 'required', 'items'];
+
+function portableSchema(schema) {
+  const out = {};
+  for (const key of SCHEMA_KEYS) {
+    if (schema[key] === undefined) continue;
+    if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(schema.properties).map(([name, prop]) => [name, portableSchema(prop || {})]));
+    } else if (key === 'items') {
+      out.items = portableSchema(schema.items || {});
+    } else out[key] = schema[key];
+  }
+  return out;
+}
+
+/** Declaration in the provider-neutral tool format (see services/llm) */
+export function toolDeclaration(tool) {
+  return {
+    name:        tool.name,
+    description: tool.description,
+    ...(tool.parameters ? { parameters: portableSchema(tool.parameters) } : {})
+  };
+}
+
+// ─── Registry ───────────────────────────────────────────────────────────────
+
+/** Active tools of a client, cached briefly */
+export async function getActiveTools(clientId) {
+  if (!clientId) return [];
+  const cached = cache.get(clientId);
+  if (cached) return cached;
+
+  const tools = await dbConfig.db.CustomTool.findAll({ where: { clientId, isActive: true }, order: [['name', 'ASC']] });
+  cache.set(clientId, tools);
+  return tools;
+}
+
+export async function listCustomTools(clientId) {
+  return dbConfig.db.CustomTool.findAll({ where: { clientId }, order: [['name', 'ASC']] });
+}
+
+export async function findCustomTool(clientId, toolId) {
+  return dbConfig.db.CustomTool.findOne({ where: { id: toolId, clientId } });
+}
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+function duplicateName(err, name) {
+  return err.name === 'SequelizeUniqueConstraintError' ? badRequest(`A tool named ${name} already exists`) : err;
+}
+
+/**
+ * @returns {Promise<{ tool: Object, signingSecret: string }|null>} null when the client does not exist
+ */
+export async function createCustomTool(clientId, input) {
+  const fields = validateToolDefinition(input);
+  const client = await dbConfig.db.Client.findByPk(clientId, { attributes: ['id'] });
+  if (!client) return null;
+
+  const count = await dbConfig.db.CustomTool.count({ where: { clientId } });
+  if (count >= MAX_TOOLS) throw badRequest(`A client can define at most ${MAX_TOOLS} tools`);
+
+  const signingSecret = newSecret();
+  try {
+    const tool = await dbConfig.db.CustomTool.create({ clientId, ...fields, signingSecret });
+    cache.invalidate(clientId);
+    logger.info('Custom tool created', { clientId, tool: tool.name });
+    return { tool, signingSecret };
+  } catch (err) {
+    throw duplicateName(err, fields.name);
+  }
+}
+
+export async function updateCustomTool(clientId, toolId, input) {
+  const fields = validateToolDefinition(input, { partial: true });
+  const tool   = await findCustomTool(clientId, toolId);
+  if (!tool) return null;
+
+  try {
+    await tool.update(fields);
+  } catch (err) {
+    throw duplicateName(err, fields.name);
+  }
+  cache.invalidate(clientId);
+  logger.info('Custom tool updated', { clientId, tool: tool.name, fields: Object.keys(fields) });
+  return tool;
+}
+
+/** @returns {Promise<{ tool: Object, signingSecret: string }|null>} */
+export async function rotateSigningSecret(clientId, toolId) {
+  const tool = await findCustomTool(clientId, toolId);
+  if (!tool) return null;
+
+  const signingSecret = newSecret();
+  await tool.update({ signingSecret });
+  cache.invalidate(clientId);
+  logger.info('Custom tool signing secret rotated', { clientId, tool: tool.name });
+  return { tool, signingSecret };
+}
+
+/** The call log is kept */
+export async function deleteCustomTool(clientId, toolId) {
+  const tool = await findCustomTool(clientId, toolId);
+  if (!tool) return false;
+
+  await tool.destroy();
+  cache.invalidate(clientId);
+  logger.info('Custom tool deleted', { clientId, tool: tool.name });
+  return true;
+}
+
+/**
+ * Call log of a client, newest first.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} [params.toolId]
+ * @param {string} [params.sessionId]
+ * @param {string} [params.status]  - One of CUSTOM_TOOL_CALL_STATUS
+ * @param {Date|null} [params.from]
+ * @param {Date|null} [params.to]
+ */
+export async function listToolCalls({ clientId, toolId = null, sessionId = null, status = null, from = null, to = null, limit = 50, offset = 0 }) {
+  const where = { clientId };
+  if (toolId)    where.toolId    = toolId;
+  if (sessionId) where.sessionId = sessionId;
+  if (status)    where.status    = status;
+  if (from || to) {
+    where.createdAt = { ...(from ? { [Op.gte]: from } : {}), ...(to ? { [Op.lte]: to } : {}) };
+  }
+
+  const { rows, count } = await dbConfig.db.CustomToolCall.findAndCountAll({ where, order: [['createdAt', 'DESC']], limit, offset });
+  return { calls: rows, total: count, limit, offset };
+}
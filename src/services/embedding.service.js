@@ -1,13 +1,13 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import NodeCache from 'node-cache';
 import crypto from 'crypto';
 import ragConfig from '../config/rag.config.js';
 import logger from '../logger/logger.js';
+import { getPlatformLlmProvider } from './llm/index.js';
 import { getCacheConfig, getRateLimitConfig, getRetryConfig } from '../utils/config-compatibility.helper.js';
 
 /**
  * Enhanced Embedding Service
- * Generates vector embeddings using Google's Gemini API
+ * Generates vector embeddings with the platform embedding provider (Gemini by default)
  * Features:
  * - Smart caching with hash-based keys
  * - Rate limiting and retry logic
@@ -19,8 +19,7 @@ import { getCacheConfig, getRateLimitConfig, getRetryConfig } from '../utils/con
 
 class EmbeddingService {
     constructor() {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = ragConfig.embedding.model;
+        this.model = ragConfig.embedding.model || getPlatformLlmProvider(ragConfig.embedding.provider).models.embedding;
 
         // Initialize caches using compatibility helper
         const cacheConfig = getCacheConfig(ragConfig, 'embedding');
@@ -240,16 +239,15 @@ class EmbeddingService {
      */
     async _generateWithRetry(text, taskType, retryCount = 0) {
         try {
-            const model = this.genAI.getGenerativeModel({ model: this.model });
-
-            const result = await model.embedContent({
-                content: { parts: [{ text }] },
+            // One provider for every client: all namespaces share the index's vector dimensions
+            const result = await getPlatformLlmProvider(ragConfig.embedding.provider).embed({
+                model: this.model,
+                text,
                 taskType,
-                // Request specific dimensionality if supported by the model version
-                outputDimensionality: ragConfig.embedding.dimensions
+                dimensions: ragConfig.embedding.dimensions
             });
 
-            return result.embedding.values;
+            return result.values;
 
         } catch (error) {
             const isRateLimit = error.status === 503 || error.status === 429
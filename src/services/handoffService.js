@@ -0,0 +1,240 @@
+import { Op } from 'sequelize';
+import i18next from '../config/i18n.js';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { HANDOFF_STATUS } from '../models/UserSession.js';
+import { sendInWindow, sendTemplate } from './serviceWindowService.js';
+
+const WATCH_INTERVAL_MS = parseInt(process.env.HANDOFF_WATCH_INTERVAL_MS || '60000', 10);
+
+// Whole-message keywords that ask for a person, in every supported locale
+const HANDOFF_KEYWORDS = new Set([
+  'human', 'agent', 'person', 'talk to a human', 'speak to a human', 'talk to an agent', 'speak to an agent',
+  'humain', 'conseiller', 'parler à un humain', 'parler à un conseiller',
+  'mensch', 'mitarbeiter', 'berater', 'mit einem menschen sprechen',
+  'binadamu', 'wakala', 'nataka kuongea na mtu',
+  'umuntu', 'umukozi', 'ndashaka kuvugana n\'umuntu'
+]);
+
+let watcherTimer   = null;
+let watcherRunning = false;
+
+const maskPhone = (phone) => `***${String(phone).slice(-4)}`;
+
+function sessionLocale(session) {
+  return session.history?.slice().reverse().find(h => h.language)?.language || 'en';
+}
+
+/** True when the whole message is a "let me talk to a person" keyword */
+export function isHandoffKeyword(text) {
+  return HANDOFF_KEYWORDS.has(String(text || '').trim().toLowerCase().replace(/[.!?]+$/, ''));
+}
+
+export function isHandedOff(session) {
+  return !!session && session.handoffStatus !== HANDOFF_STATUS.BOT;
+}
+
+function notifyNumbers(client) {
+  const numbers = Array.isArray(client?.handoffNotifyNumbers) ? client.handoffNotifyNumbers.filter(Boolean) : [];
+  if (!numbers.length && client?.whatsappToNumber) numbers.push(client.whatsappToNumber);
+  return numbers;
+}
+
+async function notifyStaff({ client, session, reason }) {
+  const numbers = notifyNumbers(client);
+  if (!numbers.length) {
+    logger.whatsapp('warn', 'Handoff requested but no staff number configured', { clientId: client?.id, sessionId: session.id });
+    return 0;
+  }
+
+  const t    = i18next.getFixedT('en');
+  const body = t('handoff_staff_notification', {
+    name:   session.name || 'Client',
+    phone:  session.phone,
+    reason: reason || t('handoff_no_reason'),
+    defaultValue: '🙋 {{name}} ({{phone}}) asked to talk to a person.\nReason: {{reason}}\nReply through the admin handoff API.'
+  });
+
+  // Staff numbers rarely wrote to the bot in the last 24 h, so free text would be rejected
+  // (131047): alerts go out as the approved fallback template, outside the consent check
+  let notified = 0;
+  for (const number of numbers) {
+    const result = await sendTemplate({
+      client,
+      to:      number,
+      tokens:  { message: body, name: session.name || 'Client', phone: session.phone, reason: reason || t('handoff_no_reason') },
+      preview: body,
+      consentExempt: true
+    }).catch(err => ({ ok: false, reason: err.message }));
+    if (result.ok) {
+      notified += 1;
+    } else {
+      logger.whatsapp('warn', 'Handoff staff alert not sent', {
+        clientId: client?.id, sessionId: session.id, to: maskPhone(number), reason: result.reason || (result.queued ? 'Queued for retry' : 'Send rejected')
+      });
+    }
+  }
+  if (notified < numbers.length) {
+    logger.whatsapp('warn', 'Handoff staff alert could not be sent to every staff number', {
+      clientId: client?.id, sessionId: session.id, notified, total: numbers.length
+    });
+  }
+  return notified;
+}
+
+/**
+ * Pause the bot for a conversation and alert the client's staff.
+ * Already handed-off sessions are left as they are.
+ * @param {Object} params
+ * @param {Object} params.session        - UserSession instance
+ * @param {Object|null} params.client    - Owning Client
+ * @param {string} params.source         - ai | keyword | admin
+ * @param {string} [params.reason]
+ * @param {string} [params.agentName]    - Set when a staff member takes over directly
+ * @param {Object} [params.transaction]
+ * @returns {Promise<Object>} The updated session
+ */
+export async function startHandoff({ session, client, source, reason = null, agentName = null, transaction }) {
+  if (isHandedOff(session)) return session;
+
+  const now = new Date();
+  session.set({
+    handoffStatus:         agentName ? HANDOFF_STATUS.AGENT : HANDOFF_STATUS.REQUESTED,
+    handoffSource:         source,
+    handoffReason:         reason,
+    handoffAgent:          agentName,
+    handoffStartedAt:      now,
+    handoffLastActivityAt: now
+  });
+  await session.save({ transaction });
+
+  logger.whatsapp('info', 'Conversation handed off to a human', {
+    clientId: client?.id,
+    sessionId: session.id,
+    from: maskPhone(session.phone),
+    source,
+    reason
+  });
+
+  // A staff member taking over from the admin API already knows about it
+  if (!agentName) {
+    try {
+      await notifyStaff({ client, session, reason });
+    } catch (err) {
+      logger.error('Handoff staff notification failed', { sessionId: session.id, error: err.message });
+    }
+  }
+  return session;
+}
+
+/**
+ * Send a staff member's message to the user from the client's number and record it
+ * in the session history. Takes the conversation over if it was only requested.
+ * Outside the 24 h service window the message goes out through the fallback template.
+ * @returns {Promise<Object>} Delivery report from sendInWindow; `data` is null when nothing was sent
+ */
+export async function sendAgentReply({ session, client, message, agentName }) {
+  if (!isHandedOff(session)) {
+    await startHandoff({ session, client, source: 'admin', agentName });
+  }
+
+  const delivery = await sendInWindow({ client, to: session.phone, message, session });
+  if (!delivery.data) return delivery;
+
+  session.set({
+    handoffStatus:         HANDOFF_STATUS.AGENT,
+    handoffAgent:          agentName || session.handoffAgent,
+    handoffLastActivityAt: new Date(),
+    lastAccess:            new Date()
+  });
+  session.history.push({ role: 'model', content: message, agent: agentName || session.handoffAgent || 'agent', language: sessionLocale(session), timestamp: new Date() });
+  session.changed('history', true);
+  await session.save();
+
+  return delivery;
+}
+
+/**
+ * Give the conversation back to the bot. The conditional update makes concurrent
+ * releases (admin + timeout, or two instances) notify the user only once.
+ * @param {Object} params
+ * @param {Object} params.session
+ * @param {Object|null} params.client
+ * @param {string} params.reason        - released | timeout
+ * @param {boolean} [params.notifyUser=true]
+ * @returns {Promise<boolean>} Whether this call performed the release
+ */
+export async function releaseHandoff({ session, client, reason, notifyUser = true }) {
+  const [affected] = await dbConfig.db.UserSession.update({
+    handoffStatus:         HANDOFF_STATUS.BOT,
+    handoffSource:         null,
+    handoffReason:         null,
+    handoffAgent:          null,
+    handoffStartedAt:      null,
+    handoffLastActivityAt: null
+  }, {
+    where: { id: session.id, handoffStatus: { [Op.ne]: HANDOFF_STATUS.BOT } }
+  });
+  if (!affected) return false;
+
+  await session.reload();
+  logger.whatsapp('info', 'Conversation handed back to the bot', { clientId: client?.id, sessionId: session.id, reason });
+
+  if (notifyUser) {
+    const t = i18next.getFixedT(sessionLocale(session));
+    await sendInWindow({ client, to: session.phone, message: t('handoff_released'), session });
+  }
+  return true;
+}
+
+/** Release every handoff whose agent has been silent longer than the client's timeout */
+export async function releaseExpiredHandoffs() {
+  const sessions = await dbConfig.db.UserSession.findAll({
+    where: { handoffStatus: { [Op.ne]: HANDOFF_STATUS.BOT } }
+  });
+  if (!sessions.length) return 0;
+
+  const clientIds = [...new Set(sessions.map(s => s.clientId).filter(Boolean))];
+  const clients   = await dbConfig.db.Client.findAll({ where: { id: clientIds } });
+  const byId      = new Map(clients.map(c => [c.id, c]));
+
+  let released = 0;
+  for (const session of sessions) {
+    const client    = byId.get(session.clientId) || null;
+    const timeoutMs = (client?.handoffTimeoutMinutes || 30) * 60 * 1000;
+    const lastSeen  = session.handoffLastActivityAt || session.handoffStartedAt || session.updatedAt;
+    if (Date.now() - new Date(lastSeen).getTime() < timeoutMs) continue;
+
+    try {
+      if (await releaseHandoff({ session, client, reason: 'timeout' })) released += 1;
+    } catch (err) {
+      logger.error('Handoff timeout release failed', { sessionId: session.id, error: err.message });
+    }
+  }
+  return released;
+}
+
+export function startHandoffTimeoutWatcher() {
+  if (watcherTimer) return;
+
+  watcherTimer = setInterval(async () => {
+    if (watcherRunning) return;
+    watcherRunning = true;
+    try {
+      const count = await releaseExpiredHandoffs();
+      if (count) logger.whatsapp('info', 'Timed-out handoffs returned to the bot', { count });
+    } catch (err) {
+      logger.error('Handoff timeout watcher error', { error: err.message });
+    } finally {
+      watcherRunning = false;
+    }
+  }, WATCH_INTERVAL_MS);
+  watcherTimer.unref?.();
+
+  logger.info('Handoff timeout watcher started', { intervalMs: WATCH_INTERVAL_MS });
+}
+
+export function stopHandoffTimeoutWatcher() {
+  if (watcherTimer) clearInterval(watcherTimer);
+  watcherTimer = null;
+}
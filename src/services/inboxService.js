@@ -0,0 +1,151 @@
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import inboxEvents from '../utils/inboxEvents.js';
+import { serviceWindow } from './serviceWindowService.js';
+
+const PREVIEW_LENGTH = 200;
+
+function preview(text) {
+  const value = String(text ?? '');
+  return value.length > PREVIEW_LENGTH ? `${value.slice(0, PREVIEW_LENGTH)}…` : value;
+}
+
+/** Human-readable one-liner for an inbound WhatsApp message, as shown to staff */
+export function describeInbound(msg) {
+  switch (msg.type) {
+    case 'text':        return msg.text.body;
+    case 'interactive': return `Selected: ${(msg.interactive?.button_reply || msg.interactive?.list_reply)?.title || msg.interactive?.type}`;
+    case 'audio':       return `[Voice message] (media ${msg.audio?.id})`;
+    case 'image':
+    case 'document':    return `[${msg.type === 'image' ? 'Image' : 'Document'}]${msg[msg.type]?.caption ? ` ${msg[msg.type].caption}` : ''} (media ${msg[msg.type]?.id})`;
+    case 'location':    return `[Location] ${[msg.location?.name, msg.location?.address].filter(Boolean).join(', ') || 'pin'} (${msg.location?.latitude}, ${msg.location?.longitude})`;
+    case 'contacts':    return `[Contacts] ${(msg.contacts || []).map(c => c.name?.formatted_name).filter(Boolean).join(', ')}`;
+    case 'reaction':    return `[Reaction] ${msg.reaction?.emoji || '(removed)'}`;
+    default:            return `[${msg.type} message]`;
+  }
+}
+
+/** User messages received since a staff member last opened the conversation */
+export function countUnread(session) {
+  const readAt = session.agentLastReadAt ? new Date(session.agentLastReadAt).getTime() : 0;
+  return (session.history || []).filter(h => h.role === 'user' && new Date(h.timestamp).getTime() > readAt).length;
+}
+
+export function summarizeConversation(session) {
+  const history = session.history || [];
+  const last    = history[history.length - 1] || null;
+
+  return {
+    sessionId:       session.id,
+    clientId:        session.clientId,
+    name:            session.name,
+    phone:           session.phone,
+    handoffStatus:   session.handoffStatus,
+    handoffAgent:    session.handoffAgent,
+    unreadCount:     countUnread(session),
+    messageCount:    history.length,
+    lastMessage:     last ? { role: last.role, content: preview(last.content), agent: last.agent || null, timestamp: last.timestamp } : null,
+    lastAccess:      session.lastAccess,
+    agentLastReadAt: session.agentLastReadAt,
+    serviceWindow:   serviceWindow(session)
+  };
+}
+
+/**
+ * Conversations of one client, most recently active first.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} [params.handoffStatus] - bot | requested | agent
+ * @param {number} [params.limit=50]
+ * @param {number} [params.offset=0]
+ * @returns {Promise<{ conversations: Object[], total: number, totalUnread: number }>}
+ */
+export async function listConversations({ clientId, handoffStatus, limit = 50, offset = 0 }) {
+  const where = { clientId };
+  if (handoffStatus) where.handoffStatus = handoffStatus;
+
+  const { rows, count } = await dbConfig.db.UserSession.findAndCountAll({
+    where, order: [['lastAccess', 'DESC']], limit, offset
+  });
+  const conversations = rows.map(summarizeConversation);
+
+  return {
+    conversations,
+    total:       count,
+    totalUnread: conversations.reduce((sum, c) => sum + c.unreadCount, 0)
+  };
+}
+
+/**
+ * A page of a conversation's messages, oldest first. Each message carries its
+ * position in the session history as `index`, which `before` paginates on.
+ * @param {Object} session
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @param {number} [options.before] - Only messages with a lower index
+ */
+export function getThread(session, { limit = 50, before } = {}) {
+  const history = session.history || [];
+  const end     = Number.isInteger(before) ? Math.max(0, Math.min(before, history.length)) : history.length;
+  const start   = Math.max(0, end - limit);
+
+  return {
+    conversation: summarizeConversation(session),
+    messages:     history.slice(start, end).map((h, i) => ({ index: start + i, ...h })),
+    hasMore:      start > 0
+  };
+}
+
+export async function markRead(session) {
+  session.agentLastReadAt = new Date();
+  await session.save();
+  inboxEvents.publish({ type: 'read', clientId: session.clientId, sessionId: session.id, at: session.agentLastReadAt });
+  return session;
+}
+
+/** Push an inbound WhatsApp message to inbox streams */
+export function publishInbound({ session, msg }) {
+  if (!inboxEvents.hasSubscribers(session.clientId)) return;
+
+  inboxEvents.publish({
+    type:        'message',
+    direction:   'inbound',
+    clientId:    session.clientId,
+    sessionId:   session.id,
+    phone:       session.phone,
+    name:        session.name,
+    messageType: msg.type,
+    waMessageId: msg.id,
+    content:     preview(describeInbound(msg)),
+    timestamp:   new Date().toISOString()
+  });
+}
+
+/**
+ * Push an outbound ledger row (bot reply, agent reply, template…) to inbox streams.
+ * Never throws — called from the send path.
+ */
+export async function publishOutbound(ledgerRow) {
+  try {
+    if (!ledgerRow || !inboxEvents.hasSubscribers(ledgerRow.clientId)) return;
+
+    const session = ledgerRow.clientId
+      ? await dbConfig.db.UserSession.findOne({ where: { clientId: ledgerRow.clientId, phone: ledgerRow.recipient } })
+      : null;
+
+    inboxEvents.publish({
+      type:        'message',
+      direction:   'outbound',
+      clientId:    ledgerRow.clientId,
+      sessionId:   session?.id || null,
+      phone:       ledgerRow.recipient,
+      messageType: ledgerRow.type,
+      waMessageId: ledgerRow.waMessageId,
+      status:      ledgerRow.status,
+      content:     preview(ledgerRow.preview),
+      timestamp:   new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error('Inbox: failed to publish outbound message', { error: err.message });
+  }
+}
@@ -0,0 +1,104 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const GEMINI_MODELS = {
+  chat:          process.env.GEMINI_CHAT_MODEL || 'gemini-2.5-flash-lite',
+  fast:          process.env.GEMINI_FAST_MODEL || 'gemini-2.0-flash',
+  embedding:     process.env.GEMINI_EMBEDDING_MODEL || 'gemini-embedding-001',
+  transcription: process.env.GEMINI_CHAT_MODEL || 'gemini-2.5-flash-lite'
+};
+
+function usageOf(usage) {
+  if (!usage) return null;
+  const inputTokens  = usage.promptTokenCount || 0;
+  const outputTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+  return {
+    inputTokens,
+    outputTokens,
+    audioInputTokens: (usage.promptTokensDetails || [])
+      .filter(d => d.modality === 'AUDIO')
+      .reduce((sum, d) => sum + (d.tokenCount || 0), 0),
+    totalTokens: usage.totalTokenCount || inputTokens + outputTokens
+  };
+}
+
+function toResult(result) {
+  const response = result.response;
+  return {
+    text:          response.text(),
+    functionCalls: (response.candidates?.[0]?.content?.parts || [])
+      .filter(p => p.functionCall)
+      .map(p => ({ name: p.functionCall.name, args: p.functionCall.args || {} })),
+    usage:         usageOf(response.usageMetadata)
+  };
+}
+
+function generationConfig({ json, temperature, maxOutputTokens }) {
+  const config = {};
+  if (json) config.responseMimeType = 'application/json';
+  if (temperature !== undefined) config.temperature = temperature;
+  if (maxOutputTokens !== undefined) config.maxOutputTokens = maxOutputTokens;
+  return config;
+}
+
+/**
+ * Google Gemini adapter.
+ * @param {Object} params
+ * @param {string} params.apiKey
+ * @param {Object} [params.models] - Overrides of GEMINI_MODELS
+ */
+export function createGeminiProvider({ apiKey, models = {} }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const provider = {
+    name:   'gemini',
+    models: { ...GEMINI_MODELS, ...models },
+
+    startChat({ model, system = null, history = [], tools = [] }) {
+      const chat = genAI
+        .getGenerativeModel({ model, ...(tools.length ? { tools: [{ functionDeclarations: tools }] } : {}) })
+        .startChat({
+          ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+          history: history.map(h => ({ role: h.role === 'user' ? 'user' : 'model', parts: [{ text: h.content }] }))
+        });
+
+      return {
+        send:            async (message) => toResult(await chat.sendMessage(message)),
+        sendToolResults: async (results) => toResult(await chat.sendMessage(
+          results.map(r => ({ functionResponse: { name: r.name, response: r.response } }))
+        ))
+      };
+    },
+
+    async complete({ model, prompt, system = null, attachments = [], json = false, temperature, maxOutputTokens }) {
+      const result = await genAI
+        .getGenerativeModel({ model, ...(system ? { systemInstruction: system } : {}) })
+        .generateContent({
+          contents: [{
+            role:  'user',
+            parts: [
+              ...attachments.map(a => ({ inlineData: { data: a.data.toString('base64'), mimeType: a.mimeType } })),
+              { text: prompt }
+            ]
+          }],
+          generationConfig: generationConfig({ json, temperature, maxOutputTokens })
+        });
+      return { text: result.response.text(), usage: usageOf(result.response.usageMetadata) };
+    },
+
+    async embed({ model, text, taskType = 'RETRIEVAL_DOCUMENT', dimensions }) {
+      const result = await genAI.getGenerativeModel({ model }).embedContent({
+        content: { parts: [{ text }] },
+        taskType,
+        // Request specific dimensionality if supported by the model version
+        ...(dimensions ? { outputDimensionality: dimensions } : {})
+      });
+      // embedContent reports no token usage
+      return { values: result.embedding.values, usage: null };
+    },
+
+    async transcribe({ model, audio, mimeType, prompt }) {
+      return provider.complete({ model, prompt, attachments: [{ data: audio, mimeType }] });
+    }
+  };
+  return provider;
+}
@@ -0,0 +1,114 @@
+import dotenv from 'dotenv';
+import logger from '../../logger/logger.js';
+import { LLM_PROVIDERS } from '../../models/Client.js';
+import { trackLlmCall } from '../llmUsageService.js';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAiCompatibleProvider } from './openaiCompatibleProvider.js';
+
+dotenv.config();
+
+// Every model call goes through one of these providers. All of them expose:
+//
+//   startChat({ system, history: [{ role, content }], tools: [{ name, description, parameters }] })
+//     → { send(message), sendToolResults([{ name, response }]) }, both resolving to
+//       { text, functionCalls: [{ name, args }], usage }
+//   complete({ prompt, system?, attachments?: [{ data: Buffer, mimeType }], json?, temperature?, maxOutputTokens? })
+//     → { text, usage }
+//   embed({ text, taskType?, dimensions? })        → { values, usage }
+//   transcribe({ audio: Buffer, mimeType, prompt? }) → { text, usage }
+//
+// Tool parameters are JSON Schema. Each method also takes `model` (defaults to the provider's
+// `models` entry for the job) and `operation`, the label of the call in the LLM usage ledger.
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || LLM_PROVIDERS.GEMINI;
+const OPENAI_BASE_URL  = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+
+function create(name, { geminiApiKey = null, baseUrl = null, apiKey = null, models = {} }) {
+  switch (name) {
+    case LLM_PROVIDERS.GEMINI: return createGeminiProvider({ apiKey: geminiApiKey, models });
+    case LLM_PROVIDERS.OPENAI: return createOpenAiCompatibleProvider({ baseUrl: baseUrl || OPENAI_BASE_URL, apiKey, models });
+    default: throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+// Records every call in the usage ledger under the provider's name
+function withLedger(provider) {
+  const track = (operation, model, call, estimateFrom = null) =>
+    trackLlmCall({ provider: provider.name, operation, model, call, estimateFrom });
+
+  return {
+    name:   provider.name,
+    models: provider.models,
+
+    startChat({ operation = 'chat', model = provider.models.chat, ...options } = {}) {
+      const chat = provider.startChat({ model, ...options });
+      return {
+        send:            (message) => track(operation, model, () => chat.send(message)),
+        sendToolResults: (results) => track(operation, model, () => chat.sendToolResults(results))
+      };
+    },
+    complete({ operation = 'completion', model = provider.models.chat, ...options }) {
+      return track(operation, model, () => provider.complete({ model, ...options }));
+    },
+    embed({ operation = 'embedding', model = provider.models.embedding, ...options }) {
+      return track(operation, model, () => provider.embed({ model, ...options }), options.text);
+    },
+    transcribe({ operation = 'transcription', model = provider.models.transcription, ...options }) {
+      return track(operation, model, () => provider.transcribe({ model, ...options }));
+    }
+  };
+}
+
+/**
+ * The provider a client's conversations run on (Client.llmProvider, else LLM_PROVIDER).
+ * @param {Object|null} client - Client instance
+ */
+export function getLlmProvider(client) {
+  const name   = client?.llmProvider || DEFAULT_PROVIDER;
+  const models = client?.llmModel ? { chat: client.llmModel } : {};
+
+  if (name === LLM_PROVIDERS.GEMINI) {
+    const geminiApiKey = client?.getDecryptedGeminiKey?.() || null;
+    if (!geminiApiKey) throw new Error('LLM provider gemini: client is missing a Gemini API key');
+    return withLedger(create(name, { geminiApiKey, models }));
+  }
+  if (name === LLM_PROVIDERS.OPENAI) {
+    // The platform key is only ever sent to the platform endpoint
+    const baseUrl = client?.llmBaseUrl || OPENAI_BASE_URL;
+    const apiKey  = client?.getDecryptedLlmApiKey?.() || (client?.llmBaseUrl ? null : process.env.OPENAI_API_KEY || null);
+    return withLedger(create(name, { baseUrl, apiKey, models }));
+  }
+  return withLedger(create(name, { models }));
+}
+
+/**
+ * getLlmProvider for the conversation paths: logs and returns null when the client's provider
+ * cannot be built (e.g. no API key), so the caller answers with its fallback instead of failing.
+ * @param {Object|null} client - Client instance
+ * @returns {Object|null}
+ */
+export function findLlmProvider(client) {
+  try {
+    return getLlmProvider(client);
+  } catch (err) {
+    logger.error('LLM provider unavailable for client', { clientId: client?.id || null, provider: client?.llmProvider || DEFAULT_PROVIDER, error: err.message });
+    return null;
+  }
+}
+
+const platformProviders = new Map();
+
+/**
+ * Provider for platform-level work with no client credentials: RAG classification,
+ * service translation and embeddings. Configured from the environment only.
+ * @param {string} [name] - Defaults to LLM_PROVIDER
+ */
+export function getPlatformLlmProvider(name = DEFAULT_PROVIDER) {
+  if (!platformProviders.has(name)) {
+    platformProviders.set(name, withLedger(create(name, {
+      geminiApiKey: process.env.GEMINI_API_KEY,
+      apiKey:       process.env.OPENAI_API_KEY || null
+    })));
+  }
+  return platformProviders.get(name);
+}
@@ -0,0 +1,148 @@
+// Adapter for OpenAI-style HTTP APIs: OpenAI itself, or a local server exposing the same
+// routes (Ollama at http://localhost:11434/v1, vLLM, LM Studio).
+
+export const OPENAI_MODELS = {
+  chat:          process.env.OPENAI_CHAT_MODEL          || 'gpt-4o-mini',
+  fast:          process.env.OPENAI_FAST_MODEL          || process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
+  embedding:     process.env.OPENAI_EMBEDDING_MODEL     || 'text-embedding-3-small',
+  transcription: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1'
+};
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10);
+
+function usageOf(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens:      usage.prompt_tokens || 0,
+    outputTokens:     usage.completion_tokens || 0,
+    audioInputTokens: 0,
+    totalTokens:      usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+  };
+}
+
+function parseArgs(raw) {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.baseUrl  - e.g. https://api.openai.com/v1
+ * @param {string|null} [params.apiKey] - Not needed by most local servers
+ * @param {Object} [params.models] - Overrides of OPENAI_MODELS
+ */
+export function createOpenAiCompatibleProvider({ baseUrl, apiKey = null, models = {} }) {
+  const root = String(baseUrl).replace(/\/+$/, '');
+
+  async function request(path, body) {
+    const isForm = body instanceof FormData;
+    const res    = await fetch(`${root}${path}`, {
+      method:  'POST',
+      headers: {
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...(isForm ? {} : { 'Content-Type': 'application/json' })
+      },
+      body:    isForm ? body : JSON.stringify(body),
+      signal:  AbortSignal.timeout(TIMEOUT_MS)
+    });
+    if (!res.ok) {
+      // `status` lets callers tell rate limits (429) and overload (503) apart, as with Gemini
+      const err  = new Error(`LLM request ${path} failed (${res.status}): ${(await res.text()).slice(0, 300)}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.json();
+  }
+
+  async function chatCompletion({ model, messages, tools = [], temperature, maxOutputTokens }) {
+    const data = await request('/chat/completions', {
+      model,
+      messages,
+      ...(tools.length ? {
+        tools: tools.map(t => ({
+          type:     'function',
+          function: { name: t.name, description: t.description, parameters: t.parameters || { type: 'object', properties: {} } }
+        }))
+      } : {}),
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxOutputTokens !== undefined ? { max_tokens: maxOutputTokens } : {})
+    });
+    return { message: data.choices?.[0]?.message || { role: 'assistant', content: '' }, usage: usageOf(data.usage) };
+  }
+
+  const provider = {
+    name:   'openai',
+    models: { ...OPENAI_MODELS, ...models },
+
+    startChat({ model, system = null, history = [], tools = [] }) {
+      const messages = [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...history.map(h => ({ role: h.role === 'user' ? 'user' : 'assistant', content: h.content }))
+      ];
+      let pendingCalls = [];
+
+      const turn = async () => {
+        const { message, usage } = await chatCompletion({ model, messages, tools });
+        messages.push(message);
+        pendingCalls = (message.tool_calls || []).map(c => ({ id: c.id, name: c.function.name, args: parseArgs(c.function.arguments) }));
+        return { text: message.content || '', functionCalls: pendingCalls.map(({ name, args }) => ({ name, args })), usage };
+      };
+
+      return {
+        send: async (message) => {
+          messages.push({ role: 'user', content: message });
+          return turn();
+        },
+        // Results carry the tool name only; they are matched to the pending calls in order.
+        // Every call must be answered, so calls without a result get an explicit error.
+        sendToolResults: async (results) => {
+          const remaining = [...results];
+          for (const call of pendingCalls) {
+            const index  = remaining.findIndex(r => r.name === call.name);
+            const result = index === -1 ? { success: false, error: 'No result' } : remaining.splice(index, 1)[0].response;
+            messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+          }
+          return turn();
+        }
+      };
+    },
+
+    // `json` is not mapped to response_format: json_object mode rejects top-level arrays,
+    // and every caller extracts the JSON from the text anyway.
+    async complete({ model, prompt, system = null, attachments = [], temperature, maxOutputTokens }) {
+      const unsupported = attachments.find(a => !a.mimeType.startsWith('image/'));
+      if (unsupported) throw new Error(`LLM provider openai: ${unsupported.mimeType} attachments are not supported`);
+
+      const content = attachments.length
+        ? [
+          ...attachments.map(a => ({ type: 'image_url', image_url: { url: `data:${a.mimeType};base64,${a.data.toString('base64')}` } })),
+          { type: 'text', text: prompt }
+        ]
+        : prompt;
+      const { message, usage } = await chatCompletion({
+        model,
+        messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content }],
+        temperature,
+        maxOutputTokens
+      });
+      return { text: message.content || '', usage };
+    },
+
+    async embed({ model, text, dimensions }) {
+      const data = await request('/embeddings', { model, input: text, ...(dimensions ? { dimensions } : {}) });
+      return { values: data.data[0].embedding, usage: usageOf(data.usage) };
+    },
+
+    async transcribe({ model, audio, mimeType }) {
+      const form = new FormData();
+      form.append('model', model);
+      form.append('file', new Blob([audio], { type: mimeType }), `voice.${mimeType.split(/[/;]/)[1] || 'ogg'}`);
+      const data = await request('/audio/transcriptions', form);
+      return { text: data.text || '', usage: usageOf(data.usage) };
+    }
+  };
+  return provider;
+}
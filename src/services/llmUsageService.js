@@ -0,0 +1,171 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { Op, fn, col, literal } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { estimateCostUsd } from '../config/llmPricing.js';
+
+// Which client and session an LLM call is made for. The RAG and translation singletons
+// have no client parameter, so the webhook sets the attribution for its whole async flow.
+const llmContext = new AsyncLocalStorage();
+
+const CHARS_PER_TOKEN = 4;
+
+export const REPORT_GROUPS = ['client', 'provider', 'model', 'operation', 'day'];
+
+/**
+ * Run `fn` with its LLM calls attributed to a client/session. The attribution ends with
+ * `fn`, so it cannot leak into the next request handled on the same connection.
+ * @param {Object} context
+ * @param {(store: Object) => *} fn - Receives the context; set `clientId` / `sessionId` on it once they are known
+ * @returns {*} What `fn` returns
+ */
+export function runWithLlmContext(context, fn) {
+  const store = { clientId: null, sessionId: null, ...context };
+  return llmContext.run(store, () => fn(store));
+}
+
+function tokensOf(usage, estimateFrom) {
+  if (usage) {
+    const { inputTokens = 0, outputTokens = 0, audioInputTokens = 0 } = usage;
+    return { inputTokens, outputTokens, audioInputTokens, totalTokens: usage.totalTokens || inputTokens + outputTokens, tokensEstimated: false };
+  }
+  if (estimateFrom !== null && estimateFrom !== undefined) {
+    const inputTokens = Math.ceil(String(estimateFrom).length / CHARS_PER_TOKEN);
+    return { inputTokens, outputTokens: 0, audioInputTokens: 0, totalTokens: inputTokens, tokensEstimated: true };
+  }
+  return { inputTokens: 0, outputTokens: 0, audioInputTokens: 0, totalTokens: 0, tokensEstimated: false };
+}
+
+async function recordLlmCall({ provider, operation, model, usage, estimateFrom, latencyMs, error, clientId, sessionId }) {
+  const context = llmContext.getStore() || {};
+  const tokens  = tokensOf(usage, error ? null : estimateFrom);
+  try {
+    await dbConfig.db.LlmCall.create({
+      clientId:        clientId !== undefined ? clientId : context.clientId || null,
+      sessionId:       sessionId !== undefined ? sessionId : context.sessionId || null,
+      provider,
+      model,
+      operation,
+      inputTokens:     tokens.inputTokens,
+      outputTokens:    tokens.outputTokens,
+      totalTokens:     tokens.totalTokens,
+      tokensEstimated: tokens.tokensEstimated,
+      costUsd:         estimateCostUsd(model, tokens),
+      latencyMs,
+      success:         !error,
+      error:           error ? error.message : null
+    });
+  } catch (err) {
+    logger.error('LLM usage ledger write failed', { provider, operation, model, error: err.message });
+  }
+}
+
+/**
+ * Run one LLM call and record its tokens and estimated cost in the ledger. The ledger
+ * write is not awaited, so it adds no latency to the conversation.
+ * @param {Object} params
+ * @param {string} [params.provider='gemini'] - LLM provider name
+ * @param {string} params.operation     - What the call is for, e.g. 'chat', 'transcription'
+ * @param {string} params.model
+ * @param {Function} params.call        - Returns a provider result ({ usage, ... }, see services/llm)
+ * @param {string} [params.estimateFrom] - Text to count tokens from when the API reports no usage (embeddings)
+ * @param {string|null} [params.clientId]  - Overrides the async context
+ * @param {string|null} [params.sessionId] - Overrides the async context
+ * @returns {Promise<*>} The call's result
+ */
+export async function trackLlmCall({ provider = 'gemini', operation, model, call, estimateFrom = null, clientId, sessionId }) {
+  const startedAt = Date.now();
+  try {
+    const result = await call();
+    recordLlmCall({
+      provider, operation, model, estimateFrom, clientId, sessionId,
+      usage:     result?.usage || null,
+      latencyMs: Date.now() - startedAt
+    });
+    return result;
+  } catch (err) {
+    recordLlmCall({ provider, operation, model, clientId, sessionId, error: err, latencyMs: Date.now() - startedAt });
+    throw err;
+  }
+}
+
+// ─── Reporting ──────────────────────────────────────────────────────────────
+
+function groupExpression(groupBy) {
+  switch (groupBy) {
+    case 'provider':  return col('provider');
+    case 'model':     return col('model');
+    case 'operation': return col('operation');
+    case 'day':       return fn('date_trunc', 'day', col('created_at'));
+    default:          return col('client_id');
+  }
+}
+
+/**
+ * Aggregated LLM usage, most expensive first (days in date order).
+ * @param {Object} params
+ * @param {Date|null} params.from
+ * @param {Date|null} params.to
+ * @param {string} [params.groupBy='client'] - One of REPORT_GROUPS
+ * @param {string} [params.clientId]         - Limit to one client
+ * @param {number} [params.limit=100]
+ */
+export async function llmUsageReport({ from = null, to = null, groupBy = 'client', clientId = null, limit = 100 }) {
+  const where = {};
+  if (from || to) where.createdAt = { ...(from ? { [Op.gte]: from } : {}), ...(to ? { [Op.lte]: to } : {}) };
+  if (clientId) where.clientId = clientId;
+
+  const key  = groupExpression(groupBy);
+  const rows = await dbConfig.db.LlmCall.findAll({
+    where,
+    attributes: [
+      [key, 'key'],
+      [fn('COUNT', col('id')), 'calls'],
+      [fn('SUM', col('input_tokens')), 'inputTokens'],
+      [fn('SUM', col('output_tokens')), 'outputTokens'],
+      [fn('SUM', col('total_tokens')), 'totalTokens'],
+      [fn('SUM', col('cost_usd')), 'costUsd'],
+      [literal('SUM(CASE WHEN success THEN 0 ELSE 1 END)'), 'errors']
+    ],
+    group: [key],
+    order: groupBy === 'day' ? [[key, 'ASC']] : [[fn('SUM', col('cost_usd')), 'DESC NULLS LAST']],
+    limit,
+    raw:   true
+  });
+
+  const names = {};
+  if (groupBy === 'client') {
+    const ids     = rows.map(r => r.key).filter(Boolean);
+    const clients = ids.length ? await dbConfig.db.Client.findAll({ where: { id: ids }, attributes: ['id', 'name', 'companyName'] }) : [];
+    clients.forEach(c => { names[c.id] = c.companyName || c.name; });
+  }
+
+  const groups = rows.map(r => ({
+    key:          groupBy === 'day' && r.key ? new Date(r.key).toISOString().slice(0, 10) : r.key,
+    ...(groupBy === 'client' ? { clientName: names[r.key] || null } : {}),
+    calls:        Number(r.calls),
+    inputTokens:  Number(r.inputTokens || 0),
+    outputTokens: Number(r.outputTokens || 0),
+    totalTokens:  Number(r.totalTokens || 0),
+    costUsd:      Math.round(Number(r.costUsd || 0) * 1e6) / 1e6,
+    errors:       Number(r.errors || 0)
+  }));
+
+  // Over the whole range, not only the groups within `limit`
+  const [sums] = await dbConfig.db.LlmCall.findAll({
+    where,
+    attributes: [
+      [fn('COUNT', col('id')), 'calls'],
+      [fn('SUM', col('total_tokens')), 'totalTokens'],
+      [fn('SUM', col('cost_usd')), 'costUsd']
+    ],
+    raw: true
+  });
+  const totals = {
+    calls:       Number(sums?.calls || 0),
+    totalTokens: Number(sums?.totalTokens || 0),
+    costUsd:     Math.round(Number(sums?.costUsd || 0) * 1e6) / 1e6
+  };
+
+  return { groupBy, range: { from, to }, totals, groups };
+}
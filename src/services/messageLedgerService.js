@@ -0,0 +1,201 @@
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { OUTBOUND_STATUS } from '../models/OutboundMessage.js';
+import { publishOutbound } from './inboxService.js';
+
+const PREVIEW_LENGTH = 500;
+
+// Status webhooks can arrive out of order (e.g. `read` before `delivered`);
+// the current status only ever moves forward, while the timeline keeps everything.
+const STATUS_RANK = {
+  [OUTBOUND_STATUS.ACCEPTED]:  0,
+  [OUTBOUND_STATUS.SENT]:      1,
+  [OUTBOUND_STATUS.DELIVERED]: 2,
+  [OUTBOUND_STATUS.READ]:      3,
+  [OUTBOUND_STATUS.FAILED]:    4
+};
+
+const STATUS_TIMESTAMP_FIELD = {
+  [OUTBOUND_STATUS.SENT]:      'sentAt',
+  [OUTBOUND_STATUS.DELIVERED]: 'deliveredAt',
+  [OUTBOUND_STATUS.READ]:      'readAt',
+  [OUTBOUND_STATUS.FAILED]:    'failedAt'
+};
+
+export function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+function toPreview(text) {
+  if (!text) return null;
+  const value = String(text);
+  return value.length > PREVIEW_LENGTH ? `${value.slice(0, PREVIEW_LENGTH)}…` : value;
+}
+
+function errorFields(error) {
+  if (!error) return {};
+  return {
+    errorCode:    error.code ?? null,
+    errorTitle:   (error.title || error.message || null)?.slice(0, 255) || null,
+    errorDetails: error.error_data?.details || error.message || null
+  };
+}
+
+/**
+ * Record the outcome of a Graph API send in the outbound ledger.
+ * Never throws — a ledger failure must not turn a delivered message into an error.
+ * @param {Object} params
+ * @param {Object} params.credentials - { clientId, phoneNumberId } of the sending number
+ * @param {string} params.to          - Recipient phone number
+ * @param {string} params.type        - text | interactive | template
+ * @param {string} [params.preview]   - Body text or template name
+ * @param {boolean} params.ok         - Whether the Graph API accepted the request
+ * @param {Object} [params.data]      - Parsed Graph API response body
+ * @returns {Promise<Object|null>} The created ledger row
+ */
+export async function recordSend({ credentials, to, type, preview, ok, data }) {
+  try {
+    const now       = new Date();
+    const waMessage = data?.messages?.[0];
+    const status    = ok ? (waMessage?.message_status || OUTBOUND_STATUS.ACCEPTED) : OUTBOUND_STATUS.FAILED;
+
+    const acceptedEntry = { status, timestamp: now.toISOString(), ...(ok ? {} : { errors: [data?.error].filter(Boolean) }) };
+    const fields = {
+      clientId:      credentials?.clientId      || null,
+      phoneNumberId: credentials?.phoneNumberId || null,
+      waMessageId:   waMessage?.id || null,
+      recipient:     normalizePhone(data?.contacts?.[0]?.wa_id || to),
+      type,
+      preview:       toPreview(preview),
+      status,
+      statusHistory: [acceptedEntry],
+      failedAt:      ok ? null : now,
+      ...(ok ? {} : errorFields(data?.error))
+    };
+
+    if (!fields.waMessageId) {
+      const message = await dbConfig.db.OutboundMessage.create(fields);
+      await publishOutbound(message);
+      return message;
+    }
+
+    // A status webhook can beat us here and create an `unknown` row for this wamid —
+    // fill in what only the sender knows and keep the statuses it already carries.
+    const [message, created] = await dbConfig.db.OutboundMessage.findOrCreate({
+      where:    { waMessageId: fields.waMessageId },
+      defaults: fields
+    });
+    if (!created) {
+      message.set({
+        clientId:      message.clientId      || fields.clientId,
+        phoneNumberId: message.phoneNumberId || fields.phoneNumberId,
+        type,
+        preview:       fields.preview,
+        statusHistory: [acceptedEntry, ...(message.statusHistory || [])]
+      });
+      await message.save();
+    }
+    await publishOutbound(message);
+    return message;
+  } catch (err) {
+    logger.error('Outbound ledger: failed to record send', { error: err.message, type });
+    return null;
+  }
+}
+
+/**
+ * Apply a `statuses` array from a WhatsApp webhook to the ledger.
+ * Messages we never recorded (sent from the WhatsApp Business app, or before the
+ * ledger existed) are created with type `unknown` so their timeline is still kept.
+ * @param {Object} params
+ * @param {Object|null} params.client        - Resolved Client, if any
+ * @param {string} params.phoneNumberId      - phone_number_id from the webhook metadata
+ * @param {Array}  params.statuses           - value.statuses from the webhook
+ * @returns {Promise<number>} Number of status entries applied
+ */
+export async function recordStatuses({ client, phoneNumberId, statuses }) {
+  let applied = 0;
+
+  for (const entry of statuses || []) {
+    if (!entry?.id || !entry?.status) continue;
+
+    try {
+      const timestamp = entry.timestamp ? new Date(Number(entry.timestamp) * 1000) : new Date();
+      const timelineEntry = {
+        status:    entry.status,
+        timestamp: timestamp.toISOString(),
+        ...(entry.errors?.length       ? { errors: entry.errors }                      : {}),
+        ...(entry.pricing?.category    ? { pricingCategory: entry.pricing.category }   : {}),
+        ...(entry.conversation?.id     ? { conversationId: entry.conversation.id }     : {})
+      };
+
+      // sent / delivered / read webhooks for one message often arrive in parallel: the row
+      // lock keeps each of them from overwriting the others' history entries
+      await dbConfig.db.sequelize.transaction(async (t) => {
+        const [created] = await dbConfig.db.OutboundMessage.findOrCreate({
+          where:    { waMessageId: entry.id },
+          defaults: {
+            clientId:      client?.id || null,
+            phoneNumberId: phoneNumberId || null,
+            waMessageId:   entry.id,
+            recipient:     normalizePhone(entry.recipient_id),
+            type:          'unknown',
+            status:        entry.status,
+            statusHistory: []
+          },
+          transaction: t
+        });
+        const message = await dbConfig.db.OutboundMessage.findByPk(created.id, { lock: t.LOCK.UPDATE, transaction: t });
+
+        message.statusHistory = [...(message.statusHistory || []), timelineEntry]
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        message.changed('statusHistory', true);
+
+        const currentRank  = STATUS_RANK[message.status] ?? -1;
+        const incomingRank = STATUS_RANK[entry.status]   ?? -1;
+        if (incomingRank >= currentRank) message.status = entry.status;
+
+        const tsField = STATUS_TIMESTAMP_FIELD[entry.status];
+        if (tsField && !message[tsField]) message[tsField] = timestamp;
+
+        if (entry.status === OUTBOUND_STATUS.FAILED) Object.assign(message, errorFields(entry.errors?.[0]));
+
+        await message.save({ transaction: t });
+      });
+      applied += 1;
+    } catch (err) {
+      logger.whatsapp('error', 'Outbound ledger: failed to apply status', {
+        waMessageId: entry.id,
+        status:      entry.status,
+        error:       err.message
+      });
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Attach a user's emoji reaction to the outbound message it reacts to.
+ * An empty emoji means the reaction was removed.
+ * @param {Object} params
+ * @param {Object|null} params.client
+ * @param {string} params.waMessageId - reaction.message_id from the webhook
+ * @param {string} params.emoji
+ * @param {string} [params.timestamp] - Webhook timestamp (unix seconds)
+ * @returns {Promise<Object|null>} The updated ledger row, or null if the message is not ours
+ */
+export async function recordReaction({ client, waMessageId, emoji, timestamp }) {
+  if (!waMessageId) return null;
+
+  const where = { waMessageId };
+  if (client?.id) where.clientId = client.id;
+
+  const message = await dbConfig.db.OutboundMessage.findOne({ where });
+  if (!message) return null;
+
+  message.reaction  = emoji || null;
+  message.reactedAt = emoji ? (timestamp ? new Date(Number(timestamp) * 1000) : new Date()) : null;
+  await message.save();
+  return message;
+}
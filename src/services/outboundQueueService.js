@@ -0,0 +1,415 @@
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { QUEUE_STATUS } from '../models/OutboundQueueItem.js';
+import { MESSAGING_LIMIT_TIERS } from '../models/Client.js';
+import { recordSend, normalizePhone } from './messageLedgerService.js';
+import { resolveClient } from './clientService.js';
+import { isOptedOut } from './consentService.js';
+import { recordUsage, USAGE_METRICS } from './usageService.js';
+
+const MAX_ATTEMPTS     = parseInt(process.env.OUTBOUND_QUEUE_MAX_ATTEMPTS   || '8',    10);
+const BASE_DELAY_MS    = parseInt(process.env.OUTBOUND_QUEUE_BASE_DELAY_MS  || '5000', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOUND_QUEUE_POLL_MS        || '5000', 10);
+const MAX_DELAY_MS     = 30 * 60 * 1000;
+const BATCH_SIZE       = 50;
+const TIER_WINDOW_MS   = 24 * 60 * 60 * 1000;
+const TIER_DEFER_MS    = 60 * 60 * 1000;
+
+export const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Graph API error codes worth retrying: throttling, spam/pair rate limits and temporary outages
+const TRANSIENT_ERROR_CODES = new Set([1, 2, 4, 80007, 130429, 131000, 131016, 131048, 131056]);
+
+function isTransient(httpStatus, errorCode) {
+  if (httpStatus === 429 || httpStatus >= 500) return true;
+  return TRANSIENT_ERROR_CODES.has(errorCode);
+}
+
+function backoffDelay(attempts) {
+  const exponential = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  // ±20 % jitter so a burst of failures does not retry in lockstep
+  return Math.round(exponential * (0.8 + Math.random() * 0.4));
+}
+
+// ── Per-number throughput (messages/second) ─────────────────────────────────
+// In-memory and therefore per instance; Meta enforces the real limit per number.
+
+class ThroughputLimiter {
+  #windows = new Map();
+
+  /** @returns {number} 0 when a send is allowed now, otherwise ms until the next free slot */
+  take(phoneNumberId, messagesPerSecond) {
+    const now    = Date.now();
+    const window = this.#windows.get(phoneNumberId);
+
+    if (!window || now - window.startedAt >= 1000) {
+      this.#windows.set(phoneNumberId, { startedAt: now, count: 1 });
+      return 0;
+    }
+    if (window.count < messagesPerSecond) {
+      window.count += 1;
+      return 0;
+    }
+    return 1000 - (now - window.startedAt);
+  }
+}
+
+const throughputLimiter = new ThroughputLimiter();
+
+/**
+ * Business-initiated (template) messages count against the number's messaging
+ * limit tier: unique recipients per rolling 24 h. Recipients already messaged
+ * inside the window do not count again.
+ */
+async function tierAllows(item, client) {
+  if (item.type !== 'template') return true;
+
+  const limit = MESSAGING_LIMIT_TIERS[client?.whatsappMessagingTier || 'TIER_1K'];
+  if (limit === null || limit === undefined) return true;
+
+  const where = {
+    phoneNumberId: item.phoneNumberId,
+    type:          'template',
+    status:        { [Op.ne]: 'failed' },
+    createdAt:     { [Op.gte]: new Date(Date.now() - TIER_WINDOW_MS) }
+  };
+
+  const uniqueRecipients = await dbConfig.db.OutboundMessage.count({ where, distinct: true, col: 'recipient' });
+  if (uniqueRecipients < limit) return true;
+
+  const alreadyMessaged = await dbConfig.db.OutboundMessage.count({ where: { ...where, recipient: item.recipient } });
+  return alreadyMessaged > 0;
+}
+
+async function postToGraph(phoneNumberId, token, payload) {
+  const res = await fetch(`https://graph.facebook.com/v22.0/${phoneNumberId}/messages`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type':  'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+  const data = await res.json().catch(() => ({}));
+  return { ok: res.ok, httpStatus: res.status, data };
+}
+
+function ledgerCredentials(item) {
+  return { clientId: item.clientId, phoneNumberId: item.phoneNumberId };
+}
+
+async function deadLetter(item, reason, data = null) {
+  item.status         = QUEUE_STATUS.DEAD;
+  item.deadLetteredAt = new Date();
+  item.lockedAt       = null;
+  item.lastError      = reason;
+  await item.save();
+
+  logger.whatsapp('error', 'Outbound message dead-lettered', {
+    queueItemId: item.id,
+    clientId:    item.clientId,
+    type:        item.type,
+    attempts:    item.attempts,
+    reason
+  });
+  await recordSend({
+    credentials: ledgerCredentials(item),
+    to:          item.recipient,
+    type:        item.type,
+    preview:     item.preview,
+    ok:          false,
+    data:        data || { error: { message: reason } }
+  });
+}
+
+/**
+ * Attempt one delivery of a queue item. The item must already be locked
+ * (status `processing`). Leaves it `sent`, `pending` (retry scheduled or
+ * deferred by a rate limit) or `dead`.
+ * @returns {Promise<{ ok: boolean, queued: boolean, data: Object|null }>}
+ */
+async function dispatchItem(item, { client, token }) {
+  if (!token) {
+    await deadLetter(item, 'Client WhatsApp credentials are not configured');
+    return { ok: false, queued: false, data: null };
+  }
+
+  // Consent is checked on every attempt, so a STOP also stops retries already queued
+  if (!item.consentExempt && await isOptedOut(item.clientId, item.recipient)) {
+    item.status    = QUEUE_STATUS.CANCELLED;
+    item.lockedAt  = null;
+    item.lastError = 'Recipient has opted out';
+    await item.save();
+    logger.whatsapp('info', 'Outbound message cancelled — recipient opted out', { queueItemId: item.id, clientId: item.clientId, type: item.type });
+    return { ok: false, queued: false, optedOut: true, data: { error: { message: 'Recipient has opted out', code: 'opted_out' } } };
+  }
+
+  // Admission: throughput first (cheap), then the 24 h tier for templates
+  const mps    = client?.whatsappThroughputMps || 80;
+  let   waitMs = throughputLimiter.take(item.phoneNumberId, mps);
+  if (!waitMs && !(await tierAllows(item, client))) waitMs = TIER_DEFER_MS;
+
+  if (waitMs) {
+    item.status        = QUEUE_STATUS.PENDING;
+    item.lockedAt      = null;
+    item.nextAttemptAt = new Date(Date.now() + waitMs);
+    await item.save();
+    logger.whatsapp('debug', 'Outbound message deferred by rate limit', { queueItemId: item.id, waitMs });
+    return { ok: false, queued: true, data: null };
+  }
+
+  item.attempts += 1;
+
+  let result;
+  try {
+    result = await postToGraph(item.phoneNumberId, token, item.payload);
+  } catch (err) {
+    // Network-level failure (DNS, reset, timeout) — always retryable
+    result = { ok: false, httpStatus: null, data: { error: { message: err.message } }, networkError: true };
+  }
+
+  if (result.ok) {
+    item.status      = QUEUE_STATUS.SENT;
+    item.sentAt      = new Date();
+    item.lockedAt    = null;
+    item.waMessageId = result.data?.messages?.[0]?.id || null;
+    await item.save();
+    await recordSend({
+      credentials: ledgerCredentials(item),
+      to:          item.recipient,
+      type:        item.type,
+      preview:     item.preview,
+      ok:          true,
+      data:        result.data
+    });
+    await recordUsage(client || { id: item.clientId }, USAGE_METRICS.OUTBOUND_MESSAGES);
+    return { ok: true, queued: false, data: result.data };
+  }
+
+  const error     = result.data?.error || {};
+  const transient = result.networkError || isTransient(result.httpStatus, error.code);
+
+  item.lastError     = error.message || `HTTP ${result.httpStatus}`;
+  item.lastErrorCode = Number.isInteger(error.code) ? error.code : null;
+
+  if (transient && item.attempts < item.maxAttempts) {
+    const delay = backoffDelay(item.attempts);
+    item.status        = QUEUE_STATUS.PENDING;
+    item.lockedAt      = null;
+    item.nextAttemptAt = new Date(Date.now() + delay);
+    await item.save();
+
+    logger.whatsapp('warn', 'Outbound message failed, retry scheduled', {
+      queueItemId: item.id,
+      clientId:    item.clientId,
+      attempts:    item.attempts,
+      httpStatus:  result.httpStatus,
+      errorCode:   error.code,
+      retryInMs:   delay
+    });
+    return { ok: false, queued: true, data: result.data };
+  }
+
+  await deadLetter(item, item.lastError, result.data);
+  return { ok: false, queued: false, data: result.data };
+}
+
+/**
+ * Queue an outbound message and try to deliver it immediately.
+ * Every send helper goes through here so transient Graph API failures are
+ * retried with exponential backoff instead of being lost.
+ * @param {Object} params
+ * @param {Object} params.credentials - { clientId, phoneNumberId, token }
+ * @param {string} params.to
+ * @param {Object} params.message     - Type-specific body, e.g. { type: 'text', text: { body } }
+ * @param {string} [params.preview]   - Human-readable summary for the ledger and admin views
+ * @param {boolean} [params.consentExempt] - Deliver even if the recipient opted out (STOP/START confirmations only)
+ * @returns {Promise<{ ok: boolean, queued: boolean, optedOut?: boolean, data: Object|null, queueItemId: string|null }>}
+ *   ok — delivered now; queued — will be retried by the worker; neither — rejected permanently
+ */
+export async function sendQueued({ credentials, to, message, preview = null, consentExempt = false }) {
+  const payload = { messaging_product: 'whatsapp', to, ...message };
+
+  let item;
+  try {
+    item = await dbConfig.db.OutboundQueueItem.create({
+      clientId:      credentials.clientId || null,
+      phoneNumberId: credentials.phoneNumberId,
+      recipient:     normalizePhone(to),
+      type:          message.type,
+      payload,
+      preview,
+      status:        QUEUE_STATUS.PROCESSING,
+      lockedAt:      new Date(),
+      maxAttempts:   MAX_ATTEMPTS,
+      consentExempt
+    });
+  } catch (err) {
+    // Queue unavailable (e.g. database down). The opt-out registry cannot be read either, so
+    // only consent-exempt confirmations get a single direct attempt; the rest are not sent.
+    if (!consentExempt) {
+      logger.error('Outbound queue insert failed, message not sent', { error: err.message, type: message.type });
+      return { ok: false, queued: false, data: null, queueItemId: null };
+    }
+    logger.error('Outbound queue insert failed, sending without retry', { error: err.message, type: message.type });
+    try {
+      const result = await postToGraph(credentials.phoneNumberId, credentials.token, payload);
+      await recordSend({ credentials, to, type: message.type, preview, ok: result.ok, data: result.data });
+      if (result.ok) await recordUsage({ id: credentials.clientId }, USAGE_METRICS.OUTBOUND_MESSAGES);
+      return { ok: result.ok, queued: false, data: result.data, queueItemId: null };
+    } catch (sendErr) {
+      logger.error('Direct send after queue failure failed', { error: sendErr.message, type: message.type });
+      return { ok: false, queued: false, data: null, queueItemId: null };
+    }
+  }
+
+  const client = await resolveClient(credentials.phoneNumberId).catch(() => null);
+  const result = await dispatchItem(item, { client, token: credentials.token });
+  return { ...result, queueItemId: item.id };
+}
+
+/**
+ * Claim due items with SKIP LOCKED (safe with several app instances),
+ * then dispatch them one by one.
+ * @returns {Promise<number>} Number of items dispatched
+ */
+export async function processDueItems() {
+  const { OutboundQueueItem, sequelize } = dbConfig.db;
+
+  // Release items whose worker died mid-dispatch
+  await OutboundQueueItem.update(
+    { status: QUEUE_STATUS.PENDING, lockedAt: null },
+    { where: { status: QUEUE_STATUS.PROCESSING, lockedAt: { [Op.lt]: new Date(Date.now() - LOCK_TIMEOUT_MS) } } }
+  );
+
+  const items = await sequelize.transaction(async (t) => {
+    const due = await OutboundQueueItem.findAll({
+      where:  { status: QUEUE_STATUS.PENDING, nextAttemptAt: { [Op.lte]: new Date() } },
+      order:  [['nextAttemptAt', 'ASC']],
+      limit:  BATCH_SIZE,
+      lock:   t.LOCK.UPDATE,
+      skipLocked: true,
+      transaction: t
+    });
+    if (due.length) {
+      await OutboundQueueItem.update(
+        { status: QUEUE_STATUS.PROCESSING, lockedAt: new Date() },
+        { where: { id: due.map(i => i.id) }, transaction: t }
+      );
+    }
+    return due;
+  });
+
+  for (const item of items) {
+    try {
+      const client = await resolveClient(item.phoneNumberId);
+      await dispatchItem(item, { client, token: client?.getDecryptedWhatsappToken?.() || null });
+    } catch (err) {
+      logger.error('Outbound queue dispatch error', { queueItemId: item.id, error: err.message });
+    }
+  }
+
+  return items.length;
+}
+
+/**
+ * Put a dead or pending item back at the front of the queue with a fresh attempt budget.
+ * @returns {Promise<Object|null>} The updated item, or null when it cannot be retried
+ */
+export async function retryItem(id) {
+  const item = await dbConfig.db.OutboundQueueItem.findByPk(id);
+  if (!item || ![QUEUE_STATUS.DEAD, QUEUE_STATUS.PENDING].includes(item.status)) return null;
+
+  item.status         = QUEUE_STATUS.PENDING;
+  item.maxAttempts    = item.attempts + MAX_ATTEMPTS;
+  item.nextAttemptAt  = new Date();
+  item.deadLetteredAt = null;
+  await item.save();
+  return item;
+}
+
+/**
+ * Cancel an item that has not been delivered yet.
+ * @returns {Promise<Object|null>} The updated item, or null when it is already final
+ */
+export async function cancelItem(id) {
+  const item = await dbConfig.db.OutboundQueueItem.findByPk(id);
+  if (!item || ![QUEUE_STATUS.DEAD, QUEUE_STATUS.PENDING, QUEUE_STATUS.HELD].includes(item.status)) return null;
+
+  item.status   = QUEUE_STATUS.CANCELLED;
+  item.lockedAt = null;
+  await item.save();
+  return item;
+}
+
+/**
+ * Cancel the items among `ids` still waiting for a delivery attempt. Items being
+ * dispatched right now finish that attempt.
+ * @param {string[]} ids
+ * @returns {Promise<string[]>} Ids of the items cancelled
+ */
+export async function cancelItems(ids) {
+  if (!ids.length) return [];
+  const [, cancelled] = await dbConfig.db.OutboundQueueItem.update(
+    { status: QUEUE_STATUS.CANCELLED, lockedAt: null },
+    { where: { id: ids, status: [QUEUE_STATUS.PENDING, QUEUE_STATUS.HELD] }, returning: ['id'] }
+  );
+  return cancelled.map(item => item.id);
+}
+
+/**
+ * Keep waiting items out of the worker's reach until releaseItems() (a paused campaign).
+ * @param {string[]} ids
+ * @returns {Promise<number>} Number of items held
+ */
+export async function holdItems(ids) {
+  if (!ids.length) return 0;
+  const [held] = await dbConfig.db.OutboundQueueItem.update(
+    { status: QUEUE_STATUS.HELD },
+    { where: { id: ids, status: QUEUE_STATUS.PENDING } }
+  );
+  return held;
+}
+
+/**
+ * Put held items back in the queue, due now.
+ * @param {string[]} ids
+ * @returns {Promise<number>} Number of items released
+ */
+export async function releaseItems(ids) {
+  if (!ids.length) return 0;
+  const [released] = await dbConfig.db.OutboundQueueItem.update(
+    { status: QUEUE_STATUS.PENDING, nextAttemptAt: new Date() },
+    { where: { id: ids, status: QUEUE_STATUS.HELD } }
+  );
+  return released;
+}
+
+let workerTimer   = null;
+let workerRunning = false;
+
+export function startOutboundQueueWorker() {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      const count = await processDueItems();
+      if (count) logger.whatsapp('debug', 'Outbound queue batch processed', { count });
+    } catch (err) {
+      logger.error('Outbound queue worker error', { error: err.message });
+    } finally {
+      workerRunning = false;
+    }
+  }, POLL_INTERVAL_MS);
+  workerTimer.unref?.();
+
+  logger.info('Outbound queue worker started', { pollIntervalMs: POLL_INTERVAL_MS, maxAttempts: MAX_ATTEMPTS });
+}
+
+export function stopOutboundQueueWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
@@ -0,0 +1,184 @@
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { ClientCache } from '../utils/cache.js';
+import { REPLY_LENGTHS } from '../models/PromptConfig.js';
+
+// Other instances pick up an activated version within this TTL
+const cache = new ClientCache(parseInt(process.env.PROMPT_CONFIG_CACHE_MS || '60000', 10));
+
+export const PROMPT_FIELDS = ['persona', 'tone', 'greeting', 'forbiddenTopics', 'escalationMessage', 'replyLength', 'rules'];
+
+export const PROMPT_DEFAULTS = {
+  persona:           null,
+  tone:              null,
+  greeting:          null,
+  forbiddenTopics:   [],
+  escalationMessage: null,
+  replyLength:       REPLY_LENGTHS.MEDIUM,
+  rules:             []
+};
+
+// Text that goes into the system prompt is kept to one line so it cannot open sections of its own
+const TEXT_LIMITS = {
+  persona:           { max: 1000, singleLine: true },
+  tone:              { max: 200,  singleLine: true },
+  greeting:          { max: 1024, singleLine: false },
+  escalationMessage: { max: 1024, singleLine: false }
+};
+const LIST_LIMITS = {
+  forbiddenTopics: { items: 30, max: 200 },
+  rules:           { items: 20, max: 300 }
+};
+
+function badRequest(message, details = null) {
+  const err = new Error(message);
+  err.status = 400;
+  if (details) err.details = details;
+  return err;
+}
+
+function cleanText(value, { singleLine }) {
+  const text = String(value).replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '');
+  return (singleLine ? text.replace(/\s+/g, ' ') : text).trim();
+}
+
+/**
+ * Validate and normalize prompt fields. Only the fields present in `input` are returned;
+ * null or '' resets a field to its default.
+ * @throws {Error} 400 with `details` listing every problem
+ */
+export function normalizePromptConfig(input = {}) {
+  const errors = [];
+  const out    = {};
+
+  for (const [field, { max, singleLine }] of Object.entries(TEXT_LIMITS)) {
+    if (input[field] === undefined) continue;
+    if (input[field] === null) { out[field] = null; continue; }
+    if (typeof input[field] !== 'string') { errors.push(`${field} must be a string`); continue; }
+    const text = cleanText(input[field], { singleLine });
+    if (text.length > max) errors.push(`${field} must be at most ${max} characters`);
+    out[field] = text || null;
+  }
+
+  for (const [field, { items, max }] of Object.entries(LIST_LIMITS)) {
+    if (input[field] === undefined) continue;
+    if (input[field] === null) { out[field] = []; continue; }
+    if (!Array.isArray(input[field]) || input[field].some(v => typeof v !== 'string')) {
+      errors.push(`${field} must be an array of strings`);
+      continue;
+    }
+    const list = input[field].map(v => cleanText(v, { singleLine: true })).filter(Boolean);
+    if (list.length > items) errors.push(`${field} takes at most ${items} entries`);
+    if (list.some(v => v.length > max)) errors.push(`each of ${field} must be at most ${max} characters`);
+    out[field] = list;
+  }
+
+  if (input.replyLength !== undefined) {
+    if (input.replyLength === null) out.replyLength = PROMPT_DEFAULTS.replyLength;
+    else if (!Object.values(REPLY_LENGTHS).includes(input.replyLength)) {
+      errors.push(`replyLength must be one of ${Object.values(REPLY_LENGTHS).join(', ')}`);
+    } else out.replyLength = input.replyLength;
+  }
+
+  if (errors.length) throw badRequest('Invalid prompt configuration', errors);
+  return out;
+}
+
+/** Prompt settings of a version (or the defaults when there is none), as the prompt builders read them */
+export function effectivePromptConfig(row = null) {
+  const config = { version: row?.version ?? null };
+  for (const field of PROMPT_FIELDS) config[field] = row?.[field] ?? PROMPT_DEFAULTS[field];
+  return config;
+}
+
+/**
+ * Active prompt settings of a client, cached briefly.
+ * @returns {Promise<Object>} See effectivePromptConfig
+ */
+export async function getPromptConfig(clientId) {
+  if (!clientId) return effectivePromptConfig();
+  const cached = cache.get(clientId);
+  if (cached) return cached;
+
+  const row    = await dbConfig.db.PromptConfig.findOne({ where: { clientId, isActive: true } });
+  const config = effectivePromptConfig(row);
+  cache.set(clientId, config);
+  return config;
+}
+
+export async function listPromptConfigVersions(clientId) {
+  return dbConfig.db.PromptConfig.findAll({ where: { clientId }, order: [['version', 'DESC']] });
+}
+
+async function activate(clientId, row, transaction) {
+  await dbConfig.db.PromptConfig.update({ isActive: false }, { where: { clientId, isActive: true }, transaction });
+  await row.update({ isActive: true, activatedAt: new Date() }, { transaction });
+}
+
+/**
+ * Save a new version. Fields left out are copied from the base version (the active one
+ * unless `basedOn` names another), so a change can be sent on its own.
+ * @param {string} clientId
+ * @param {Object} input            - Prompt fields
+ * @param {Object} [options]
+ * @param {number} [options.basedOn] - Version to copy omitted fields from
+ * @param {boolean} [options.activate=true]
+ * @param {string} [options.note]
+ */
+export async function createPromptConfigVersion(clientId, input, { basedOn = null, activate: makeActive = true, note = null } = {}) {
+  const changes = normalizePromptConfig(input);
+
+  const row = await dbConfig.db.sequelize.transaction(async (transaction) => {
+    // Serializes version numbers per client
+    const client = await dbConfig.db.Client.findByPk(clientId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!client) return null;
+
+    const base = basedOn
+      ? await dbConfig.db.PromptConfig.findOne({ where: { clientId, version: basedOn }, transaction })
+      : await dbConfig.db.PromptConfig.findOne({ where: { clientId, isActive: true }, transaction });
+    if (basedOn && !base) throw badRequest(`Version ${basedOn} does not exist`);
+
+    const latest  = await dbConfig.db.PromptConfig.max('version', { where: { clientId }, transaction });
+    const version = (latest || 0) + 1;
+    const fields  = { ...effectivePromptConfig(base), ...changes };
+    delete fields.version;
+
+    const created = await dbConfig.db.PromptConfig.create({
+      clientId,
+      version,
+      ...fields,
+      note: note ? String(note).slice(0, 255) : null
+    }, { transaction });
+    if (makeActive) await activate(clientId, created, transaction);
+    return created;
+  });
+
+  if (row) {
+    cache.invalidate(clientId);
+    logger.info('Prompt configuration version saved', { clientId, version: row.version, active: row.isActive, fields: Object.keys(changes) });
+  }
+  return row;
+}
+
+/**
+ * Make an earlier (or newer, inactive) version the active one.
+ * @returns {Promise<Object|null>} The version, or null when it does not exist
+ */
+export async function activatePromptConfigVersion(clientId, version) {
+  const row = await dbConfig.db.sequelize.transaction(async (transaction) => {
+    // Same lock as createPromptConfigVersion: one activation at a time per client
+    const client = await dbConfig.db.Client.findByPk(clientId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!client) return null;
+
+    const target = await dbConfig.db.PromptConfig.findOne({ where: { clientId, version }, transaction });
+    if (!target) return null;
+    if (!target.isActive) await activate(clientId, target, transaction);
+    return target;
+  });
+
+  if (row) {
+    cache.invalidate(clientId);
+    logger.info('Prompt configuration version activated', { clientId, version });
+  }
+  return row;
+}
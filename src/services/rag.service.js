@@ -3,6 +3,8 @@ import vectorDBService from './vector-db.service.js';
 import documentProcessor from './document-processor.service.js';
 import ragConfig from '../config/rag.config.js';
 import logger from '../logger/logger.js';
+import { getPlatformLlmProvider } from './llm/index.js';
+import { personaLine, replyLengthRule, toneRule, clientRulesSection } from '../helpers/whatsapp/prompts.js';
 import { getCacheConfig, getIntentConfig, getLanguageConfig } from '../utils/config-compatibility.helper.js';
 
 /**
@@ -182,9 +184,7 @@ class RAGService {
      */
     async _classifyWithLLM(message, history = []) {
         try {
-            const model = embeddingService.genAI.getGenerativeModel({
-                model: "gemini-2.0-flash"
-            });
+            const llm = getPlatformLlmProvider();
 
             const categories = this.intentConfig.categories.join(', ');
 
@@ -193,7 +193,7 @@ class RAGService {
                 `${h.role === 'user' ? 'User' : 'Assistant'}: ${h.content}`
             ).join('\n');
 
-            const prompt = `Classify the following user message for a professional IT consultancy (Moyo Tech Solutions).
+            const prompt = `Classify the following user message sent to a business's WhatsApp assistant.
 Categories: ${categories}
 Supported Languages: en (English), fr (French), rw (Kinyarwanda), kis (Kiswahili), de (German), sw (Kiswahili)
 
@@ -215,18 +215,18 @@ Example: {"intent": "general", "language": "en"}
 JSON Output:`;
 
             const result = await this._geminiWithRetry(
-                () => model.generateContent({
-                    contents: [{ role: 'user', parts: [{ text: prompt }] }],
-                    generationConfig: {
-                        temperature: 0,
-                        maxOutputTokens: 100,
-                        responseMimeType: "application/json"
-                    }
+                () => llm.complete({
+                    operation: 'intent_classification',
+                    model: llm.models.fast,
+                    prompt,
+                    temperature: 0,
+                    maxOutputTokens: 100,
+                    json: true
                 }),
                 'intent-classification'
             );
 
-            const responseText = result.response.text();
+            const responseText = result.text;
 
             // Extract JSON block even more robustly
             let parsed;
@@ -339,40 +339,34 @@ JSON Output:`;
     }
 
     /**
-     * Use Gemini to detect the language of a message.
+     * Use the platform LLM to detect the language of a message.
      * @param {string} message - User message
      * @returns {Promise<string>} - Language code
      * @private
      */
     async _detectLanguageWithGemini(message) {
     try {
-        // 1. Initialize the model with System Instructions
-        const model = embeddingService.genAI.getGenerativeModel({
-            model: 'gemini-2.0-flash',
-            systemInstruction: "You are a language detection API. Identify if the message is primarily in English (en), French (fr), Kinyarwanda (rw), Swahili (sw), or German (de). Output ONLY the two-letter ISO code. For mixed-language messages (e.g., Kinyarwanda with English time formats), identify the DOMINANT non-English language. Only output 'en' if the message is clearly and primarily in English. Do not provide explanations.",
-        });
-
-        // 2. Set strict generation config
-        const generationConfig = {
-            temperature: 0.1,
-            maxOutputTokens: 5,
-            responseMimeType: "text/plain",
-        };
+        // 1. System instructions
+        const llm = getPlatformLlmProvider();
+        const systemInstruction = "You are a language detection API. Identify if the message is primarily in English (en), French (fr), Kinyarwanda (rw), Swahili (sw), or German (de). Output ONLY the two-letter ISO code. For mixed-language messages (e.g., Kinyarwanda with English time formats), identify the DOMINANT non-English language. Only output 'en' if the message is clearly and primarily in English. Do not provide explanations.";
 
-        // 3. Send only the message text to the model
+        // 2. Send only the message text to the model, with a strict generation config
         const result = await this._geminiWithRetry(
-            () => model.generateContent({
-                contents: [{ role: 'user', parts: [{ text: message }] }],
-                generationConfig,
+            () => llm.complete({
+                operation: 'language_detection',
+                model: llm.models.fast,
+                system: systemInstruction,
+                prompt: message,
+                temperature: 0.1,
+                maxOutputTokens: 5
             }),
             'language-detection'
         );
 
-        // 4. Safely extract the text
-        const response = await result.response;
-        const lang = response.text().trim().toLowerCase();
+        // 3. Safely extract the text
+        const lang = result.text.trim().toLowerCase();
 
-        // 5. Validation logic
+        // 4. Validation logic
         const supported = ['en', 'fr', 'rw', 'sw', 'de'];
         
         // Use startsWith or substring to handle accidental trailing punctuation like "rw."
@@ -764,6 +758,7 @@ JSON Output:`;
      * @param {object} retrievedData - Data from retrieveContext
      * @param {string} userMessage - Current user message
      * @param {object} dynamicData - Dynamic data (slots, date, etc.)
+     * @param {object} clientConfig - { companyName, promptConfig }
      * @returns {string} - Complete augmented prompt
      */
     buildAugmentedPrompt(retrievedData, userMessage, dynamicData = {}, clientConfig = {}) {
@@ -811,6 +806,7 @@ JSON Output:`;
      * Get base instruction for the AI
      * @param {string} language - Target language
      * @param {string} intent - User intent
+     * @param {object} clientConfig - { companyName, promptConfig }
      * @returns {string} - Base instruction
      */
     getBaseInstruction(_language, intent, clientConfig = {}) {
@@ -823,9 +819,11 @@ JSON Output:`;
             general: 'Be friendly and helpful.'
         }[intent] || 'Be helpful and professional.';
 
-        const companyName = clientConfig.companyName || 'our company';
-        return `You are a professional AI assistant for ${companyName}.
-
+        const companyName  = clientConfig.companyName || 'our company';
+        const promptConfig = clientConfig.promptConfig || null;
+        const clientRules  = clientRulesSection(promptConfig, companyName);
+        return `${personaLine(promptConfig, companyName)}
+${clientRules ? `\n${clientRules}\n` : ''}
 CRITICAL LANGUAGE RULE:
 - ALWAYS respond in the SAME language as the user's CURRENT message.
 - Determine the language by reading ONLY the user's current message — do NOT use the conversation history to decide.
@@ -838,8 +836,8 @@ CORE RULES:
 - Use ONLY information from the "RELEVANT INFORMATION" section above
 - Never invent or assume information not provided
 - For bookings, use ONLY dates from "AVAILABLE CONSULTATION SLOTS"
-- Keep responses concise (2-4 sentences) unless more detail is needed
-- Be warm, professional, and customer-focused
+- ${replyLengthRule(promptConfig)}
+- ${toneRule(promptConfig)}
 - ${intentGuidance}
 
 OUTPUT FORMAT:
@@ -862,22 +860,20 @@ If information is not available, politely say so and offer to help with somethin
      */
     async _translateQueryToEnglish(query, language) {
         try {
-            const model = embeddingService.genAI.getGenerativeModel({
-                model: 'gemini-2.0-flash'
-            });
+            const llm = getPlatformLlmProvider();
 
             const result = await this._geminiWithRetry(
-              () => model.generateContent({
-                contents: [{
-                    role: 'user',
-                    parts: [{ text: `Translate the following message to English. Output ONLY the translated text, nothing else.\n\nMessage: ${query}` }]
-                }],
-                generationConfig: { temperature: 0, maxOutputTokens: 200 }
+              () => llm.complete({
+                operation: 'query_translation',
+                model: llm.models.fast,
+                prompt: `Translate the following message to English. Output ONLY the translated text, nothing else.\n\nMessage: ${query}`,
+                temperature: 0,
+                maxOutputTokens: 200
               }),
               'query-translation'
             );
 
-            const translated = result.response.text().trim();
+            const translated = result.text.trim();
             logger.debug('Query translated for retrieval', { original: query, translated, language });
             return translated || query;
         } catch (err) {
@@ -942,8 +938,8 @@ If information is not available, politely say so and offer to help with somethin
     }
 
     /**
-     * Call a Gemini model with automatic retry on 503/429 rate-limit errors.
-     * @param {Function} fn - Async function that makes the Gemini call
+     * Call an LLM with automatic retry on 503/429 rate-limit errors.
+     * @param {Function} fn - Async function that makes the LLM call
      * @param {string} label - Label for logging
      * @param {number} maxRetries
      * @private
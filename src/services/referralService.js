@@ -0,0 +1,78 @@
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { normalizePhone } from './messageLedgerService.js';
+
+export const REFERRAL_SOURCE = 'whatsapp_referral';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function contactToLead(contact) {
+  const phoneEntry = contact?.phones?.find(p => p.wa_id) || contact?.phones?.[0];
+  const email      = contact?.emails?.map(e => e.email?.trim()).find(e => e && EMAIL_PATTERN.test(e)) || null;
+  const name       = contact?.name?.formatted_name ||
+    [contact?.name?.first_name, contact?.name?.last_name].filter(Boolean).join(' ') || null;
+
+  return {
+    name,
+    phone:   normalizePhone(phoneEntry?.wa_id || phoneEntry?.phone) || null,
+    email,
+    company: contact?.org?.company || null
+  };
+}
+
+/**
+ * Save the contact cards a user shared as referral leads. A contact with neither a
+ * phone nor an email is skipped, and one already referred to this client is not duplicated.
+ * @param {Object} params
+ * @param {Object|null} params.client
+ * @param {Object} params.session   - Session of the user who shared the cards
+ * @param {Array}  params.contacts  - msg.contacts from the webhook
+ * @returns {Promise<{ saved: Object[], duplicates: number, skipped: number }>}
+ */
+export async function saveReferrals({ client, session, contacts }) {
+  const result = { saved: [], duplicates: 0, skipped: 0 };
+
+  for (const contact of contacts || []) {
+    const lead = contactToLead(contact);
+    if (!lead.phone && !lead.email) {
+      result.skipped += 1;
+      continue;
+    }
+
+    const existing = await dbConfig.db.ServiceRequest.findOne({
+      where: {
+        clientId: client?.id || null,
+        source:   REFERRAL_SOURCE,
+        ...(lead.phone ? { phone: lead.phone } : { email: lead.email })
+      }
+    });
+    if (existing) {
+      result.duplicates += 1;
+      continue;
+    }
+
+    const request = await dbConfig.db.ServiceRequest.create({
+      clientId:        client?.id || null,
+      service:         'Referral',
+      name:            lead.name || lead.phone || lead.email,
+      email:           lead.email,
+      phone:           lead.phone,
+      company:         lead.company,
+      details:         `Referred over WhatsApp by ${session.name || 'a client'} (${session.phone})`,
+      source:          REFERRAL_SOURCE,
+      referredByPhone: session.phone,
+      paymentStatus:   'not_required',
+      status:          'new'
+    });
+    result.saved.push(request);
+  }
+
+  logger.whatsapp('info', 'Referral contacts processed', {
+    clientId:   client?.id,
+    referredBy: `***${String(session.phone).slice(-4)}`,
+    saved:      result.saved.length,
+    duplicates: result.duplicates,
+    skipped:    result.skipped
+  });
+  return result;
+}
@@ -0,0 +1,137 @@
+import os from 'os';
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+
+// Periodic jobs that must run once per interval across all app instances. Each job
+// has a row in scheduled_jobs; an instance runs it only after winning a conditional
+// update that takes a time-limited lease, so a crashed instance never blocks it for good.
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_MS || '30000', 10);
+const INSTANCE_ID      = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+const jobs = new Map();
+let schedulerTimer   = null;
+let schedulerRunning = false;
+
+/**
+ * Register a periodic job. Call before startScheduler().
+ * @param {Object} job
+ * @param {string} job.name
+ * @param {number} job.intervalMs
+ * @param {Function} job.run       - async () => result; the result is stored as lastResult
+ * @param {number} [job.leaseMs]   - How long a run may take before another instance can take over
+ */
+export function registerJob({ name, intervalMs, run, leaseMs = DEFAULT_LEASE_MS }) {
+  jobs.set(name, { name, intervalMs, run, leaseMs, ensured: false });
+}
+
+async function ensureRow(job) {
+  if (job.ensured) return;
+  try {
+    await dbConfig.db.ScheduledJob.findOrCreate({
+      where:    { name: job.name },
+      defaults: { name: job.name, intervalMs: job.intervalMs, nextRunAt: new Date() }
+    });
+  } catch (err) {
+    // Another instance inserted the row first
+    if (err.name !== 'SequelizeUniqueConstraintError') throw err;
+  }
+  job.ensured = true;
+}
+
+async function claim(job) {
+  const now = new Date();
+  const [claimed] = await dbConfig.db.ScheduledJob.update(
+    { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + job.leaseMs), lastStartedAt: now, intervalMs: job.intervalMs },
+    {
+      where: {
+        name:      job.name,
+        nextRunAt: { [Op.lte]: now },
+        [Op.or]:   [{ lockedUntil: null }, { lockedUntil: { [Op.lt]: now } }]
+      }
+    }
+  );
+  return claimed === 1;
+}
+
+async function runJob(job) {
+  const startedAt = Date.now();
+  let result = null;
+  let error  = null;
+
+  try {
+    result = (await job.run()) ?? null;
+  } catch (err) {
+    error = err;
+    logger.error('Scheduled job failed', { job: job.name, error: err.message });
+  }
+
+  await dbConfig.db.ScheduledJob.update(
+    {
+      lockedBy:       null,
+      lockedUntil:    null,
+      nextRunAt:      new Date(startedAt + job.intervalMs),
+      lastFinishedAt: new Date(),
+      lastDurationMs: Date.now() - startedAt,
+      lastError:      error ? error.message : null,
+      lastResult:     error ? null : result,
+      runCount:       dbConfig.db.sequelize.literal('run_count + 1')
+    },
+    // A run that outlived its lease may have been taken over; leave the new holder's row alone
+    { where: { name: job.name, lockedBy: INSTANCE_ID } }
+  );
+
+  if (!error) logger.info('Scheduled job finished', { job: job.name, durationMs: Date.now() - startedAt, result });
+}
+
+/** One scheduler tick: run every due job this instance manages to claim */
+export async function runDueJobs() {
+  let ran = 0;
+  for (const job of jobs.values()) {
+    await ensureRow(job);
+    if (!(await claim(job))) continue;
+    await runJob(job);
+    ran += 1;
+  }
+  return ran;
+}
+
+/** Make a job due on the next tick of whichever instance polls first */
+export async function triggerJob(name) {
+  const [updated] = await dbConfig.db.ScheduledJob.update({ nextRunAt: new Date() }, { where: { name } });
+  return updated === 1;
+}
+
+/** Job rows with their last run, for monitoring */
+export async function listJobs() {
+  const rows = await dbConfig.db.ScheduledJob.findAll({ order: [['name', 'ASC']] });
+  return rows.map(row => ({ ...row.toJSON(), registered: jobs.has(row.name) }));
+}
+
+export function startScheduler() {
+  if (schedulerTimer) return;
+
+  const tick = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      await runDueJobs();
+    } catch (err) {
+      logger.error('Scheduler error', { error: err.message });
+    } finally {
+      schedulerRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, POLL_INTERVAL_MS);
+  schedulerTimer.unref?.();
+  tick();
+
+  logger.info('Scheduler started', { pollIntervalMs: POLL_INTERVAL_MS, instance: INSTANCE_ID, jobs: [...jobs.keys()] });
+}
+
+export function stopScheduler() {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
@@ -0,0 +1,175 @@
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { sendMessage } from './whatsappService.js';
+import { sendQueued } from './outboundQueueService.js';
+import { normalizePhone } from './messageLedgerService.js';
+import { findApprovedTemplate, buildTemplateMessage } from './templateService.js';
+
+// WhatsApp only accepts free-form messages within 24 h of the user's last message
+export const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Treat the window as closed a little early so a send racing the deadline is not rejected
+const WINDOW_SAFETY_MS   = 60 * 1000;
+const TEMPLATE_PARAM_MAX = 1024;
+
+export const DELIVERY_PATH = {
+  FREE_FORM: 'free_form',  // window open — sent as typed
+  TEMPLATE:  'template',   // window closed — sent through the approved fallback template
+  BLOCKED:   'blocked'     // window closed and no usable template — nothing sent
+};
+
+/** When the user last wrote to us, or null when they never did */
+export function lastInboundAt(session) {
+  if (!session) return null;
+  if (session.lastInboundAt) return new Date(session.lastInboundAt);
+
+  // Sessions from before lastInboundAt existed: the last user turn in the history
+  const lastUserTurn = [...(session.history || [])].reverse().find(h => h.role === 'user' && h.timestamp);
+  return lastUserTurn ? new Date(lastUserTurn.timestamp) : null;
+}
+
+/**
+ * Customer service window of a session.
+ * @returns {{ open: boolean, lastInboundAt: Date|null, closesAt: Date|null }}
+ */
+export function serviceWindow(session, now = Date.now()) {
+  const last     = lastInboundAt(session);
+  const closesAt = last ? new Date(last.getTime() + SERVICE_WINDOW_MS) : null;
+  return {
+    open: !!closesAt && closesAt.getTime() - WINDOW_SAFETY_MS > now,
+    lastInboundAt: last,
+    closesAt
+  };
+}
+
+export async function getServiceWindow(clientId, phone) {
+  const session = await dbConfig.db.UserSession.findOne({ where: { clientId: clientId || null, phone: normalizePhone(phone) } });
+  return serviceWindow(session);
+}
+
+// Template parameters may not contain newlines, tabs or long runs of spaces
+function templateText(text) {
+  const flat = String(text || '').replace(/\s*\n+\s*/g, ' · ').replace(/\s+/g, ' ').trim();
+  return flat.length > TEMPLATE_PARAM_MAX ? `${flat.slice(0, TEMPLATE_PARAM_MAX - 1)}…` : flat;
+}
+
+// `$message` / `$name` / `$phone` (and `$reason` for staff alerts) inside fallback values are filled per send
+function fillTokens(value, tokens) {
+  if (typeof value === 'string') {
+    return Object.entries(tokens).reduce((text, [token, replacement]) => text.replaceAll(`$${token}`, replacement), value);
+  }
+  if (Array.isArray(value)) return value.map(v => fillTokens(v, tokens));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillTokens(v, tokens)]));
+  }
+  return value;
+}
+
+/**
+ * Send the client's approved fallback template (or `template`) regardless of the
+ * service window. Tokens fill `$<token>` placeholders in its values; `$phone`
+ * defaults to the recipient, and `$message` is the default body parameter.
+ * @param {Object} params
+ * @param {Object} params.client
+ * @param {string} params.to
+ * @param {Object} [params.template]  - { name, language, values } overriding client.windowFallbackTemplate
+ * @param {Object} [params.tokens]    - e.g. { message, name, phone, reason }
+ * @param {string} [params.preview]   - Text stored in the ledger for this send
+ * @param {boolean} [params.consentExempt]
+ * @returns {Promise<{ attempted: boolean, ok: boolean, queued: boolean, data: Object|null, templateName?: string, reason?: string }>}
+ *   attempted is false when no usable template exists and nothing was sent
+ */
+export async function sendTemplate({ client, to, template = null, tokens = {}, preview = '', consentExempt = false }) {
+  const clientId = client?.id || null;
+  const skipped  = (extra) => ({ attempted: false, ok: false, queued: false, data: null, ...extra });
+
+  const fallback = template || client?.windowFallbackTemplate;
+  if (!fallback?.name) return skipped({ reason: 'No fallback template configured' });
+
+  const stored = await findApprovedTemplate(clientId, fallback.name, fallback.language || null);
+  if (!stored) return skipped({ reason: `Fallback template "${fallback.name}" is not approved` });
+
+  let templateMessage;
+  try {
+    const filled = Object.fromEntries(Object.entries({ phone: normalizePhone(to), ...tokens })
+      .map(([token, value]) => [token, templateText(value)]));
+    templateMessage = buildTemplateMessage(stored, fillTokens(fallback.values || { body: ['$message'] }, filled));
+  } catch (err) {
+    return skipped({ templateName: stored.name, reason: err.message });
+  }
+
+  const result = await sendQueued({
+    credentials: {
+      clientId,
+      phoneNumberId: client?.whatsappBusinessId,
+      token:         client?.getDecryptedWhatsappToken?.()
+    },
+    to,
+    message: { type: 'template', template: templateMessage },
+    preview: `[${stored.name}] ${templateText(preview)}`,
+    consentExempt
+  });
+
+  return {
+    attempted:    true,
+    ok:           !!result.ok,
+    queued:       !!result.queued,
+    data:         result.data || null,
+    templateName: stored.name,
+    ...(result.ok || result.queued ? {} : { reason: result.data?.error?.message || 'Send rejected' })
+  };
+}
+
+/**
+ * Send a free-form text if the recipient's 24 h window is open, otherwise the
+ * client's approved fallback template with the text passed as a parameter.
+ * Use for anything not sent as a direct answer to the user's message
+ * (webhooks, reminders, agent replies).
+ * @param {Object} params
+ * @param {Object} params.client
+ * @param {string} params.to
+ * @param {string} params.message
+ * @param {Object} [params.template]  - { name, language, values } overriding client.windowFallbackTemplate
+ * @param {Object} [params.session]   - Recipient session when already loaded (saves a lookup)
+ * @param {boolean} [params.consentExempt]
+ * @returns {Promise<{ path: string, windowOpen: boolean, closesAt: Date|null, data: Object|null, templateName?: string, reason?: string }>}
+ *   data is null when nothing was delivered or queued
+ */
+export async function sendInWindow({ client, to, message, template = null, session = undefined, consentExempt = false }) {
+  const clientId = client?.id || null;
+  const recipientSession = session !== undefined
+    ? session
+    : await dbConfig.db.UserSession.findOne({ where: { clientId, phone: normalizePhone(to) } });
+  const window = serviceWindow(recipientSession);
+
+  const report = (path, extra = {}) => {
+    logger.whatsapp(path === DELIVERY_PATH.BLOCKED ? 'warn' : 'info', 'Service window delivery path', {
+      clientId,
+      to:       `***${String(to).slice(-4)}`,
+      path,
+      closesAt: window.closesAt,
+      ...(extra.templateName ? { templateName: extra.templateName } : {}),
+      ...(extra.reason ? { reason: extra.reason } : {})
+    });
+    return { path, windowOpen: window.open, closesAt: window.closesAt, data: null, ...extra };
+  };
+
+  if (window.open) {
+    const data = await sendMessage({ client, to, message, consentExempt });
+    return { ...report(DELIVERY_PATH.FREE_FORM), data: data || null };
+  }
+
+  const result = await sendTemplate({
+    client,
+    to,
+    template,
+    tokens: { message, name: recipientSession?.name || '' },
+    preview: message,
+    consentExempt
+  });
+  const extra = { ...(result.templateName ? { templateName: result.templateName } : {}), ...(result.reason ? { reason: result.reason } : {}) };
+  if (!result.attempted) return report(DELIVERY_PATH.BLOCKED, extra);
+
+  const delivered = result.ok || result.queued;
+  return { ...report(DELIVERY_PATH.TEMPLATE, extra), data: delivered ? result.data : null };
+}
@@ -0,0 +1,170 @@
+import { gzipSync, gunzipSync } from 'zlib';
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { HANDOFF_STATUS } from '../models/UserSession.js';
+import { registerJob } from './schedulerService.js';
+
+// Idle conversations are moved to archived_sessions (gzipped) rather than deleted, and
+// come back when the customer writes again. Clients override both retention periods.
+const DEFAULT_SESSION_RETENTION_DAYS = parseInt(process.env.SESSION_RETENTION_DAYS || '30', 10);
+const DEFAULT_ARCHIVE_RETENTION_DAYS = process.env.ARCHIVE_RETENTION_DAYS ? parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10) : null;
+const BATCH_SIZE                     = 100;
+const MAX_ARCHIVED_PER_RUN           = 5000;
+const HOUR_MS                        = 60 * 60 * 1000;
+const DAY_MS                         = 24 * HOUR_MS;
+const PROCESSED_MESSAGE_TTL_MS       = DAY_MS;
+
+function encodePayload(session) {
+  return gzipSync(JSON.stringify({
+    name:            session.name,
+    history:         session.history || [],
+    state:           session.state || {},
+    lastInboundAt:   session.lastInboundAt,
+    agentLastReadAt: session.agentLastReadAt,
+    createdAt:       session.createdAt
+  }));
+}
+
+/** @returns {Object} The archived session JSON */
+export function decodePayload(archive) {
+  return JSON.parse(gunzipSync(archive.payload).toString('utf8'));
+}
+
+/**
+ * Move one session to the archive if it is still idle since `cutoff`. The row lock and the
+ * re-check skip a conversation that came back to life between the scan and the archive.
+ * @returns {Promise<Object|null>} The ArchivedSession, or null when skipped
+ */
+export async function archiveSession(sessionId, cutoff) {
+  return dbConfig.db.sequelize.transaction(async (t) => {
+    const session = await dbConfig.db.UserSession.findByPk(sessionId, { lock: t.LOCK.UPDATE, transaction: t });
+    if (!session || session.lastAccess >= cutoff || session.handoffStatus !== HANDOFF_STATUS.BOT) return null;
+
+    const payload = encodePayload(session);
+    const archive = await dbConfig.db.ArchivedSession.create({
+      clientId:          session.clientId,
+      phone:             session.phone,
+      name:              session.name,
+      originalSessionId: session.id,
+      payload,
+      messageCount:      (session.history || []).length,
+      sizeBytes:         payload.length,
+      sessionCreatedAt:  session.createdAt,
+      lastAccess:        session.lastAccess
+    }, { transaction: t });
+
+    await session.destroy({ transaction: t });
+    return archive;
+  });
+}
+
+// Retention per tenant, plus the env default for sessions without a client
+async function retentionPolicies(field, fallback) {
+  const clients = await dbConfig.db.Client.findAll({ attributes: ['id', field] });
+  return [
+    ...clients.map(c => ({ clientId: c.id, days: c[field] ?? fallback })),
+    { clientId: null, days: fallback }
+  ].filter(p => p.days);
+}
+
+/** Archive sessions idle past their client's retention. Conversations with a human agent are left alone. */
+export async function archiveIdleSessions() {
+  let archived = 0;
+
+  for (const { clientId, days } of await retentionPolicies('sessionRetentionDays', DEFAULT_SESSION_RETENTION_DAYS)) {
+    const cutoff = new Date(Date.now() - days * DAY_MS);
+    let   lastId = null;
+
+    while (archived < MAX_ARCHIVED_PER_RUN) {
+      const batch = await dbConfig.db.UserSession.findAll({
+        where: {
+          clientId,
+          lastAccess:    { [Op.lt]: cutoff },
+          handoffStatus: HANDOFF_STATUS.BOT,
+          ...(lastId ? { id: { [Op.gt]: lastId } } : {})
+        },
+        attributes: ['id'],
+        order:      [['id', 'ASC']],
+        limit:      BATCH_SIZE
+      });
+
+      for (const { id } of batch) {
+        try {
+          if (await archiveSession(id, cutoff)) archived += 1;
+        } catch (err) {
+          logger.error('Session archive failed', { sessionId: id, error: err.message });
+        }
+      }
+
+      if (batch.length < BATCH_SIZE) break;
+      lastId = batch[batch.length - 1].id;
+    }
+  }
+
+  if (archived) logger.info('Idle sessions archived', { archived });
+  return { archived };
+}
+
+/** Delete archives older than their client's archive retention (none by default) */
+export async function purgeExpiredArchives() {
+  let purged = 0;
+  for (const { clientId, days } of await retentionPolicies('archiveRetentionDays', DEFAULT_ARCHIVE_RETENTION_DAYS)) {
+    purged += await dbConfig.db.ArchivedSession.destroy({
+      where: { clientId, archivedAt: { [Op.lt]: new Date(Date.now() - days * DAY_MS) } }
+    });
+  }
+  if (purged) logger.info('Expired session archives purged', { purged });
+  return { purged };
+}
+
+/** Message ids only need to outlive WhatsApp's webhook redelivery window */
+export async function purgeProcessedMessages() {
+  const purged = await dbConfig.db.ProcessedMessage.destroy({
+    where: { processedAt: { [Op.lt]: new Date(Date.now() - PROCESSED_MESSAGE_TTL_MS) } }
+  });
+  return { purged };
+}
+
+/**
+ * Bring back the most recent archive of a returning customer into their new session.
+ * The fresh session keeps its own timestamps (the service window starts now).
+ * @param {Object} params
+ * @param {Object} params.session      - Newly created UserSession
+ * @param {Object} [params.transaction]
+ * @returns {Promise<boolean>} Whether an archive was restored
+ */
+export async function restoreArchivedSession({ session, transaction = null }) {
+  const archive = await dbConfig.db.ArchivedSession.findOne({
+    where:       { clientId: session.clientId, phone: session.phone },
+    order:       [['archivedAt', 'DESC']],
+    transaction
+  });
+  if (!archive) return false;
+
+  const data = decodePayload(archive);
+  session.set({
+    history:         data.history || [],
+    state:           data.state || { selectedService: null },
+    agentLastReadAt: data.agentLastReadAt || null,
+    // A profile name from WhatsApp is fresher than the archived one
+    name:            session.name && session.name !== 'Client' ? session.name : data.name || session.name
+  });
+  await session.save({ transaction });
+  await archive.destroy({ transaction });
+
+  logger.whatsapp('info', 'Archived session restored', {
+    sessionId:  session.id,
+    archiveId:  archive.id,
+    messages:   session.history.length,
+    archivedAt: archive.archivedAt
+  });
+  return true;
+}
+
+/** Register the retention jobs with the scheduler */
+export function registerRetentionJobs() {
+  registerJob({ name: 'archive-idle-sessions',    intervalMs: HOUR_MS,      run: archiveIdleSessions });
+  registerJob({ name: 'purge-expired-archives',   intervalMs: DAY_MS,       run: purgeExpiredArchives });
+  registerJob({ name: 'purge-processed-messages', intervalMs: HOUR_MS,      run: purgeProcessedMessages });
+}
@@ -0,0 +1,234 @@
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { SUBSCRIPTION_STATUS } from '../models/Client.js';
+import { SUBSCRIPTION_EVENT_TYPES } from '../models/SubscriptionEvent.js';
+import { REMINDER_DAYS, planSettings } from '../config/subscriptionPlans.js';
+import { sendQueued } from './outboundQueueService.js';
+import { invalidateClient } from './clientService.js';
+import { normalizePhone } from './messageLedgerService.js';
+import { registerJob } from './schedulerService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS  = 24 * HOUR_MS;
+
+// Notices go from the platform's own WhatsApp number to the client's contact phone.
+// Outside a 24 h window WhatsApp only delivers templates, so one can be configured:
+// its body takes {{1}} the contact name and {{2}} the notice text.
+const PLATFORM_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID || null;
+const PLATFORM_TOKEN           = process.env.WHATSAPP_TOKEN || null;
+const NOTICE_TEMPLATE          = process.env.SUBSCRIPTION_NOTICE_TEMPLATE || null;
+const NOTICE_TEMPLATE_LANGUAGE = process.env.SUBSCRIPTION_NOTICE_TEMPLATE_LANGUAGE || 'en';
+
+const {
+  TRIAL_REMINDER, SUBSCRIPTION_REMINDER, GRACE_STARTED, TRIAL_EXPIRED, SUBSCRIPTION_EXPIRED, SUBSCRIPTION_RENEWED
+} = SUBSCRIPTION_EVENT_TYPES;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+function noticeText(type, client, { endsAt, daysLeft = null, graceEndsAt = null }) {
+  const assistant = `${client.companyName || client.name} WhatsApp assistant`;
+  switch (type) {
+    case TRIAL_REMINDER:
+      return `Your ${assistant} trial ends in ${daysLeft} day(s), on ${formatDate(endsAt)}. Subscribe to keep it answering your customers.`;
+    case SUBSCRIPTION_REMINDER:
+      return `Your ${assistant} subscription ends in ${daysLeft} day(s), on ${formatDate(endsAt)}. Renew to avoid any interruption.`;
+    case GRACE_STARTED:
+      return `Your ${assistant} subscription ended on ${formatDate(endsAt)}. It keeps answering until ${formatDate(graceEndsAt)} — renew before then to avoid an interruption.`;
+    case TRIAL_EXPIRED:
+      return `Your ${assistant} trial has ended and it no longer answers your customers. Subscribe to switch it back on.`;
+    case SUBSCRIPTION_RENEWED:
+      return `Thank you — your payment was received. Your ${assistant} subscription is active until ${formatDate(endsAt)}.`;
+    default:
+      return `Your ${assistant} subscription has expired and it no longer answers your customers. Renew to switch it back on.`;
+  }
+}
+
+/** @returns {Promise<boolean>} Whether the notice was sent or queued */
+async function notifyContact(client, text) {
+  if (!PLATFORM_PHONE_NUMBER_ID || !PLATFORM_TOKEN) {
+    logger.warn('Subscription notice not sent — platform WhatsApp number is not configured', { clientId: client.id });
+    return false;
+  }
+
+  const message = NOTICE_TEMPLATE
+    ? {
+        type: 'template',
+        template: {
+          name:       NOTICE_TEMPLATE,
+          language:   { code: NOTICE_TEMPLATE_LANGUAGE },
+          components: [{ type: 'body', parameters: [{ type: 'text', text: client.name }, { type: 'text', text }] }]
+        }
+      }
+    : { type: 'text', text: { body: text } };
+
+  const result = await sendQueued({
+    credentials:   { clientId: null, phoneNumberId: PLATFORM_PHONE_NUMBER_ID, token: PLATFORM_TOKEN },
+    to:            normalizePhone(client.phone),
+    message,
+    preview:       text,
+    consentExempt: true
+  });
+  return result.ok || result.queued;
+}
+
+/**
+ * Record a lifecycle event and notify the client contact. The unique dedupe key makes
+ * each event happen once, whichever instance (or run) gets there first.
+ * @param {Object} client
+ * @param {string} type       - One of SUBSCRIPTION_EVENT_TYPES
+ * @param {Object} params
+ * @param {string} params.key - Dedupe key, unique per client and type
+ * @param {Date} params.endsAt
+ * @param {Object} [params.details] - Extra details stored on the event
+ * @returns {Promise<Object|null>} The SubscriptionEvent, or null if it was already recorded
+ */
+export async function recordSubscriptionEvent(client, type, { key, endsAt, daysLeft = null, graceEndsAt = null, details = {} }) {
+  const text = noticeText(type, client, { endsAt, daysLeft, graceEndsAt });
+
+  let event;
+  try {
+    event = await dbConfig.db.SubscriptionEvent.create({
+      clientId:     client.id,
+      type,
+      dedupeKey:    `${type}:${key}`,
+      periodEndsAt: endsAt,
+      details:      { text, plan: client.subscriptionPlan, ...(daysLeft !== null ? { daysLeft } : {}), ...(graceEndsAt ? { graceEndsAt } : {}), ...details }
+    });
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') return null;
+    throw err;
+  }
+
+  try {
+    event.notified = await notifyContact(client, text);
+    await event.save();
+  } catch (err) {
+    logger.error('Subscription notice failed', { clientId: client.id, type, error: err.message });
+  }
+
+  logger.info('Subscription lifecycle event', { clientId: client.id, type, endsAt, notified: event.notified });
+  return event;
+}
+
+/**
+ * Expire trials past trialEndDate and paid subscriptions past their grace period;
+ * announce the grace period when a paid subscription's end date passes.
+ */
+export async function expireSubscriptions() {
+  const now = new Date();
+  let expired      = 0;
+  let graceStarted = 0;
+
+  const trials = await dbConfig.db.Client.findAll({
+    where: { subscriptionStatus: SUBSCRIPTION_STATUS.TRIAL, trialEndDate: { [Op.lt]: now } }
+  });
+  for (const client of trials) {
+    const [updated] = await dbConfig.db.Client.update(
+      { subscriptionStatus: SUBSCRIPTION_STATUS.EXPIRED },
+      { where: { id: client.id, subscriptionStatus: SUBSCRIPTION_STATUS.TRIAL } }
+    );
+    if (!updated) continue;
+
+    expired += 1;
+    invalidateClient(client.whatsappBusinessId);
+    await recordSubscriptionEvent(client, TRIAL_EXPIRED, { key: client.trialEndDate.toISOString(), endsAt: client.trialEndDate });
+  }
+
+  const lapsed = await dbConfig.db.Client.findAll({
+    where: { subscriptionStatus: SUBSCRIPTION_STATUS.ACTIVE, subscriptionEndDate: { [Op.lt]: now } }
+  });
+  for (const client of lapsed) {
+    const endsAt = client.subscriptionEndDate;
+
+    if (client.isInGracePeriod()) {
+      if (await recordSubscriptionEvent(client, GRACE_STARTED, { key: endsAt.toISOString(), endsAt, graceEndsAt: client.getGraceEndDate() })) graceStarted += 1;
+      continue;
+    }
+
+    // Guarded on the end date too: a renewal landing meanwhile must not be expired
+    const [updated] = await dbConfig.db.Client.update(
+      { subscriptionStatus: SUBSCRIPTION_STATUS.EXPIRED },
+      { where: { id: client.id, subscriptionStatus: SUBSCRIPTION_STATUS.ACTIVE, subscriptionEndDate: endsAt } }
+    );
+    if (!updated) continue;
+
+    expired += 1;
+    invalidateClient(client.whatsappBusinessId);
+    await recordSubscriptionEvent(client, SUBSCRIPTION_EXPIRED, { key: endsAt.toISOString(), endsAt });
+  }
+
+  return { expired, graceStarted };
+}
+
+/** Remind client contacts whose trial or subscription ends within one of REMINDER_DAYS */
+export async function sendRenewalReminders() {
+  if (!REMINDER_DAYS.length) return { reminded: 0 };
+
+  const now     = new Date();
+  const horizon = new Date(now.getTime() + REMINDER_DAYS[REMINDER_DAYS.length - 1] * DAY_MS);
+  const clients = await dbConfig.db.Client.findAll({
+    where: {
+      isActive: true,
+      [Op.or]: [
+        { subscriptionStatus: SUBSCRIPTION_STATUS.TRIAL,  trialEndDate:        { [Op.gt]: now, [Op.lte]: horizon } },
+        { subscriptionStatus: SUBSCRIPTION_STATUS.ACTIVE, subscriptionEndDate: { [Op.gt]: now, [Op.lte]: horizon } }
+      ]
+    }
+  });
+
+  let reminded = 0;
+  for (const client of clients) {
+    const trial    = client.subscriptionStatus === SUBSCRIPTION_STATUS.TRIAL;
+    const endsAt   = trial ? client.trialEndDate : client.subscriptionEndDate;
+    const daysLeft = Math.ceil((endsAt.getTime() - now.getTime()) / DAY_MS);
+    // Only the closest threshold, so a client created 2 days before the end gets one reminder, not three
+    const threshold = REMINDER_DAYS.find(d => daysLeft <= d);
+
+    const event = await recordSubscriptionEvent(client, trial ? TRIAL_REMINDER : SUBSCRIPTION_REMINDER, {
+      key: `${endsAt.toISOString()}:${threshold}d`,
+      endsAt,
+      daysLeft
+    });
+    if (event) reminded += 1;
+  }
+  return { reminded };
+}
+
+/**
+ * Lifecycle view of one client for the dashboard.
+ * @returns {Promise<Object|null>}
+ */
+export async function getSubscriptionLifecycle(clientId, { eventLimit = 50 } = {}) {
+  const client = await dbConfig.db.Client.findByPk(clientId);
+  if (!client) return null;
+
+  const trial  = client.subscriptionStatus === SUBSCRIPTION_STATUS.TRIAL;
+  const endsAt = trial ? client.trialEndDate : client.subscriptionEndDate;
+  const events = await dbConfig.db.SubscriptionEvent.findAll({
+    where: { clientId },
+    order: [['createdAt', 'DESC']],
+    limit: eventLimit
+  });
+
+  return {
+    clientId:            client.id,
+    plan:                client.subscriptionPlan,
+    status:              client.subscriptionStatus,
+    isActive:            client.isActive,
+    valid:               !!client.isSubscriptionValid(),
+    inGracePeriod:       client.isInGracePeriod(),
+    trialEndDate:        client.trialEndDate,
+    subscriptionEndDate: client.subscriptionEndDate,
+    graceDays:           planSettings(client.subscriptionPlan).graceDays,
+    graceEndsAt:         client.getGraceEndDate(),
+    daysLeft:            endsAt ? Math.ceil((new Date(endsAt).getTime() - Date.now()) / DAY_MS) : null,
+    events
+  };
+}
+
+/** Register the lifecycle jobs with the scheduler */
+export function registerSubscriptionJobs() {
+  registerJob({ name: 'expire-subscriptions',   intervalMs: HOUR_MS, run: expireSubscriptions });
+  registerJob({ name: 'subscription-reminders', intervalMs: HOUR_MS, run: sendRenewalReminders });
+}
@@ -0,0 +1,340 @@
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { TEMPLATE_STATUS, TEMPLATE_CATEGORIES } from '../models/MessageTemplate.js';
+import { getTemplateApi } from '../helpers/whatsapp/templateApi.js';
+
+const PLACEHOLDER   = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+const NAME_PATTERN  = /^[a-z0-9_]{1,512}$/;
+const MEDIA_FORMATS = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+
+function badRequest(message, details = null) {
+  const err = new Error(message);
+  err.status  = 400;
+  err.details = details;
+  return err;
+}
+
+function placeholders(text) {
+  return [...new Set([...String(text || '').matchAll(PLACEHOLDER)].map(m => m[1]))];
+}
+
+function component(template, type) {
+  return (template.components || []).find(c => c.type?.toUpperCase() === type);
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Values for a placeholder group may be positional (array) or keyed (object)
+function pick(group, key, position) {
+  if (Array.isArray(group)) return group[position];
+  if (group && typeof group === 'object') return group[key];
+  return position === 0 ? group : undefined;
+}
+
+function exampleFor(comp, kind, key, position) {
+  const named = comp?.example?.[`${kind}_text_named_params`]?.find(p => p.param_name === key)?.example;
+  if (named) return named;
+  return kind === 'header' ? comp?.example?.header_text?.[position] : comp?.example?.body_text?.[0]?.[position];
+}
+
+/**
+ * Typed description of the parameters a template expects when sent.
+ * @param {Object} template - MessageTemplate (or a plain object with components)
+ * @returns {{ header: Object|null, body: Object, buttons: Object[] }}
+ */
+export function describeParameters(template) {
+  const header  = component(template, 'HEADER');
+  const body    = component(template, 'BODY');
+  const buttons = component(template, 'BUTTONS')?.buttons || [];
+
+  let headerSpec = null;
+  if (header) {
+    const format = (header.format || 'TEXT').toUpperCase();
+    if (format === 'TEXT') {
+      headerSpec = { format, params: placeholders(header.text).map((key, i) => ({ key, type: 'text', example: exampleFor(header, 'header', key, i) ?? null })) };
+    } else if (MEDIA_FORMATS.includes(format)) {
+      headerSpec = { format, params: [{ key: 'media', type: format.toLowerCase(), example: header.example?.header_handle?.[0] ?? null }] };
+    } else if (format === 'LOCATION') {
+      headerSpec = { format, params: [{ key: 'location', type: 'location', example: null }] };
+    }
+  }
+
+  const buttonSpecs = buttons.map((button, index) => {
+    const type = button.type?.toUpperCase();
+    if (type === 'URL')         return { index, subType: 'url',         text: button.text, params: placeholders(button.url).map(key => ({ key, type: 'text', example: button.example?.[0] ?? null })) };
+    if (type === 'QUICK_REPLY') return { index, subType: 'quick_reply', text: button.text, params: [{ key: 'payload', type: 'payload', optional: true }] };
+    if (type === 'COPY_CODE')   return { index, subType: 'copy_code',   text: button.text, params: [{ key: 'coupon_code', type: 'coupon_code', example: button.example ?? null }] };
+    return { index, subType: type?.toLowerCase() || 'unknown', text: button.text, params: [] };
+  }).filter(b => b.params.length);
+
+  return {
+    header:  headerSpec,
+    body:    { params: placeholders(body?.text).map((key, i) => ({ key, type: 'text', example: exampleFor(body, 'body', key, i) ?? null })) },
+    buttons: buttonSpecs
+  };
+}
+
+/**
+ * Build the Graph API `template` object for a send.
+ * Text values may be strings/numbers or typed parameter objects ({ type: 'currency', currency: {...} }).
+ * @param {Object} template
+ * @param {Object} [values]
+ * @param {Array|Object} [values.header]  - Text params, or { link } / { id } / URL string for media headers
+ * @param {Array|Object} [values.body]
+ * @param {Object} [values.buttons]       - Keyed by button index
+ * @throws {Error} status 400 listing every missing parameter
+ */
+export function buildTemplateMessage(template, values = {}) {
+  const spec       = describeParameters(template);
+  const named      = template.parameterFormat === 'NAMED';
+  const missing    = [];
+  const components = [];
+
+  const textParam = (key, value) => {
+    const base = value && typeof value === 'object' && value.type ? { ...value } : { type: 'text', text: String(value) };
+    return named ? { ...base, parameter_name: key } : base;
+  };
+  const textParams = (prefix, params, group) => params.map((p, i) => {
+    const value = pick(group, p.key, i);
+    if (isMissing(value)) missing.push(`${prefix}.${p.key}`);
+    return textParam(p.key, value);
+  });
+
+  if (spec.header?.params.length) {
+    const { format } = spec.header;
+    let parameters;
+    if (format === 'TEXT') {
+      parameters = textParams('header', spec.header.params, values.header);
+    } else if (format === 'LOCATION') {
+      if (isMissing(values.header)) missing.push('header.location');
+      parameters = [{ type: 'location', location: values.header }];
+    } else {
+      const media = typeof values.header === 'string' ? { link: values.header } : values.header;
+      if (!media?.link && !media?.id) missing.push('header.media');
+      parameters = [{ type: format.toLowerCase(), [format.toLowerCase()]: media }];
+    }
+    components.push({ type: 'header', parameters });
+  }
+
+  if (spec.body.params.length) {
+    components.push({ type: 'body', parameters: textParams('body', spec.body.params, values.body) });
+  }
+
+  for (const button of spec.buttons) {
+    const value = values.buttons?.[button.index];
+    let parameters;
+
+    if (button.subType === 'url') {
+      parameters = textParams(`buttons.${button.index}`, button.params, value);
+    } else if (button.subType === 'copy_code') {
+      if (isMissing(value)) missing.push(`buttons.${button.index}.coupon_code`);
+      parameters = [{ type: 'coupon_code', coupon_code: value }];
+    } else if (button.subType === 'quick_reply') {
+      if (isMissing(value)) continue;
+      parameters = [{ type: 'payload', payload: String(value) }];
+    }
+    components.push({ type: 'button', sub_type: button.subType, index: String(button.index), parameters });
+  }
+
+  if (missing.length) throw badRequest(`Missing template parameters: ${missing.join(', ')}`, { missing });
+
+  return {
+    name:     template.name,
+    language: { code: template.language },
+    ...(components.length ? { components } : {})
+  };
+}
+
+/** Map a flat list of values (the legacy `params` array) onto a template's first text placeholders */
+export function valuesFromList(template, list = []) {
+  const spec = describeParameters(template);
+  if (spec.header?.format === 'TEXT' && spec.header.params.length) return { header: list };
+  return { body: list };
+}
+
+/**
+ * Render the template as the recipient would read it. Unfilled placeholders are
+ * left in place and listed in `missing` instead of failing.
+ */
+export function renderPreview(template, values = {}) {
+  const spec    = describeParameters(template);
+  const missing = [];
+
+  const fill = (text, prefix, group) => {
+    const keys = placeholders(text);
+    return String(text || '').replace(PLACEHOLDER, (match, key) => {
+      const value = pick(group, key, keys.indexOf(key));
+      if (isMissing(value)) {
+        missing.push(`${prefix}.${key}`);
+        return match;
+      }
+      return typeof value === 'object' ? (value.text ?? value.fallback_value ?? JSON.stringify(value)) : String(value);
+    });
+  };
+
+  const header = component(template, 'HEADER');
+  const format = (header?.format || 'TEXT').toUpperCase();
+
+  return {
+    header:  !header ? null
+      : format === 'TEXT' ? { format, text: fill(header.text, 'header', values.header) }
+      : { format, media: values.header || null },
+    body:    fill(component(template, 'BODY')?.text, 'body', values.body),
+    footer:  component(template, 'FOOTER')?.text || null,
+    buttons: (component(template, 'BUTTONS')?.buttons || []).map((button, index) => ({
+      type: button.type,
+      text: button.text,
+      ...(button.url          ? { url: fill(button.url, `buttons.${index}`, values.buttons?.[index]) } : {}),
+      ...(button.phone_number ? { phoneNumber: button.phone_number } : {})
+    })),
+    parameters: spec,
+    missing
+  };
+}
+
+/**
+ * Check a template definition before it is stored as a draft.
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateDefinition({ name, language, category, components }) {
+  const errors = [];
+  if (!name || !NAME_PATTERN.test(name)) errors.push('name must be lowercase letters, digits and underscores');
+  if (!language) errors.push('language is required');
+  if (!TEMPLATE_CATEGORIES.includes(category)) errors.push(`category must be one of ${TEMPLATE_CATEGORIES.join(', ')}`);
+  if (!Array.isArray(components)) {
+    errors.push('components must be an array');
+    return errors;
+  }
+
+  const count = (type) => components.filter(c => c.type?.toUpperCase() === type).length;
+  if (count('BODY') !== 1) errors.push('exactly one BODY component is required');
+  else if (!component({ components }, 'BODY').text) errors.push('BODY text is required');
+  if (count('HEADER') > 1)  errors.push('at most one HEADER component is allowed');
+  if (count('FOOTER') > 1)  errors.push('at most one FOOTER component is allowed');
+  if (count('BUTTONS') > 1) errors.push('at most one BUTTONS component is allowed');
+
+  const unknown = components.filter(c => !['HEADER', 'BODY', 'FOOTER', 'BUTTONS'].includes(c.type?.toUpperCase()));
+  if (unknown.length) errors.push(`unknown component types: ${unknown.map(c => c.type).join(', ')}`);
+
+  return errors;
+}
+
+function clientTemplateCredentials(client) {
+  const wabaId = client?.whatsappAccountId;
+  const token  = client?.getDecryptedWhatsappToken?.();
+  if (!wabaId || !token) throw badRequest('Client has no WhatsApp Business Account id or access token configured');
+  return { wabaId, token };
+}
+
+/**
+ * Pull every template of the client's WABA into message_templates. Templates we had
+ * synced before that the WABA no longer returns are marked DELETED.
+ * @returns {Promise<{ total: number, created: number, updated: number, deleted: number }>}
+ */
+export async function syncTemplates(client) {
+  const { wabaId, token } = clientTemplateCredentials(client);
+  const api      = getTemplateApi();
+  const remote   = await api.listTemplates({ wabaId, token });
+  const existing = await dbConfig.db.MessageTemplate.findAll({ where: { clientId: client.id } });
+  const now      = new Date();
+  const result   = { total: remote.length, created: 0, updated: 0, deleted: 0 };
+
+  const byRemoteId = new Map(existing.filter(t => t.wabaTemplateId).map(t => [t.wabaTemplateId, t]));
+  const byKey      = new Map(existing.map(t => [`${t.name}:${t.language}`, t]));
+
+  for (const r of remote) {
+    const fields = {
+      clientId:        client.id,
+      wabaTemplateId:  r.id,
+      name:            r.name,
+      language:        r.language,
+      category:        r.category || 'UTILITY',
+      status:          r.status   || TEMPLATE_STATUS.PENDING,
+      parameterFormat: r.parameter_format || 'POSITIONAL',
+      components:      r.components || [],
+      rejectedReason:  r.rejected_reason && r.rejected_reason !== 'NONE' ? r.rejected_reason : null,
+      lastSyncedAt:    now
+    };
+
+    const local = byRemoteId.get(r.id) || byKey.get(`${r.name}:${r.language}`);
+    if (local) {
+      local.set(fields);
+      await local.save();
+      result.updated += 1;
+    } else {
+      await dbConfig.db.MessageTemplate.create(fields);
+      result.created += 1;
+    }
+  }
+
+  const remoteIds = new Set(remote.map(r => r.id));
+  for (const local of existing) {
+    if (local.wabaTemplateId && !remoteIds.has(local.wabaTemplateId) && local.status !== TEMPLATE_STATUS.DELETED) {
+      local.set({ status: TEMPLATE_STATUS.DELETED, lastSyncedAt: now });
+      await local.save();
+      result.deleted += 1;
+    }
+  }
+
+  logger.whatsapp('info', 'Message templates synced', { clientId: client.id, api: api.name, ...result });
+  return result;
+}
+
+/** Store a new draft template after validating its definition */
+export async function createTemplate(client, { name, language = 'en', category = 'UTILITY', parameterFormat = 'POSITIONAL', components }) {
+  const errors = validateDefinition({ name, language, category, components });
+  if (errors.length) throw badRequest('Invalid template definition', { errors });
+
+  return dbConfig.db.MessageTemplate.create({
+    clientId: client.id,
+    name,
+    language,
+    category,
+    parameterFormat,
+    components,
+    status: TEMPLATE_STATUS.DRAFT
+  });
+}
+
+/** Submit a draft to the WABA for review */
+export async function submitTemplate(template, client) {
+  if (template.status !== TEMPLATE_STATUS.DRAFT) {
+    throw badRequest(`Only draft templates can be submitted (status is ${template.status})`);
+  }
+  const { wabaId, token } = clientTemplateCredentials(client);
+  const api = getTemplateApi();
+
+  const result = await api.createTemplate({
+    wabaId,
+    token,
+    template: {
+      name:       template.name,
+      language:   template.language,
+      category:   template.category,
+      components: template.components,
+      ...(template.parameterFormat === 'NAMED' ? { parameter_format: 'NAMED' } : {})
+    }
+  });
+
+  template.set({
+    wabaTemplateId: result.id,
+    status:         result.status || TEMPLATE_STATUS.PENDING,
+    category:       result.category || template.category,
+    submittedAt:    new Date()
+  });
+  await template.save();
+
+  logger.whatsapp('info', 'Message template submitted', { clientId: client.id, templateId: template.id, name: template.name, status: template.status, api: api.name });
+  return template;
+}
+
+/** Approved template of a client by name (and language, when given) */
+export async function findApprovedTemplate(clientId, name, language = null) {
+  if (!clientId || !name) return null;
+  return dbConfig.db.MessageTemplate.findOne({
+    where: { clientId, name, status: TEMPLATE_STATUS.APPROVED, ...(language ? { language } : {}) },
+    order: [['updatedAt', 'DESC']]
+  });
+}
@@ -0,0 +1,208 @@
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import { PdfDocument } from '../utils/pdfDocument.js';
+import { normalizePhone } from './messageLedgerService.js';
+
+export const TRANSCRIPT_FORMATS = ['json', 'csv', 'pdf'];
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_SESSIONS       = 500;
+
+const CSV_COLUMNS = [
+  'session_id', 'customer_name', 'phone', 'kind', 'index', 'timestamp', 'speaker', 'language', 'content', 'tool_calls'
+];
+
+// ServiceRequest fields worth showing next to a conversation
+const REQUEST_FIELDS = [
+  'id', 'service', 'name', 'email', 'company', 'details', 'startTime', 'endTime',
+  'txRef', 'amount', 'paymentStatus', 'status', 'source', 'referredByPhone', 'createdAt'
+];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function speakerOf(entry) {
+  if (entry.role === 'user') return 'customer';
+  return entry.agent ? `agent:${entry.agent}` : 'assistant';
+}
+
+function inRange(timestamp, from, to) {
+  const at = timestamp ? new Date(timestamp).getTime() : null;
+  if (at === null) return !from && !to;
+  return (!from || at >= from.getTime()) && (!to || at <= to.getTime());
+}
+
+/**
+ * Parse `from` / `to` query values. A client-wide export defaults to the last 30 days.
+ * @returns {{ from: Date|null, to: Date|null }}
+ */
+export function parseRange({ from, to } = {}, { clientWide = false } = {}) {
+  const parse = (value, name) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw badRequest(`${name} must be an ISO date`);
+    return date;
+  };
+  const range = { from: parse(from, 'from'), to: parse(to, 'to') };
+  if (!range.from && clientWide) range.from = new Date(Date.now() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (range.from && range.to && range.from > range.to) throw badRequest('from must be before to');
+  return range;
+}
+
+/** Booking and inquiry records made by (or referred by) the session's phone */
+async function linkedServiceRequests(session) {
+  const digits = normalizePhone(session.phone);
+  const rows   = await dbConfig.db.ServiceRequest.findAll({
+    where: {
+      clientId: session.clientId,
+      [Op.or]: [
+        { phone: { [Op.in]: [digits, `+${digits}`] } },
+        { referredByPhone: { [Op.in]: [digits, `+${digits}`] } }
+      ]
+    },
+    order: [['createdAt', 'ASC']]
+  });
+  return rows.map(row => Object.fromEntries(REQUEST_FIELDS.map(f => [f, row[f] ?? null])));
+}
+
+/**
+ * Transcript of one session, optionally limited to messages inside a date range.
+ * @param {Object} session - UserSession instance
+ * @param {Object} [range] - { from, to } Dates
+ */
+export async function buildTranscript(session, { from = null, to = null } = {}) {
+  const messages = (session.history || [])
+    .map((entry, index) => ({ index, entry }))
+    .filter(({ entry }) => inRange(entry.timestamp, from, to))
+    .map(({ index, entry }) => ({
+      index,
+      timestamp: entry.timestamp || null,
+      role:      entry.role,
+      speaker:   speakerOf(entry),
+      language:  entry.language || null,
+      content:   entry.content,
+      toolCalls: entry.toolCalls || [],
+      ...(entry.voice ? { voice: true } : {})
+    }));
+
+  return {
+    session: {
+      id:            session.id,
+      clientId:      session.clientId,
+      name:          session.name,
+      phone:         session.phone,
+      createdAt:     session.createdAt,
+      lastInboundAt: session.lastInboundAt || null,
+      handoffStatus: session.handoffStatus
+    },
+    range:           { from, to },
+    messageCount:    messages.length,
+    messages,
+    serviceRequests: await linkedServiceRequests(session)
+  };
+}
+
+/**
+ * Transcripts of every conversation of a client with messages inside the range.
+ * @returns {Promise<Object[]>}
+ */
+export async function buildClientTranscripts(clientId, range) {
+  const where = { clientId };
+  // A session cannot hold messages newer than its last update
+  if (range.from) where.updatedAt = { [Op.gte]: range.from };
+
+  const sessions = await dbConfig.db.UserSession.findAll({ where, order: [['createdAt', 'ASC']], limit: MAX_SESSIONS + 1 });
+  if (sessions.length > MAX_SESSIONS) {
+    throw badRequest(`More than ${MAX_SESSIONS} conversations in this range — narrow it with from/to`);
+  }
+
+  const transcripts = [];
+  for (const session of sessions) {
+    const transcript = await buildTranscript(session, range);
+    if (transcript.messageCount) transcripts.push(transcript);
+  }
+  return transcripts;
+}
+
+// ─── Renderers ──────────────────────────────────────────────────────────────
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Customer text starting with = + - @ would run as a formula in spreadsheet apps
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** One row per message, then one row per linked service request */
+export function toCsv(transcripts) {
+  const rows = [CSV_COLUMNS];
+  for (const { session, messages, serviceRequests } of transcripts) {
+    for (const m of messages) {
+      rows.push([
+        session.id, session.name, session.phone, 'message', m.index,
+        m.timestamp ? new Date(m.timestamp).toISOString() : '', m.speaker, m.language, m.content,
+        m.toolCalls.length ? JSON.stringify(m.toolCalls) : ''
+      ]);
+    }
+    for (const request of serviceRequests) {
+      rows.push([
+        session.id, session.name, session.phone, 'service_request', '',
+        request.createdAt ? new Date(request.createdAt).toISOString() : '', '', '',
+        [request.service, request.status, request.paymentStatus, request.startTime && `starts ${new Date(request.startTime).toISOString()}`]
+          .filter(Boolean).join(' | '),
+        JSON.stringify(request)
+      ]);
+    }
+  }
+  // BOM so spreadsheet apps open accented text as UTF-8
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : 'no timestamp';
+}
+
+/** @returns {Buffer} */
+export function toPdf(transcripts, { title = 'Conversation transcript' } = {}) {
+  const pdf = new PdfDocument({ title });
+  pdf.heading(title, 18).text(`Generated ${formatTime(new Date())}`, { size: 9, color: '#666666' }).gap(8);
+  if (!transcripts.length) pdf.text('No messages in this range.');
+
+  transcripts.forEach(({ session, range, messages, serviceRequests }, i) => {
+    if (i > 0) pdf.gap(10);
+    pdf.rule()
+      .heading(`${session.name || 'Customer'} (+${normalizePhone(session.phone)})`, 13)
+      .text(`Session ${session.id} · ${messages.length} message(s)` +
+        (range.from || range.to ? ` · ${range.from ? formatTime(range.from) : '…'} to ${range.to ? formatTime(range.to) : 'now'}` : ''),
+      { size: 8, color: '#666666' })
+      .gap(6);
+
+    for (const m of messages) {
+      const label = m.speaker === 'customer' ? (session.name || 'Customer') : m.speaker === 'assistant' ? 'Assistant' : m.speaker.replace('agent:', 'Agent ');
+      pdf.text(`${label} · ${formatTime(m.timestamp)}${m.language ? ` · ${m.language}` : ''}${m.voice ? ' · voice' : ''}`,
+        { size: 8, bold: true, color: m.role === 'user' ? '#1f5f99' : '#2e7d32' });
+      pdf.text(m.content, { size: 10, indent: 10 });
+      for (const call of m.toolCalls) {
+        pdf.text(`Tool call: ${call.name} ${JSON.stringify(call.args)}`, { size: 8, color: '#8a5a00', indent: 10 });
+      }
+      pdf.gap(4);
+    }
+
+    if (serviceRequests.length) {
+      pdf.gap(4).text('Linked service requests', { size: 11, bold: true });
+      for (const request of serviceRequests) {
+        pdf.text(
+          [request.service, request.status, request.paymentStatus && `payment ${request.paymentStatus}`,
+            request.startTime && `starts ${formatTime(request.startTime)}`, request.txRef && `ref ${request.txRef}`]
+            .filter(Boolean).join(' · '),
+          { size: 9, indent: 10 }
+        );
+      }
+    }
+  });
+
+  return pdf.toBuffer();
+}
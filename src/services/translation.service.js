@@ -1,7 +1,7 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import NodeCache from 'node-cache';
 import dotenv from 'dotenv';
 import logger from '../logger/logger.js';
+import { getPlatformLlmProvider } from './llm/index.js';
 
 dotenv.config();
 
@@ -10,7 +10,6 @@ const cache = new NodeCache({ stdTTL: 86400 });
 
 class TranslationService {
     constructor() {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
         this.supportedLanguages = {
             en: 'English',
             fr: 'French',
@@ -26,9 +25,11 @@ class TranslationService {
      * Uses caching to avoid redundant LLM calls.
      * @param {Array} services - Array of service objects
      * @param {string} locale - Target language code (iso)
+     * @param {Object} [options]
+     * @param {string} [options.companyName] - Business the services belong to, for context
      * @returns {Promise<Array>} - Translated services
      */
-    async translateServices(services, locale = 'en') {
+    async translateServices(services, locale = 'en', { companyName = null } = {}) {
         const targetLanguage = this.supportedLanguages[locale] || 'English';
         
         // Skip translation for English
@@ -45,14 +46,9 @@ class TranslationService {
         }
 
         try {
-            logger.info('Translating services via Gemini', { locale, count: services.length });
+            logger.info('Translating services via LLM', { locale, count: services.length });
             
-            const model = this.genAI.getGenerativeModel({ 
-                model: "gemini-2.5-flash-lite",
-                generationConfig: { responseMimeType: "application/json" }
-            });
-            
-            const prompt = `You are a professional translator for an IT consultancy (Moyo Tech Solutions).
+            const prompt = `You are a professional translator for ${companyName || 'a business'}.
 Translate the following list of services into ${targetLanguage}.
 
 RULES:
@@ -66,8 +62,12 @@ ${JSON.stringify(services, null, 2)}
 
 JSON Output:`;
 
-            const result = await model.generateContent(prompt);
-            const responseText = result.response.text();
+            const result = await getPlatformLlmProvider().complete({
+                operation: 'service_translation',
+                prompt,
+                json: true
+            });
+            const responseText = result.text;
             
             // Robust JSON extraction
             let translated;
@@ -0,0 +1,163 @@
+import { Op } from 'sequelize';
+import dbConfig from '../models/index.js';
+import logger from '../logger/logger.js';
+import { registerJob } from './schedulerService.js';
+
+export const USAGE_METRICS = {
+  INBOUND_MESSAGES:  'inboundMessages',
+  OUTBOUND_MESSAGES: 'outboundMessages',
+  AI_CALLS:          'aiCalls',
+  VOICE_SECONDS:     'voiceSeconds'
+};
+
+// Metrics that count against Client.maxMonthlyMessages
+const QUOTA_METRICS = new Set([USAGE_METRICS.INBOUND_MESSAGES, USAGE_METRICS.OUTBOUND_MESSAGES]);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS  = 24 * HOUR_MS;
+
+// client_usage rows known to exist, so metering costs one UPDATE per event
+const knownRows = new Set();
+
+/** Calendar month (UTC) usage is reported under, e.g. '2026-10' */
+export function usagePeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/** Same day one month later, clamped to the month's last day (Jan 31 → Feb 28) */
+export function addMonth(date) {
+  const next = new Date(date);
+  const day  = next.getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + 1);
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(day, lastDay));
+  return next;
+}
+
+async function ensureUsageRow(clientId, period) {
+  const key = `${clientId}:${period}`;
+  if (knownRows.has(key)) return;
+  try {
+    await dbConfig.db.ClientUsage.findOrCreate({ where: { clientId, period }, defaults: { clientId, period } });
+  } catch (err) {
+    // Another instance created it first
+    if (err.name !== 'SequelizeUniqueConstraintError') throw err;
+  }
+  knownRows.add(key);
+}
+
+/**
+ * Meter one usage event. Inbound and outbound messages also count towards the
+ * client's monthly quota. Never throws — metering must not break a conversation.
+ * @param {Object|null} client  - Client instance (or { id })
+ * @param {string} metric       - One of USAGE_METRICS
+ * @param {number} [amount=1]
+ */
+export async function recordUsage(client, metric, amount = 1) {
+  if (!client?.id || !amount) return;
+  try {
+    const period = usagePeriod();
+    await ensureUsageRow(client.id, period);
+    await dbConfig.db.ClientUsage.increment({ [metric]: Math.round(amount) }, { where: { clientId: client.id, period } });
+
+    if (QUOTA_METRICS.has(metric)) {
+      if (client.incrementMessageCount) await client.incrementMessageCount(amount);
+      else await dbConfig.db.Client.increment({ messageCount: amount }, { where: { id: client.id } });
+    }
+  } catch (err) {
+    logger.error('Usage metering failed', { clientId: client.id, metric, amount, error: err.message });
+  }
+}
+
+/**
+ * Quota state read fresh from the database (the resolved client is cached in memory,
+ * and other instances increment the same counter).
+ * @returns {Promise<{ used: number, limit: number|null, remaining: number|null, exceeded: boolean, periodStart: Date|null, resetsAt: Date|null }|null>}
+ */
+export async function getQuotaStatus(clientId) {
+  const client = await dbConfig.db.Client.findByPk(clientId, {
+    attributes: ['id', 'messageCount', 'maxMonthlyMessages', 'messageCountResetAt']
+  });
+  if (!client) return null;
+
+  const periodStart = client.messageCountResetAt || null;
+  const resetsAt    = periodStart ? addMonth(periodStart) : null;
+  // A quota month that ended before the reset job ran no longer blocks anyone
+  const expired     = !resetsAt || resetsAt <= new Date();
+
+  return {
+    used:      client.messageCount,
+    limit:     client.maxMonthlyMessages,
+    remaining: client.maxMonthlyMessages === null ? null : Math.max(client.maxMonthlyMessages - client.messageCount, 0),
+    exceeded:  !expired && client.hasReachedMessageLimit(),
+    periodStart,
+    resetsAt
+  };
+}
+
+/**
+ * Zero the message counter of every client whose quota month is over.
+ * The conditional update keeps a reset made meanwhile (e.g. by an admin) from running twice.
+ */
+export async function resetDueQuotas() {
+  const now     = new Date();
+  const clients = await dbConfig.db.Client.findAll({
+    where: {
+      [Op.or]: [
+        { messageCountResetAt: null },
+        // Shortest month first; addMonth() below decides precisely
+        { messageCountResetAt: { [Op.lte]: new Date(now.getTime() - 28 * DAY_MS) } }
+      ]
+    },
+    attributes: ['id', 'messageCount', 'messageCountResetAt']
+  });
+
+  let reset = 0;
+  for (const client of clients) {
+    if (client.messageCountResetAt && addMonth(client.messageCountResetAt) > now) continue;
+
+    const [updated] = await dbConfig.db.Client.update(
+      { messageCount: 0, messageCountResetAt: now },
+      { where: { id: client.id, messageCountResetAt: client.messageCountResetAt } }
+    );
+    if (!updated) continue;
+
+    reset += 1;
+    logger.info('Monthly message quota reset', { clientId: client.id, previousCount: client.messageCount });
+  }
+  return { reset };
+}
+
+/**
+ * Usage of one client: current quota state and the monthly meters, newest first.
+ * @param {string} clientId
+ * @param {Object} [options]
+ * @param {number} [options.months=12]
+ */
+export async function getUsage(clientId, { months = 12 } = {}) {
+  const quota = await getQuotaStatus(clientId);
+  if (!quota) return null;
+
+  const rows = await dbConfig.db.ClientUsage.findAll({
+    where: { clientId },
+    order: [['period', 'DESC']],
+    limit: months
+  });
+  const history = rows.map(row => ({
+    period:           row.period,
+    inboundMessages:  row.inboundMessages,
+    outboundMessages: row.outboundMessages,
+    aiCalls:          row.aiCalls,
+    voiceSeconds:     row.voiceSeconds,
+    voiceMinutes:     Math.round(row.voiceSeconds / 6) / 10
+  }));
+  const current = history.find(h => h.period === usagePeriod()) || null;
+
+  return { clientId, quota, current, history };
+}
+
+/** Register the quota reset job with the scheduler */
+export function registerUsageJobs() {
+  registerJob({ name: 'reset-message-quotas', intervalMs: HOUR_MS, run: resetDueQuotas });
+}
@@ -0,0 +1,87 @@
+import logger from '../logger/logger.js';
+import { getTtsProvider } from '../helpers/whatsapp/ttsProvider.js';
+import { uploadWhatsAppMedia } from '../helpers/whatsapp/mediaPipeline.js';
+import { sendAudio } from '../helpers/whatsapp/sendAudio.js';
+import { voiceNoteSeconds } from '../utils/audioDuration.js';
+import { recordUsage, USAGE_METRICS } from './usageService.js';
+
+// Long answers are tiring to listen to, and links or email addresses are useless spoken —
+// those replies stay text
+const VOICE_REPLY_MAX_CHARS = parseInt(process.env.VOICE_REPLY_MAX_CHARS || '1200', 10);
+const UNSPEAKABLE           = /https?:\/\/|www\.|[\w.-]+@[\w.-]+\.\w+/i;
+
+/** Whether the client answers voice notes with voice notes */
+export function wantsVoiceReply(client) {
+  return !!client?.voiceRepliesEnabled && client.canUseVoice();
+}
+
+/** Voice for a reply language: the client's choice first, then the provider default */
+export function voiceFor(client, language, provider = getTtsProvider()) {
+  const base = String(language || 'en').split('-')[0].toLowerCase();
+  return client?.voiceReplyVoices?.[base] || provider.defaultVoices[base] || null;
+}
+
+// WhatsApp formatting markers would be read out literally
+function speakableText(text) {
+  return String(text || '')
+    .replace(/[*_~`]+/g, '')
+    .replace(/^\s*[-•]\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Answer with a synthesized voice note: TTS, upload through the media API, send as audio.
+ * Never throws; when it returns `sent: false` the caller sends the text reply instead.
+ * @param {Object} params
+ * @param {Object} params.client
+ * @param {string} params.to
+ * @param {string} params.text
+ * @param {string} params.language
+ * @param {Object} [params.provider] - TTS provider; defaults to the one TTS_PROVIDER selects
+ * @returns {Promise<{ sent: boolean, voice?: string, reason?: string }>}
+ */
+export async function sendVoiceReply({ client, to, text, language, provider = getTtsProvider() }) {
+  const voice    = voiceFor(client, language, provider);
+  const spoken   = speakableText(text);
+
+  let reason = null;
+  if (!voice)                                     reason = `No voice configured for language "${language}"`;
+  else if (!spoken)                               reason = 'Empty reply';
+  else if (spoken.length > VOICE_REPLY_MAX_CHARS) reason = 'Reply too long to speak';
+  else if (UNSPEAKABLE.test(spoken))              reason = 'Reply contains a link or email address';
+
+  if (reason) {
+    logger.whatsapp('debug', 'Voice reply skipped — sending text', { clientId: client?.id, language, reason });
+    return { sent: false, reason };
+  }
+
+  try {
+    const { audio, mimeType } = await provider.synthesize({
+      text:   spoken,
+      voice,
+      apiKey: process.env.GOOGLE_TTS_API_KEY || client.getDecryptedGeminiKey?.() || null
+    });
+    const mediaId = await uploadWhatsAppMedia(audio, mimeType, {
+      phoneNumberId: client.whatsappBusinessId,
+      token:         client.getDecryptedWhatsappToken?.()
+    }, 'reply.ogg');
+
+    const data = await sendAudio(to, mediaId, client, text);
+    if (!data) return { sent: false, voice, reason: 'Audio send failed' };
+    await recordUsage(client, USAGE_METRICS.VOICE_SECONDS, voiceNoteSeconds(audio, { text: spoken }));
+
+    logger.whatsapp('info', 'Voice reply sent', {
+      clientId: client.id,
+      to:       `***${String(to).slice(-4)}`,
+      provider: provider.name,
+      voice,
+      chars:    spoken.length,
+      bytes:    audio.byteLength
+    });
+    return { sent: true, voice };
+  } catch (err) {
+    logger.error('Voice reply failed — sending text', { clientId: client?.id, provider: provider.name, voice, error: err.message });
+    return { sent: false, voice, reason: err.message };
+  }
+}
@@ -1,19 +1,31 @@
 import { sendWhatsAppMessage } from '../helpers/whatsapp/sendWhatsappMessage.js';
 import { transcribeWhatsAppAudio } from '../helpers/whatsapp/transcribeAudio.js';
+import { understandWhatsAppMedia } from '../helpers/whatsapp/mediaPipeline.js';
+import { recordUsage, USAGE_METRICS } from './usageService.js';
+import { findLlmProvider } from './llm/index.js';
 
 function getCredentials(client) {
   if (!client) return null;
   return {
+    clientId:      client.id || null,
     token:         client.getDecryptedWhatsappToken?.() || null,
     phoneNumberId: client.whatsappBusinessId || null,
-    geminiApiKey:  client.getDecryptedGeminiKey?.()    || null,
   };
 }
 
-export async function sendMessage({ client, to, message }) {
-  return sendWhatsAppMessage(to, message, getCredentials(client));
+export async function sendMessage({ client, to, message, consentExempt = false }) {
+  return sendWhatsAppMessage(to, message, getCredentials(client), { consentExempt });
 }
 
 export async function transcribeAudio({ client, mediaId, mimeType }) {
-  return transcribeWhatsAppAudio(mediaId, mimeType, getCredentials(client));
+  const { text, durationSeconds } = await transcribeWhatsAppAudio(mediaId, mimeType, { ...getCredentials(client), llm: findLlmProvider(client) });
+  await recordUsage(client, USAGE_METRICS.AI_CALLS);
+  await recordUsage(client, USAGE_METRICS.VOICE_SECONDS, durationSeconds);
+  return text;
+}
+
+export async function understandMedia({ client, media }) {
+  const description = await understandWhatsAppMedia(media, { ...getCredentials(client), llm: findLlmProvider(client) });
+  await recordUsage(client, USAGE_METRICS.AI_CALLS);
+  return description;
 }
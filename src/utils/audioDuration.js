@@ -0,0 +1,33 @@
+// Voice-note length for usage metering. WhatsApp voice notes and our TTS replies are
+// Ogg Opus, whose last page carries the total sample count (always at 48 kHz).
+
+const OPUS_SAMPLE_RATE     = 48000;
+const VOICE_BYTES_PER_SEC  = 2000;   // ~16 kbit/s, typical for voice notes
+const SPOKEN_CHARS_PER_SEC = 15;
+
+/** @returns {number|null} Seconds, or null when the buffer is not Ogg Opus */
+export function oggOpusDurationSeconds(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 28 || buffer.toString('latin1', 0, 4) !== 'OggS') return null;
+
+  const head = buffer.indexOf('OpusHead');
+  const last = buffer.lastIndexOf('OggS');
+  if (head === -1 || last + 14 > buffer.length) return null;
+
+  const preSkip = buffer.readUInt16LE(head + 10);
+  const samples = Number(buffer.readBigUInt64LE(last + 6)) - preSkip;
+  return samples > 0 ? samples / OPUS_SAMPLE_RATE : null;
+}
+
+/**
+ * Whole seconds of a voice note: exact for Ogg Opus, otherwise estimated from the
+ * size of the audio or the length of the spoken text.
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {string} [options.text] - What was spoken, for synthesized audio
+ */
+export function voiceNoteSeconds(buffer, { text = null } = {}) {
+  const exact = oggOpusDurationSeconds(buffer);
+  if (exact !== null) return Math.ceil(exact);
+  if (text) return Math.ceil(String(text).length / SPOKEN_CHARS_PER_SEC);
+  return Math.ceil((buffer?.length || 0) / VOICE_BYTES_PER_SEC);
+}
@@ -1,4 +1,4 @@
-class ClientCache {
+export class ClientCache {
   #store = new Map();
   #ttl;
 
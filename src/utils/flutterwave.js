@@ -44,6 +44,49 @@ export const flutterwaveUtil = {
             });
             throw error;
         }
+    },
+
+    /**
+     * Create a hosted payment link (Flutterwave Standard)
+     * @param {Object} payment - tx_ref, amount, currency, redirect_url, customer, customizations, meta
+     * @returns {Promise<string>} - Checkout link
+     */
+    async createPaymentLink(payment) {
+        const response = await fetch('https://api.flutterwave.com/v3/payments', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${process.env.FLW_SECRET_KEY}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payment)
+        });
+
+        const data = await response.json();
+        if (data.status !== 'success' || !data.data?.link) {
+            logger.error('Flutterwave payment link creation failed', { tx_ref: payment.tx_ref, error: data.message });
+            throw new Error(`Payment gateway error: ${data.message || response.status}`);
+        }
+
+        logger.payment('info', 'Payment link created', { tx_ref: payment.tx_ref, amount: payment.amount, currency: payment.currency });
+        return data.data.link;
+    },
+
+    /**
+     * Re-read a transaction from Flutterwave — webhook bodies are not trusted for amounts
+     * @param {string|number} transactionId - The Flutterwave transaction ID
+     * @returns {Promise<Object|null>} - Transaction data, or null if it could not be verified
+     */
+    async verifyTransaction(transactionId) {
+        const response = await fetch(`https://api.flutterwave.com/v3/transactions/${transactionId}/verify`, {
+            headers: { 'Authorization': `Bearer ${process.env.FLW_SECRET_KEY}` }
+        });
+
+        const data = await response.json();
+        if (data.status !== 'success') {
+            logger.error('Flutterwave transaction verification failed', { transactionId, error: data.message });
+            return null;
+        }
+        return data.data;
     }
 };
 
@@ -0,0 +1,49 @@
+// Fan-out of live inbox events to connected SSE streams. In-memory, so a dashboard
+// only sees messages handled by the instance it is connected to.
+class InboxEvents {
+  #listeners = new Map();   // clientId ('*' = every client) -> Set<listener>
+
+  /**
+   * @param {string|null} clientId - Only receive this client's events; null for all clients
+   * @param {Function} listener    - Called with (event)
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(clientId, listener) {
+    const key = clientId || '*';
+    if (!this.#listeners.has(key)) this.#listeners.set(key, new Set());
+    this.#listeners.get(key).add(listener);
+
+    return () => {
+      const set = this.#listeners.get(key);
+      set?.delete(listener);
+      if (set && !set.size) this.#listeners.delete(key);
+    };
+  }
+
+  /** Whether anyone is listening for this client — lets publishers skip lookups */
+  hasSubscribers(clientId) {
+    return this.#listeners.has('*') || (!!clientId && this.#listeners.has(clientId));
+  }
+
+  /**
+   * @param {Object} event - { type, clientId, ... }; a listener throwing never affects the others
+   */
+  publish(event) {
+    const targets = [...(this.#listeners.get(event.clientId) || []), ...(this.#listeners.get('*') || [])];
+    for (const listener of targets) {
+      try {
+        listener(event);
+      } catch {
+        // A broken stream is cleaned up by its own close handler
+      }
+    }
+  }
+
+  get size() {
+    let total = 0;
+    for (const set of this.#listeners.values()) total += set.size;
+    return total;
+  }
+}
+
+export default new InboxEvents();
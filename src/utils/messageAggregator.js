@@ -0,0 +1,52 @@
+// Coalesces bursts of messages from the same sender ("hi" / "I need" / "a website")
+// into a single turn. In-memory, so a burst is only merged when its webhooks reach
+// the same instance — worst case the user gets one reply per instance.
+class MessageAggregator {
+  #pending = new Map();
+  #maxWaitFactor;
+
+  constructor(maxWaitFactor = 4) {
+    // A chatty user must not be able to postpone their reply forever
+    this.#maxWaitFactor = maxWaitFactor;
+  }
+
+  /**
+   * Add a message to the sender's current burst.
+   * Resolves with every message of the burst (in arrival order) for the call that
+   * closes the window, and with null for calls that were merged into a later one.
+   * @param {string} key       - Burst key, e.g. `${clientId}:${phone}`
+   * @param {string} text
+   * @param {number} windowMs  - Quiet period that closes the burst; 0 disables aggregation
+   * @returns {Promise<string[]|null>}
+   */
+  add(key, text, windowMs) {
+    if (!windowMs || windowMs <= 0) return Promise.resolve([text]);
+
+    const now   = Date.now();
+    const entry = this.#pending.get(key) || { messages: [], firstAt: now, timer: null, settle: null };
+
+    entry.messages.push(text);
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.settle(null);
+    }
+
+    const promise = new Promise(resolve => { entry.settle = resolve; });
+    const flush   = () => {
+      this.#pending.delete(key);
+      entry.settle(entry.messages);
+    };
+
+    const remainingMaxWait = entry.firstAt + windowMs * this.#maxWaitFactor - now;
+    entry.timer = setTimeout(flush, Math.max(0, Math.min(windowMs, remainingMaxWait)));
+    this.#pending.set(key, entry);
+
+    return promise;
+  }
+
+  get size() {
+    return this.#pending.size;
+  }
+}
+
+export default new MessageAggregator();
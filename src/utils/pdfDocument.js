@@ -0,0 +1,152 @@
+// Minimal text-only PDF writer (A4, Helvetica) for transcripts and other admin
+// exports. Text is encoded as WinAnsi: Latin accents render, emoji and other
+// scripts are replaced with "?".
+
+const PAGE_WIDTH  = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN      = 50;
+const LINE_FACTOR = 1.35;
+
+// Average Helvetica glyph width as a fraction of the font size — good enough to wrap lines
+const AVG_CHAR_WIDTH = { regular: 0.5, bold: 0.55 };
+
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+function encodeText(text) {
+  let out = '';
+  for (const char of String(text ?? '')) {
+    const code = WIN_ANSI[char] ?? char.codePointAt(0);
+    const byte = code <= 0xff && (code >= 0x20 || code === 0x09) ? code : 0x3f;
+    const c    = String.fromCharCode(byte);
+    out += c === '\\' || c === '(' || c === ')' ? `\\${c}` : c;
+  }
+  return out;
+}
+
+function wrap(text, maxChars) {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      // Words longer than a line (URLs, hashes) are hard-broken
+      for (let i = 0; i < word.length; i += maxChars) {
+        const piece = word.slice(i, i + maxChars);
+        if (!line) line = piece;
+        else if (line.length + 1 + piece.length <= maxChars) line += ` ${piece}`;
+        else { lines.push(line); line = piece; }
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function rgb(color) {
+  const hex = String(color || '#000000').replace('#', '');
+  return [0, 2, 4].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+}
+
+export class PdfDocument {
+  #pages = [];
+  #ops   = null;
+  #y     = 0;
+  #title;
+
+  constructor({ title = 'Document' } = {}) {
+    this.#title = title;
+    this.#newPage();
+  }
+
+  #newPage() {
+    this.#ops = [];
+    this.#pages.push(this.#ops);
+    this.#y = PAGE_HEIGHT - MARGIN;
+  }
+
+  #ensureSpace(height) {
+    if (this.#y - height < MARGIN + 20) this.#newPage();
+  }
+
+  /**
+   * Write wrapped text.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.size=10]
+   * @param {boolean} [options.bold=false]
+   * @param {string} [options.color]  - Hex, e.g. '#555555'
+   * @param {number} [options.indent=0]
+   */
+  text(text, { size = 10, bold = false, color = null, indent = 0 } = {}) {
+    const usable   = PAGE_WIDTH - 2 * MARGIN - indent;
+    const maxChars = Math.max(10, Math.floor(usable / (size * AVG_CHAR_WIDTH[bold ? 'bold' : 'regular'])));
+    const leading  = size * LINE_FACTOR;
+
+    for (const line of wrap(text, maxChars)) {
+      this.#ensureSpace(leading);
+      this.#y -= leading;
+      if (!line) continue;
+      this.#ops.push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(color)} rg ${(MARGIN + indent).toFixed(2)} ${this.#y.toFixed(2)} Td (${encodeText(line)}) Tj ET`
+      );
+    }
+    return this;
+  }
+
+  heading(text, size = 16) {
+    return this.text(text, { size, bold: true }).gap(4);
+  }
+
+  gap(height = 6) {
+    this.#y -= height;
+    return this;
+  }
+
+  rule() {
+    this.#ensureSpace(10);
+    this.#y -= 5;
+    this.#ops.push(`0.8 0.8 0.8 RG 0.5 w ${MARGIN} ${this.#y.toFixed(2)} m ${(PAGE_WIDTH - MARGIN).toFixed(2)} ${this.#y.toFixed(2)} l S`);
+    this.#y -= 5;
+    return this;
+  }
+
+  /** @returns {Buffer} */
+  toBuffer() {
+    const objects = [];
+    const add     = (body) => objects.push(body) + 1;   // object 1 is the catalog, written first
+
+    const fontRegular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const fontBold    = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const pagesId     = objects.length + 2 + this.#pages.length * 2;
+    const pageIds     = [];
+
+    this.#pages.forEach((ops, i) => {
+      const footer  = `BT /F1 8 Tf 0.5 0.5 0.5 rg ${MARGIN} 30 Td (${encodeText(`${this.#title} — page ${i + 1}/${this.#pages.length}`)}) Tj ET`;
+      const stream  = [...ops, footer].join('\n');
+      const content = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      pageIds.push(add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${fontRegular} 0 R /F2 ${fontBold} 0 R >> >> /Contents ${content} 0 R >>`
+      ));
+    });
+    add(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    const info = add(`<< /Title (${encodeText(this.#title)}) /Producer (whatsapp-ai) >>`);
+
+    const bodies = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, ...objects];
+    let   pdf    = '%PDF-1.4\n';
+    const offsets = [];
+    bodies.forEach((body, i) => {
+      offsets.push(Buffer.byteLength(pdf, 'latin1'));
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${bodies.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${bodies.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+  }
+}
@@ -0,0 +1,136 @@
+// Turns model output (markdown) into what WhatsApp renders, and cuts it to WhatsApp's limits.
+// Single `*x*` is left alone: in replies it is far more often meant as WhatsApp bold
+// than as markdown italics.
+
+export const WHATSAPP_TEXT_LIMIT = 4096;
+export const CTA_BODY_LIMIT      = 1024;
+export const CTA_LABEL_LIMIT     = 20;
+
+const PART_MARKER_RESERVE = 12;   // room for "\n\n_(12/12)_"
+const CODE_BLOCK          = /```[\s\S]*?```/g;
+const URL_PATTERN         = /https?:\/\/[^\s<>"]+/g;
+const URL_TRAILING_PUNCT  = /[.,;:!?'"]$/;
+
+function convertMarkdown(text) {
+  return text
+    // Horizontal rules carry no meaning in a chat bubble
+    .replace(/^[ \t]*([-*_])(?:[ \t]*\1){2,}[ \t]*$/gm, '')
+    // Headings become a bold line
+    .replace(/^[ \t]*#{1,6}[ \t]+(.+?)[ \t]*#*[ \t]*$/gm, (_, title) => `**${title.replace(/\*\*|__/g, '')}**`)
+    // Bullets: WhatsApp renders "- item" as a list
+    .replace(/^([ \t]*)[*+•][ \t]+/gm, '$1- ')
+    .replace(/^([ \t]*)(\d+)\)[ \t]+/gm, '$1$2. ')
+    // Images and links: keep the URL visible, it is the only clickable form
+    // (balanced parentheses may be part of the URL, as in Wikipedia links)
+    .replace(/!\[([^\]]*)\]\((https?:\/\/(?:[^\s()]|\([^\s()]*\))+)\)/g, '$2')
+    .replace(/\[([^\]]+)\]\((https?:\/\/(?:[^\s()]|\([^\s()]*\))+)\)/g, (_, label, url) => (label.trim() === url ? url : `${label.trim()}: ${url}`))
+    // Emphasis
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '*$1*')
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, '*$1*')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '~$1~');
+}
+
+/** Markdown to WhatsApp formatting; fenced code blocks are kept as they are */
+export function toWhatsAppFormatting(text) {
+  const source = String(text ?? '').replace(/\r\n/g, '\n');
+  const blocks = source.match(CODE_BLOCK) || [];
+  const prose  = source.split(CODE_BLOCK).map(convertMarkdown);
+
+  return prose
+    .reduce((out, segment, i) => out + segment + (blocks[i] ?? ''), '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Best place to cut `text` at or before `limit`: paragraph, then sentence, then line, then word
+function cutIndex(text, limit) {
+  const window = text.slice(0, limit);
+  const floor  = Math.floor(limit / 2);
+
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph >= floor) return paragraph;
+
+  let sentence = -1;
+  for (const match of window.matchAll(/[.!?…](?=\s)/g)) sentence = match.index + 1;
+  if (sentence >= floor) return sentence;
+
+  const line = window.lastIndexOf('\n');
+  if (line >= floor) return line;
+
+  const word = window.lastIndexOf(' ');
+  return word > 0 ? word : limit;
+}
+
+/**
+ * Split text into ordered parts that each fit in one WhatsApp message.
+ * Parts are numbered ("_(1/3)_") only when there is more than one.
+ * @returns {string[]}
+ */
+export function splitMessage(text, limit = WHATSAPP_TEXT_LIMIT) {
+  const chunkLimit = limit - PART_MARKER_RESERVE;
+  let   remaining  = String(text ?? '').trim();
+  if (remaining.length <= limit) return remaining ? [remaining] : [];
+
+  const parts = [];
+  while (remaining.length > chunkLimit) {
+    const index = cutIndex(remaining, chunkLimit);
+    parts.push(remaining.slice(0, index).trim());
+    remaining = remaining.slice(index).trim();
+  }
+  if (remaining) parts.push(remaining);
+
+  return parts.map((part, i) => `${part}\n\n_(${i + 1}/${parts.length})_`);
+}
+
+// Sentence punctuation after a URL is not part of it, nor is a closing parenthesis the URL
+// did not open
+function trimUrl(url) {
+  let trimmed = url;
+  for (;;) {
+    if (URL_TRAILING_PUNCT.test(trimmed)) trimmed = trimmed.slice(0, -1);
+    else if (trimmed.endsWith(')') && trimmed.split(')').length > trimmed.split('(').length) trimmed = trimmed.slice(0, -1);
+    else return trimmed;
+  }
+}
+
+/**
+ * When a reply carries exactly one link and fits in an interactive body, add a CTA
+ * button for it. Only a short "Label: url" line is taken out of the text (the label
+ * becomes the button text); a link inside a sentence stays where it is, since cutting
+ * it out would leave the sentence broken.
+ * @returns {{ body: string, url: string, displayText: string|null }|null}
+ */
+export function extractCtaUrl(text) {
+  const urls = [...new Set((String(text ?? '').match(URL_PATTERN) || []).map(trimUrl))];
+  if (urls.length !== 1) return null;
+
+  const [url]   = urls;
+  const escaped = url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const labeled = new RegExp(`(^|[.!?\\n]\\s*)([^\\n:.!?]{1,${CTA_LABEL_LIMIT}}):\\s*${escaped}[).,;!?]*`, 'm');
+
+  let displayText = null;
+  let body = text.replace(labeled, (_, lead, label) => {
+    displayText = label.trim().replace(/^[-*_~\s]+|[-*_~\s]+$/g, '') || null;
+    return lead;
+  });
+  body = displayText
+    ? body.replace(/\(\s*\)/g, '').replace(/\n{3,}/g, '\n\n').trim()
+    : text.trim();
+
+  // The link was the whole reply: its label is all there is to say
+  if (!body && displayText) body = displayText;
+  if (!body || body.length > CTA_BODY_LIMIT) return null;
+  return { body, url, displayText };
+}
+
+/**
+ * Formatting layer between the model reply and the send helpers.
+ * @returns {Array<{ type: 'text', body: string }|{ type: 'cta_url', body: string, url: string, displayText: string|null }>}
+ *   Messages to send, in order
+ */
+export function formatReply(text) {
+  const formatted = toWhatsAppFormatting(text);
+  const cta       = extractCtaUrl(formatted);
+  if (cta) return [{ type: 'cta_url', ...cta }];
+  return splitMessage(formatted).map(body => ({ type: 'text', body }));
+}
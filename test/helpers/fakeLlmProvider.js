@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+
+// Deterministic LLM provider for the tests; never offered to clients. Replies echo the
+// message; a message starting with `/tool <name> {json args}` produces that function call,
+// so the tool loop can be driven end to end. With `repeatToolCalls` every tool result is
+// answered with the same call again.
+
+export const FAKE_MODELS = {
+  chat:          'fake-chat',
+  fast:          'fake-chat',
+  embedding:     'fake-embedding',
+  transcription: 'fake-transcription'
+};
+
+const TOOL_COMMAND = /^\/tool\s+(\w+)\s*(\{.*\})?/;
+
+const tokens = (text) => Math.ceil(String(text ?? '').length / 4);
+
+function usageOf(input, output) {
+  return { inputTokens: tokens(input), outputTokens: tokens(output), audioInputTokens: 0, totalTokens: tokens(input) + tokens(output) };
+}
+
+function reply(text) {
+  return JSON.stringify({ language: 'en', reply: text });
+}
+
+export function createFakeProvider({ models = {}, repeatToolCalls = false } = {}) {
+  return {
+    name:   'fake',
+    models: { ...FAKE_MODELS, ...models },
+
+    startChat() {
+      let lastCalls = [];
+      return {
+        // Only the first line: the conversation appends language and slot hints below it
+        async send(message) {
+          const line    = String(message).split('\n')[0].trim();
+          const command = line.match(TOOL_COMMAND);
+          if (command) {
+            let args = {};
+            try { args = command[2] ? JSON.parse(command[2]) : {}; } catch { /* keep {} */ }
+            lastCalls = [{ name: command[1], args }];
+            return { text: '', functionCalls: lastCalls, usage: usageOf(message, '') };
+          }
+          const text = reply(`Echo: ${line}`);
+          return { text, functionCalls: [], usage: usageOf(message, text) };
+        },
+        async sendToolResults(results) {
+          if (repeatToolCalls) return { text: '', functionCalls: lastCalls, usage: usageOf(JSON.stringify(results), '') };
+          const text = reply(`Tool results: ${results.map(r => `${r.name} ${JSON.stringify(r.response)}`).join('; ')}`);
+          return { text, functionCalls: [], usage: usageOf(JSON.stringify(results), text) };
+        }
+      };
+    },
+
+    async complete({ prompt, json = false }) {
+      const text = json ? '{}' : `Fake completion: ${String(prompt).slice(0, 80)}`;
+      return { text, usage: usageOf(prompt, text) };
+    },
+
+    // Unit vector derived from the text's hash: equal texts embed equally
+    async embed({ text, dimensions = 768 }) {
+      const values = [];
+      for (let block = 0; values.length < dimensions; block += 1) {
+        const digest = crypto.createHash('sha256').update(`${block}:${text}`).digest();
+        for (let i = 0; i < digest.length && values.length < dimensions; i += 1) values.push(digest[i] / 127.5 - 1);
+      }
+      const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0)) || 1;
+      return { values: values.map(v => v / norm), usage: usageOf(text, '') };
+    },
+
+    async transcribe({ audio }) {
+      const text = `Fake transcription of a ${audio.length}-byte voice note`;
+      return { text, usage: usageOf('', text) };
+    }
+  };
+}
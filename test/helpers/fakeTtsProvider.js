@@ -0,0 +1,22 @@
+import { VOICE_NOTE_MIME_TYPE } from '../../src/helpers/whatsapp/ttsProvider.js';
+
+// Offline TTS provider for the tests: returns a marker buffer instead of real audio
+// and remembers what it was asked to say.
+export function createFakeTtsProvider() {
+  const syntheses = [];
+  return {
+    name: 'fake',
+    syntheses,
+
+    defaultVoices: {
+      en: 'fake-en',
+      fr: 'fake-fr',
+      de: 'fake-de'
+    },
+
+    async synthesize({ text, voice }) {
+      syntheses.push({ text, voice });
+      return { audio: Buffer.from(`fake-tts:${voice}:${text}`, 'utf8'), mimeType: VOICE_NOTE_MIME_TYPE };
+    }
+  };
+}